@@ -4,6 +4,9 @@ var _ = require('lodash');
 var states = require('./states');
 var State = states.State;
 var EndState = states.EndState;
+var FreeText = states.FreeText;
+var Choice = states.Choice;
+var ChoiceState = states.ChoiceState;
 
 var events = require('./events');
 var Event = events.Event;
@@ -15,6 +18,9 @@ var BaseError = utils.BaseError;
 var translate = require('./translate');
 var LazyTranslator = translate.LazyTranslator;
 
+var flows = require('./flows');
+var FlowLoader = flows.FlowLoader;
+
 
 var AppError = BaseError.extend(function(self, app, message) {
     /**class:AppError(app, message)
@@ -87,6 +93,144 @@ var App = Eventable.extend(function(self, start_state_name, opts) {
     :param AppStates opts.AppStates:
         Optional subclass of :class:`AppStates` to be used for creating
         and managing states.
+    :param AppKeywords opts.AppKeywords:
+        Optional subclass of :class:`AppKeywords` to be used for managing the
+        app's global keywords.
+    :param string opts.back_keyword:
+        Optional keyword that takes users back to the state they visited
+        before their current state (see :meth:`InteractionMachine.go_back`).
+        Matched case-insensitively against the user's entire input. Defaults
+        to ``null`` (no back keyword).
+    :param integer opts.history_size:
+        The maximum number of previously visited states to remember for each
+        user. Defaults to ``10``.
+    :param integer opts.max_invalid:
+        The default maximum number of consecutive times users may give a state
+        invalid input before being routed to the state's fallback state (see
+        :class:`State`). Defaults to ``null`` (no maximum).
+    :param fn_or_str_or_obj opts.invalid_fallback:
+        The default state users are routed to once a state's maximum number
+        of invalid attempts has been reached. Defaults to ``null``, in which
+        case users are routed to the start state.
+    :type opts.error_text: string or LazyText
+    :param opts.error_text:
+        Text to display to users when an unexpected error occurs while their
+        message is being handled (see :meth:`App.error_state`). Defaults to
+        ``null``, in which case no reply is sent.
+    :param boolean opts.error_continue_session:
+        Whether the session should be continued after displaying
+        ``opts.error_text``, allowing users to retry their previous state.
+        Defaults to ``false``.
+    :param integer opts.session_timeout:
+        The number of seconds after which a user's session is considered to
+        have timed out if the user starts a new session without having
+        reached the end of their previous session. Users' last activity is
+        only recorded when this is given. Defaults to ``null`` (session
+        timeouts are not detected). See :class:`SessionTimeoutEvent`.
+    :param boolean opts.session_timeout_prompt:
+        Whether users whose session timed out should be asked whether to
+        continue where they left off or start over, before being taken back to
+        their previous state (see :meth:`AppStates.creators.__timeout__`).
+        Defaults to ``false``.
+    :param array opts.middleware:
+        Functions to pass inbound messages through, in order, before the
+        messages are handled by the app's states. Each function is of the form
+        ``f(msg, user, im)``, where ``msg`` is the inbound message, ``user`` is
+        the current :class:`User`, ``im`` is the :class:`InteractionMachine`
+        and ``this`` is the app. A function may change the message, reply to
+        the message directly (see :meth:`InteractionMachine.reply.text`), or
+        return ``false`` to stop the message from being processed further. May
+        return its result via a promise. Defaults to ``[]``. For example:
+
+        .. code-block:: javascript
+
+            function blacklist(msg, user, im) {
+                if (!_.includes(im.config.blacklist, msg.from_addr)) {
+                    return;
+                }
+
+                return im.reply
+                    .text(msg, "Sorry, this service is unavailable.")
+                    .thenResolve(false);
+            }
+
+            function normalise(msg) {
+                msg.content = (msg.content || '').trim();
+            }
+
+            App.call(self, 'states:start', {
+                middleware: [blacklist, normalise]
+            });
+    :param object opts.rate_limit:
+        A limit on the number of messages each user may send in a window of
+        time, protecting the app from floods of messages. Messages exceeding
+        the limit are not processed, and fire the
+        ``rate_limit.<scope>.exceeded`` metric (see
+        :meth:`InteractionMachine.check_rate_limit`). Limits for particular
+        states and keywords can be given using the ``rate_limit`` options of
+        :class:`State` and :meth:`AppKeywords.add`. Defaults to ``null`` (no
+        limit). The limit's options are:
+
+        * ``limit``: the number of messages allowed per window.
+        * ``window``: the length of a window in seconds. Defaults to ``60``.
+        * ``action``: what to do with messages exceeding the limit. Either
+          ``'drop'`` to ignore the message without replying, ``'reply'``
+          to reply with ``text`` and end the session, or ``'defer'`` to
+          leave the message's content unhandled and display the user's
+          current state again, so that they can retry once the window has
+          passed. Defaults to ``'drop'``.
+        * ``text``: the text to reply with when ``action`` is ``'reply'``.
+          Defaults to ``$("You are sending messages too quickly. Please try
+          again later.")``.
+
+        .. code-block:: javascript
+
+            App.call(self, 'states:start', {
+                rate_limit: {
+                    limit: 10,
+                    window: 60,
+                    action: 'reply',
+                    text: $('Too many messages, please try again later.')
+                }
+            });
+    :param object opts.admin_commands:
+        Admin commands to add to or replace the interaction machine's
+        built-in commands (see :attr:`InteractionMachine.admin_commands`),
+        mapping each command's name to a function of the form
+        ``f(args, msg, im)``, where ``args`` are the words following the
+        command, ``msg`` is the inbound message and ``this`` is the app. The
+        function should return the text to reply with, or a promise fulfilled
+        with the text. Mapping a name to ``null`` disables the built-in
+        command. Admin commands may only be used from the addresses in the
+        ``admin_addrs`` config property (see
+        :meth:`InteractionMachine.is_admin`). Defaults to ``{}``.
+
+        .. code-block:: javascript
+
+            App.call(self, 'states:start', {
+                admin_commands: {
+                    contact: function(args, msg, im) {
+                        return im.contacts
+                            .for_user()
+                            .then(function(contact) {
+                                return JSON.stringify(contact.extra);
+                            });
+                    },
+                    lang: null
+                }
+            });
+    :param object opts.experiments:
+        A/B experiments that users can be assigned to, mapping each
+        experiment's name to its options. Experiments given in the
+        ``experiments`` config property take precedence. See
+        :class:`Experiments`. Defaults to ``{}``.
+    :param boolean opts.process_scheduled:
+        Whether scheduled messages that are due should be sent whenever an
+        inbound message is received (see
+        :meth:`OutboundHelper.process_scheduled`). Defaults to ``false``, in
+        which case due messages are only sent when the sandbox receives a
+        ``process_scheduled`` command. Failures to send scheduled messages
+        are logged, and do not affect the handling of the inbound message.
     :param object opts.events:
         Optional event name-listener mappings to bind. For example:
 
@@ -105,14 +249,43 @@ var App = Eventable.extend(function(self, start_state_name, opts) {
 
     opts = _.defaults(opts || {}, {
         events: {},
-        AppStates: AppStates
+        AppStates: AppStates,
+        AppKeywords: AppKeywords,
+        back_keyword: null,
+        history_size: 10,
+        max_invalid: null,
+        invalid_fallback: null,
+        error_text: null,
+        error_continue_session: false,
+        session_timeout: null,
+        session_timeout_prompt: false,
+        middleware: [],
+        process_scheduled: false,
+        rate_limit: null,
+        admin_commands: {},
+        experiments: {}
     });
 
     self.im = null;
     self.start_state_name = start_state_name;
+    self.back_keyword = opts.back_keyword;
+    self.history_size = opts.history_size;
+    self.max_invalid = opts.max_invalid;
+    self.invalid_fallback = opts.invalid_fallback;
+    self.error_text = opts.error_text;
+    self.error_continue_session = opts.error_continue_session;
+    self.session_timeout = opts.session_timeout;
+    self.session_timeout_prompt = opts.session_timeout_prompt;
+    self.middleware = opts.middleware.slice();
+    self.process_scheduled = opts.process_scheduled;
+    self.rate_limit = opts.rate_limit;
+    self.admin_commands = opts.admin_commands;
+    self.experiments = opts.experiments;
     self.events = opts.events;
     self.AppStates = opts.AppStates;
     self.states = new self.AppStates(self);
+    self.AppKeywords = opts.AppKeywords;
+    self.keywords = new self.AppKeywords(self);
 
     /**attribute:App.$
     A :class:`LazyTranslator` instance that can be used throughout the app to
@@ -175,6 +348,29 @@ var App = Eventable.extend(function(self, start_state_name, opts) {
         */
     };
 
+    self.error_state = function(e) {
+        /**:App.error_state(error)
+
+        Creates the state displayed to the user when an unexpected error
+        occurs while their message is being handled (see
+        :meth:`InteractionMachine.recover`). May return the state via a
+        promise, or return ``null`` to not reply to the user. May be
+        overridden by subclasses that want to customise the error screen.
+
+        The default implementation returns ``null`` if ``opts.error_text``
+        was not given. Otherwise, it creates a state displaying
+        ``opts.error_text``, which ends the session unless
+        ``opts.error_continue_session`` was ``true``.
+
+        :param Error error: the error that occured.
+        */
+        if (!utils.exists(self.error_text)) { return null; }
+
+        return self.error_continue_session
+            ? new FreeText('__im_error__', {question: self.error_text})
+            : new EndState('__im_error__', {text: self.error_text});
+    };
+
     self.emit.error = function(e) {
         return self.emit(new AppErrorEvent(self, e));
     };
@@ -288,6 +484,198 @@ var AppStates = Eventable.extend(function(self, app) {
         self.creators[name] = creator;
     };
 
+    self.mount = function(prefix, child, opts) {
+        /**:AppStates.mount(prefix, child[, opts])
+
+        Mounts the states of another app (or a reusable set of states) under
+        a namespace, so that flows such as registration or opting out can be
+        packaged as modules and used in several apps without their state
+        names colliding.
+
+        Each of the child's states is added as ``<prefix>:<name>``, and
+        the user enters the child at the state named ``prefix``, which is
+        created using the child's start state. Next states set by the child's
+        states are mapped into the namespace, with names the child doesn't
+        know about being left as they are. The child returns the user to the
+        parent by setting its next state to ``'__exit__'``. A child
+        :class:`App` shares the parent's interaction machine, but its
+        keywords, middleware and other options are not used. States added to
+        the child after it has been mounted are not mounted, and states added
+        to the child as instances (see :meth:`AppStates.add.state`) are
+        renamed, so the child should not be used on its own as well.
+
+        :type child: App or AppStates
+        :param child:
+            the app or set of states to mount.
+        :param string opts.start:
+            the name of the child's state where the user enters the child.
+            Defaults to the child app's start state.
+        :param fn_or_str_or_obj opts.next:
+            the parent state the user should be taken to when the child
+            exits. Functions are called with the parent app as ``this``.
+            Defaults to the parent app's start state.
+        :param function opts.enter:
+            a hook invoked with the :class:`StateEnterEvent` when the user
+            enters the child. The value of ``this`` inside the hook will be the
+            parent app. May return a promise.
+        :param function opts.exit:
+            a hook invoked when the user exits the child, before the parent
+            state is determined. The value of ``this`` inside the hook will be
+            the parent app. May return a promise.
+
+        .. code-block:: javascript
+
+            self.states.mount('registration', new RegistrationApp(), {
+                next: 'states:main_menu',
+                enter: function() {
+                    return self.im.metrics.fire.inc('registrations.started');
+                }
+            });
+
+            self.states.add('states:start', function(name) {
+                return new ChoiceState(name, {
+                    question: 'Welcome!',
+                    choices: [new Choice('registration', 'Register')],
+                    next: function(choice) {
+                        return choice.value;
+                    }
+                });
+            });
+        */
+        opts = _.defaults(opts || {}, {
+            start: null,
+            next: null,
+            enter: null,
+            exit: null
+        });
+
+        var mount = {
+            prefix: prefix,
+            app: child instanceof App ? child : child.app,
+            states: child instanceof App ? child.states : child,
+            start: opts.start,
+            next: opts.next,
+            enter: opts.enter,
+            exit: opts.exit
+        };
+
+        if (mount.start === null && mount.app) {
+            mount.start = mount.app.start_state_name;
+        }
+
+        if (!(mount.start in mount.states.creators)) {
+            throw new AppStateError(self.app, [
+                "Cannot mount '" + prefix + "' without a start state",
+                "to enter it at"
+            ].join(' '));
+        }
+
+        _.keys(mount.states.creators).forEach(function(name) {
+            if (utils.starts_with(name, '__')) { return; }
+
+            self.add.creator(
+                self.mounted_name(prefix, name),
+                self.mounted_creator(mount, name));
+        });
+
+        var start = self.mounted_creator(mount, mount.start);
+        self.add.creator(prefix, function(name, opts) {
+            return start(name, opts).then(function(state) {
+                if (state._mount_entered) { return state; }
+                state._mount_entered = true;
+
+                state.on('state:enter', function(e) {
+                    // instances may also be created under their mounted name
+                    if (e.state.name !== prefix) { return; }
+                    return utils.maybe_call(mount.enter, self.app, [e]);
+                });
+
+                return state;
+            });
+        });
+    };
+
+    self.mounted_name = function(prefix, name) {
+        return [prefix, name].join(':');
+    };
+
+    self.mounted_creator = function(mount, name) {
+        return function(full_name, opts) {
+            if (mount.app) {
+                mount.app.im = self.app.im;
+            }
+
+            var creator = mount.states.creators[name];
+            var that = mount.app || self.app;
+
+            return Q(creator.call(that, full_name, opts))
+                .then(function(state) {
+                    // states added as instances ignore the name they are
+                    // created with, and are reused each time they are created
+                    state.name = full_name;
+
+                    var set_next_state = state._unmounted_set_next_state
+                                      || state.set_next_state;
+                    state._unmounted_set_next_state = set_next_state;
+
+                    state.set_next_state = function(next) {
+                        var args = Array.prototype.slice.call(arguments, 1);
+
+                        return Q(utils.maybe_call(next, state, args))
+                            .then(function(next) {
+                                return self.resolve_mounted(mount, next);
+                            })
+                            .then(set_next_state);
+                    };
+
+                    return state;
+                });
+        };
+    };
+
+    self.resolve_mounted = function(mount, next) {
+        if (!utils.exists(next)) { return Q(next); }
+        var name = _.isString(next) ? next : next.name;
+
+        if (name == '__exit__') {
+            return Q(utils.maybe_call(mount.exit, self.app, []))
+                .then(function() {
+                    return utils.maybe_call(mount.next, self.app, []);
+                })
+                .then(function(next) {
+                    return utils.exists(next)
+                        ? next
+                        : self.app.start_state_name;
+                });
+        }
+
+        if (!(name in mount.states.creators)) { return Q(next); }
+        name = self.mounted_name(mount.prefix, name);
+
+        return Q(_.isString(next)
+            ? name
+            : _.defaults({name: name}, next));
+    };
+
+    self.load = function(spec) {
+        /**:AppStates.load(spec)
+
+        Adds the states described by a declarative flow spec. See
+        :class:`FlowLoader` for the format of the spec. Throws a
+        :class:`FlowSpecError` pointing at the offending part of the spec if
+        the spec is invalid.
+
+        :type spec: object or string
+        :param spec:
+            the flow spec, or the flow spec encoded as JSON.
+
+        .. code-block:: javascript
+
+            self.states.load(require('./survey.json'));
+        */
+        new FlowLoader(self).load(spec);
+    };
+
     self.remove = function(name) {
         /**:App.remove(name)
 
@@ -398,6 +786,42 @@ var AppStates = Eventable.extend(function(self, app) {
         });
     };
 
+    self.creators.__timeout__ = function(name, opts) {
+        /**:AppStates.creators.__timeout__(name, opts)
+
+        Creates the state shown to users whose previous session timed out,
+        when the app's ``session_timeout_prompt`` option is ``true`` (see
+        :class:`App`).
+
+        :param string name:
+            the name of the state to create.
+        :param object opts.state:
+            data about the state the user was in when their session timed out.
+
+        This default implementation creates a :class:`ChoiceState` asking the
+        user whether they would like to continue where they left off (which
+        takes them back to ``opts.state``) or start over (which takes them to
+        the start state). The created state is not added to the user's history
+        of visited states. The question and choice labels are translatable
+        (see :attr:`App.$`), so apps can translate them along with their own
+        text.
+        */
+        var $ = self.app.$;
+
+        return new ChoiceState(name, {
+            question: $("Would you like to continue where you left off?"),
+            choices: [
+                new Choice('continue', $("Continue")),
+                new Choice('restart', $("Start over"))],
+            history: false,
+            next: function(choice) {
+                return choice.value == 'continue'
+                    ? opts.state
+                    : self.app.start_state_name;
+            }
+        });
+    };
+
     self.creators.__start__ = function(name, opts) {
         /**:AppStates.creators.__start__(name)
 
@@ -429,8 +853,205 @@ var AppStates = Eventable.extend(function(self, app) {
 });
 
 
+var AppKeywords = Eventable.extend(function(self, app) {
+    /**class:AppKeywords(app)
+
+    A set of global keywords for a sandbox application. Global keywords are
+    matched against the user's input before the input is given to the user's
+    current state (see :meth:`InteractionMachine.handle_message.resume`),
+    allowing users to, for example, return to the main menu or opt out from
+    any state in the app.
+
+    Keywords are tried in the order they were added. States can choose which
+    global keywords apply to them using their ``keywords`` option (see
+    :class:`State`).
+
+    :param App app:
+        the application associated with this set of keywords.
+    */
+    Eventable.call(self);
+
+    self.app = app;
+    self.keywords = [];
+
+    self.add = function(name, opts) {
+        /**:AppKeywords.add(name, opts)
+
+        Adds a global keyword. Throws an :class:`AppError` if a keyword has
+        already been added under the given name.
+
+        :param string name:
+            name used to identify and refer to the keyword.
+        :type opts.pattern: string or RegExp
+        :param opts.pattern:
+            the pattern to match the user's input against. Strings are
+            matched case-insensitively against the user's entire input
+            (ignoring surrounding whitespace). Defaults to ``name``.
+        :param fn_or_str_or_obj opts.next:
+            the state the user should be taken to when the keyword is matched.
+            May either be the name of the state, an options object representing
+            the state, or a function of the form ``f(content, match)``
+            returning either (or returning ``null`` to leave the user in their
+            current state), where ``content`` is the user's input and
+            ``match`` is the result of matching the input against the keyword's
+            pattern. The value of ``this`` inside ``f`` will be the app. May
+            also return its result via a promise.
+        :param array opts.states:
+            the names of the states in which the keyword applies. Defaults to
+            ``null`` (the keyword applies in all states).
+        :param object opts.rate_limit:
+            a limit on the number of times each user may use the keyword in a
+            window of time. Takes the same options as the ``rate_limit``
+            option of :class:`App`. Defaults to ``null`` (no limit).
+        :type fn_or_str_or_obj:
+            function, string, or object.
+
+        .. code-block:: javascript
+
+            self.keywords.add('stop', {
+                pattern: /^(stop|unsubscribe)$/i,
+                next: function() {
+                    return self.im.contacts
+                        .for_user()
+                        .then(function(contact) {
+                            contact.extra.opted_out = 'true';
+                            return self.im.contacts.save(contact);
+                        })
+                        .thenResolve('states:opted_out');
+                }
+            });
+        */
+        opts = _.defaults(opts || {}, {
+            pattern: name,
+            next: null,
+            states: null,
+            rate_limit: null
+        });
+
+        if (self.get(name) !== null) {
+            throw new AppError(
+                self.app, "Duplicate keyword '" + name + "'");
+        }
+
+        self.keywords.push({
+            name: name,
+            pattern: opts.pattern,
+            next: opts.next,
+            states: opts.states,
+            rate_limit: opts.rate_limit
+        });
+    };
+
+    self.remove = function(name) {
+        /**:AppKeywords.remove(name)
+
+        Removes an added keyword.
+
+        :param string name: name of the keyword
+        */
+        _.remove(self.keywords, {name: name});
+    };
+
+    self.get = function(name) {
+        /**:AppKeywords.get(name)
+
+        Returns the keyword added under the given name, or ``null`` if no such
+        keyword exists.
+
+        :param string name: name of the keyword
+        */
+        return _.find(self.keywords, {name: name}) || null;
+    };
+
+    self.applies = function(keyword, state) {
+        /**:AppKeywords.applies(keyword, state)
+
+        Determines whether the given keyword applies in the given state.
+
+        :param object keyword: the keyword to check
+        :param State state: the state to check against
+        */
+        if (keyword.states !== null && !_.includes(keyword.states, state.name)) {
+            return false;
+        }
+
+        return state.allows_keyword(keyword.name);
+    };
+
+    self.match = function(content, state) {
+        /**:AppKeywords.match(content, state)
+
+        Finds the first keyword applying in the given state that matches the
+        given content. Returns an object of the form ``{keyword, match}``, or
+        ``null`` if no keyword matched.
+
+        :param string content: the user's input
+        :param State state: the user's current state
+        */
+        content = (content || '').trim();
+
+        var i, keyword, match;
+        for (i = 0; i < self.keywords.length; i++) {
+            keyword = self.keywords[i];
+            if (!self.applies(keyword, state)) { continue; }
+
+            match = keyword.pattern instanceof RegExp
+                ? keyword.pattern.exec(content)
+                : content.toLowerCase() === ('' + keyword.pattern).toLowerCase()
+                    ? [content]
+                    : null;
+
+            if (match !== null) {
+                return {
+                    keyword: keyword,
+                    match: match
+                };
+            }
+        }
+
+        return null;
+    };
+
+    self.handle = function(content, state) {
+        /**:AppKeywords.handle(content, state)
+
+        Matches the given content against the keywords applying in the given
+        state. If a keyword matches and is within its rate limit, the
+        keyword's ``next`` option is used to set the interaction machine's
+        next state. Returns a promise fulfilled with ``true`` if a keyword
+        matched, or ``false`` otherwise.
+
+        :param string content: the user's input
+        :param State state: the user's current state
+        */
+        var result = self.match(content, state);
+        if (result === null) { return Q(false); }
+
+        var keyword = result.keyword;
+        var im = self.app.im;
+
+        return im
+            .check_rate_limit('keyword.' + keyword.name, keyword.rate_limit)
+            .then(function(within) {
+                if (!within) { return; }
+
+                return utils.maybe_call(
+                    keyword.next, self.app, [content, result.match]);
+            })
+            .then(function(next) {
+                if (typeof next != 'undefined' && next !== null) {
+                    im.next_state.reset(next);
+                }
+
+                return true;
+            });
+    };
+});
+
+
 this.App = App;
 this.AppStates = AppStates;
+this.AppKeywords = AppKeywords;
 
 this.AppEvent = AppEvent;
 this.AppErrorEvent = AppErrorEvent;
@@ -1,3 +1,6 @@
+var Q = require('q');
+var _ = require('lodash');
+
 var utils = require('../utils');
 var Extendable = utils.Extendable;
 
@@ -38,6 +41,24 @@ var DummyApi = Extendable.extend(function(self, opts) {
         opts = opts || {};
         self.done_calls = 0;
 
+        /**attribute:DummyApi.time_offset
+        The number of milliseconds the api's clock is ahead of the system
+        time (see :meth:`DummyApi.advance_time`).
+        */
+        self.time_offset = 0;
+
+        /**attribute:DummyApi.delays
+        The delays injected into the api's replies, keyed by command name
+        (see :meth:`DummyApi.delay`).
+        */
+        self.delays = {};
+
+        /**attribute:DummyApi.failures
+        The failures injected into the api's replies, keyed by command name
+        (see :meth:`DummyApi.fail`).
+        */
+        self.failures = {};
+
         self.resources = new DummyResources();
 
         /**attribute:DummyApi.kv
@@ -85,9 +106,112 @@ var DummyApi = Extendable.extend(function(self, opts) {
         self.resources.attach(self);
     };
 
+    self.now = function() {
+        /**:DummyApi.now()
+
+        Returns the api's current time in milliseconds since the epoch. Used
+        by :meth:`InteractionMachine.now`.
+        */
+        return Date.now() + self.time_offset;
+    };
+
+    self.advance_time = function(seconds) {
+        /**:DummyApi.advance_time(seconds)
+
+        Moves the api's clock forward, for eg, to test that scheduled messages
+        are sent once they are due.
+
+        :param number seconds:
+            the number of seconds to move the clock forward by.
+        */
+        self.time_offset += seconds * 1000;
+    };
+
+    self.delay = function(cmd_name, ms, opts) {
+        /**:DummyApi.delay(cmd_name, ms[, opts])
+
+        Delays the api's replies to requests for ``cmd_name``, for eg, to
+        test how an app copes with requests that time out (see
+        :meth:`InteractionMachine.api_request`).
+
+        :param string cmd_name:
+            the name of the command to delay, for eg. ``'kv.get'``.
+        :param number ms:
+            the number of milliseconds to delay each reply by. If
+            ``Infinity`` is given, no reply is given at all.
+        :param integer opts.times:
+            the number of requests to delay. Defaults to ``1``. Use
+            ``Infinity`` to delay every request.
+        */
+        opts = _.defaults(opts || {}, {times: 1});
+
+        self.delays[cmd_name] = {
+            ms: ms,
+            times: opts.times
+        };
+    };
+
+    self.fail = function(cmd_name, opts) {
+        /**:DummyApi.fail(cmd_name[, opts])
+
+        Makes the api give failure replies to requests for ``cmd_name``
+        instead of handling them, for eg, to test how an app copes with
+        transient failures.
+
+        :param string cmd_name:
+            the name of the command to fail, for eg. ``'kv.get'``.
+        :param integer opts.times:
+            the number of requests to fail. Defaults to ``1``. Use
+            ``Infinity`` to fail every request.
+        :param string opts.reason:
+            the reason given in the failure replies. Defaults to
+            ``'Injected failure'``.
+
+        .. code-block:: javascript
+
+            // fail the first two requests, then succeed
+            api.fail('kv.get', {times: 2});
+        */
+        opts = _.defaults(opts || {}, {
+            times: 1,
+            reason: 'Injected failure'
+        });
+
+        self.failures[cmd_name] = {
+            reason: opts.reason,
+            times: opts.times
+        };
+    };
+
+    self.injected = function(injections, cmd_name) {
+        var injection = injections[cmd_name];
+        if (!injection || injection.times <= 0) { return null; }
+
+        injection.times--;
+        return injection;
+    };
+
     self.request = function(cmd_name, cmd_data, reply) {
         var cmd = self.populate_command(cmd_name, cmd_data);
-        return self.resources.handle(cmd).done(reply);
+        var delay = self.injected(self.delays, cmd_name);
+        var failure = self.injected(self.failures, cmd_name);
+
+        if (delay && !isFinite(delay.ms)) { return; }
+
+        function handle() {
+            if (!failure) { return self.resources.handle(cmd); }
+
+            return {
+                success: false,
+                reason: failure.reason
+            };
+        }
+
+        var p = delay
+            ? Q.delay(delay.ms).then(handle)
+            : Q(handle());
+
+        return p.done(reply);
     };
 
     // original api
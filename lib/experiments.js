@@ -0,0 +1,261 @@
+var Q = require('q');
+var _ = require('lodash');
+
+var utils = require('./utils');
+var BaseError = utils.BaseError;
+
+var events = require('./events');
+var Eventable = events.Eventable;
+
+
+var ExperimentError = BaseError.extend(function(self, name, message) {
+    /**class:ExperimentError(name, message)
+    Thrown when an experiment is misconfigured or does not exist.
+
+    :param string name: the name of the experiment.
+    :param string message: the error message.
+    */
+    self.name = 'ExperimentError';
+    self.experiment = name;
+    self.message = message;
+});
+
+
+var Experiments = Eventable.extend(function(self, im) {
+    /**class:Experiments(im)
+
+    Assigns users to the variants of A/B experiments, for eg. for trying out
+    different wordings of a message. Users are assigned deterministically
+    using a hash of their address and the experiment's name, in proportion
+    to the variants' weights. Assignments are kept in the user's
+    ``experiments`` (see :class:`User`), so that users stay in the same
+    variant across sessions, even if the weights are changed later on.
+
+    The following metrics are fired using the interaction machine's
+    :class:`MetricStore`:
+
+        - ``experiments.<name>.<variant>.exposed``: incremented the first
+          time a user is assigned to a variant.
+        - ``experiments.<name>.<variant>.converted``: incremented the first
+          time a user assigned to a variant converts (see
+          :meth:`Experiments.convert`).
+
+    Experiments are defined using the ``experiments`` option of :class:`App`
+    and the ``experiments`` config property, which takes precedence for
+    experiments defined in both. Each experiment is an object with the
+    following options:
+
+        - ``variants``: either an object mapping each variant's name to its
+          weight, or an array of variant names, which are given equal weights.
+        - ``goal``: the name of a state. Users who enter this state are
+          counted as converted. Optional.
+
+    :param InteractionMachine im:
+        the interaction machine to which the experiments are associated.
+
+    .. code-block:: javascript
+
+        App.call(self, 'states:start', {
+            experiments: {
+                greeting: {
+                    variants: {formal: 1, friendly: 3},
+                    goal: 'states:registered'
+                }
+            }
+        });
+
+        self.states.add('states:start', function(name) {
+            return self.im.experiments
+                .variant('greeting')
+                .then(function(variant) {
+                    return new FreeText(name, {
+                        question: variant == 'friendly'
+                            ? $("Hey there! What's your name?")
+                            : $("Welcome. Please enter your name."),
+                        next: 'states:registered'
+                    });
+                });
+        });
+    */
+    Eventable.call(self);
+    self.im = im;
+
+    /**attribute:Experiments.experiments
+    The experiments users can be assigned to, as a mapping of each
+    experiment's name to its options.
+    */
+    self.experiments = {};
+
+    self.setup = function(opts) {
+        /**:Experiments.setup([opts])
+
+        Sets up the experiments.
+
+        :param object opts.experiments:
+            the experiments users can be assigned to, mapping each
+            experiment's name to its options.
+        */
+        opts = _.defaults(opts || {}, {experiments: {}});
+        self.experiments = _.mapValues(opts.experiments, function(exp, name) {
+            return self.parse(name, exp);
+        });
+
+        return self.emit.setup();
+    };
+
+    self.parse = function(name, exp) {
+        var variants = _.isArray(exp.variants)
+            ? _.zipObject(exp.variants, _.map(exp.variants, _.constant(1)))
+            : exp.variants;
+
+        if (_.isEmpty(variants)) {
+            throw new ExperimentError(
+                name, "Experiment '" + name + "' has no variants");
+        }
+
+        return {
+            variants: variants,
+            goal: exp.goal || null
+        };
+    };
+
+    self.get = function(name) {
+        /**:Experiments.get(name)
+
+        Returns the options of the experiment called ``name``, or throws an
+        :class:`ExperimentError` if there is no such experiment.
+
+        :param string name: the name of the experiment.
+        */
+        if (!(name in self.experiments)) {
+            throw new ExperimentError(
+                name, "Unknown experiment '" + name + "'");
+        }
+
+        return self.experiments[name];
+    };
+
+    self.assign = function(name, addr) {
+        /**:Experiments.assign(name, addr)
+
+        Returns the name of the variant of the experiment called ``name`` that
+        the user with the address ``addr`` belongs in. The same variant is
+        always returned for the same address and variant weights.
+
+        :param string name: the name of the experiment.
+        :param string addr: the address of the user.
+        */
+        var variants = self.get(name).variants;
+        var total = _.sum(_.values(variants));
+        var point = hash(name + ':' + addr) / 0x100000000 * total;
+
+        return _.find(_.keys(variants), function(variant) {
+            point -= variants[variant];
+            return point < 0;
+        }) || _.last(_.keys(variants));
+    };
+
+    self.variant = function(name) {
+        /**:Experiments.variant(name)
+
+        Returns a promise fulfilled with the name of the variant of the
+        experiment called ``name`` that the current user belongs in. Users
+        are assigned to a variant the first time this is called, in which case
+        an exposure metric is fired for the variant. Users whose recorded
+        variant no longer exists are assigned again.
+
+        :param string name: the name of the experiment.
+        */
+        return Q()
+            .then(function() {
+                var variants = self.get(name).variants;
+                var record = self.im.user.experiments[name];
+
+                if (record && record.variant in variants) {
+                    return record.variant;
+                }
+
+                var variant = self.assign(name, self.im.user.addr);
+
+                self.im.user.experiments[name] = {
+                    variant: variant,
+                    converted: false
+                };
+
+                return self
+                    .fire(name, variant, 'exposed')
+                    .thenResolve(variant);
+            });
+    };
+
+    self.convert = function(name) {
+        /**:Experiments.convert(name)
+
+        Records that the current user has converted for the experiment called
+        ``name``, firing a conversion metric for the user's variant. Each user
+        is only counted once per experiment, and only once they have been
+        assigned a variant (see :meth:`Experiments.variant`). Returns a
+        promise fulfilled with ``true`` if the conversion was counted, or
+        ``false`` otherwise.
+
+        :param string name: the name of the experiment.
+        */
+        return Q()
+            .then(function() {
+                self.get(name);
+
+                var record = self.im.user.experiments[name];
+
+                if (!record || record.converted) {
+                    return false;
+                }
+
+                record.converted = true;
+
+                return self
+                    .fire(name, record.variant, 'converted')
+                    .thenResolve(true);
+            });
+    };
+
+    self.convert_goal = function(state_name) {
+        /**:Experiments.convert_goal(state_name)
+
+        Records that the current user has converted for each experiment whose
+        goal is the state called ``state_name`` (see
+        :meth:`Experiments.convert`). Invoked by the interaction machine
+        whenever a state is entered.
+
+        :param string state_name: the name of the state that was entered.
+        */
+        return Q.all(_.keys(self.experiments)
+            .filter(function(name) {
+                return self.experiments[name].goal === state_name;
+            })
+            .map(self.convert));
+    };
+
+    self.fire = function(name, variant, action) {
+        return self.im.metrics.fire.inc(
+            ['experiments', name, variant, action].join('.'));
+    };
+});
+
+
+function hash(s) {
+    // 32-bit FNV-1a, using shifts to multiply by the FNV prime so that the
+    // intermediate values stay within the range of exact integers
+    var h = 0x811c9dc5;
+
+    for (var i = 0; i < s.length; i++) {
+        h ^= s.charCodeAt(i);
+        h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
+        h >>>= 0;
+    }
+
+    return h;
+}
+
+
+this.Experiments = Experiments;
+this.ExperimentError = ExperimentError;
@@ -0,0 +1,563 @@
+var _ = require('lodash');
+
+var utils = require('./utils');
+var BaseError = utils.BaseError;
+var Extendable = utils.Extendable;
+
+var translate = require('./translate');
+var LazyTranslator = translate.LazyTranslator;
+
+var states = require('./states');
+var Choice = states.Choice;
+var ChoiceState = states.ChoiceState;
+var FreeText = states.FreeText;
+var EndState = states.EndState;
+var PaginatedState = states.PaginatedState;
+var BookletState = states.BookletState;
+
+
+var FlowSpecError = BaseError.extend(function(self, path, message) {
+    /**class:FlowSpecError(path, message)
+    Thrown when a flow spec given to a :class:`FlowLoader` is invalid.
+
+    :param string path:
+        the path to the offending part of the spec, for eg.
+        ``states['states:start'].choices[1].label``.
+    :param string message:
+        a description of what is wrong with that part of the spec.
+    */
+    self.name = 'FlowSpecError';
+    self.path = path;
+    self.message = [path, message].join(': ');
+});
+
+
+var FlowLoader = Extendable.extend(function(self, app_states) {
+    /**class:FlowLoader(app_states)
+
+    Compiles declarative flow specs into state creators. This allows simple
+    flows (for eg. surveys) to be described as JSON and edited without
+    writing any javascript. A flow spec looks like this:
+
+    .. code-block:: javascript
+
+        {
+            "states": {
+                "states:start": {
+                    "type": "choice",
+                    "question": {"$": "Do you like tea?"},
+                    "choices": [
+                        {"value": "yes", "label": {"$": "Yes"}},
+                        {"value": "no", "label": {"$": "No"}}
+                    ],
+                    "next": {"yes": "states:age", "no": "states:end"}
+                },
+                "states:age": {
+                    "type": "freetext",
+                    "question": "How old are you?",
+                    "check": [{
+                        "type": "numeric",
+                        "error": {"$": "Please give a number."}
+                    }],
+                    "next": "states:end"
+                },
+                "states:end": {
+                    "type": "end",
+                    "text": {"$": "Thanks!"},
+                    "next": "states:start"
+                }
+            }
+        }
+
+    Each state is given by its ``type`` and the options for that type:
+
+        - ``choice`` (:class:`ChoiceState`): ``question``, ``choices`` (a list
+          of ``{"value": ..., "label": ...}`` objects), ``next``, ``error``
+          and ``accept_labels``. ``next`` may be a state name or an object
+          mapping each choice value to a state name.
+        - ``freetext`` (:class:`FreeText`): ``question``, ``check`` and
+          ``next``.
+        - ``end`` (:class:`EndState`): ``text`` and ``next``.
+        - ``paginated`` (:class:`PaginatedState`): ``text``,
+          ``characters_per_page``, ``back``, ``more``, ``exit`` and
+          ``next``.
+        - ``booklet`` (:class:`BookletState`): ``pages`` (a list of page
+          texts), ``footer_text``, ``buttons`` and ``next``.
+
+    States named in ``next`` need to be given in the spec or already be
+    added to the :class:`AppStates`. ``characters_per_page`` needs to be a
+    positive integer, and ``buttons`` an object mapping inputs to page
+    increments or ``"exit"`` (see :class:`BookletState`).
+
+    Wherever text is shown to the user, either a plain string or a
+    translatable string of the form ``{"$": "text"}`` may be given.
+    Translatable strings are translated into the user's language in the same
+    way as text given using :attr:`App.$`.
+
+    ``check`` is a list of validators, each applied in order to the user's
+    input until one fails. Each validator has a ``type``, a ``value`` (where
+    relevant) and an ``error`` to show the user (defaulting to the
+    question). The supported types are ``required``, ``numeric``,
+    ``min_length``, ``max_length`` and ``pattern`` (a regular expression
+    the input needs to match).
+
+    :param AppStates app_states:
+        the set of states the flows should be loaded into.
+    */
+    self.states = app_states;
+    self.$ = new LazyTranslator();
+
+    self.types = {
+        choice: {
+            required: ['question', 'choices'],
+            optional: ['next', 'error', 'accept_labels']
+        },
+        freetext: {
+            required: ['question'],
+            optional: ['next', 'check']
+        },
+        end: {
+            required: ['text'],
+            optional: ['next']
+        },
+        paginated: {
+            required: ['text'],
+            optional: [
+                'next', 'characters_per_page', 'back', 'more', 'exit']
+        },
+        booklet: {
+            required: ['pages'],
+            optional: ['next', 'footer_text', 'buttons']
+        }
+    };
+
+    self.validators = {
+        required: function(content) {
+            return content.length > 0;
+        },
+        numeric: function(content) {
+            return content !== '' && !isNaN(content);
+        },
+        min_length: function(content, value) {
+            return content.length >= value;
+        },
+        max_length: function(content, value) {
+            return content.length <= value;
+        },
+        pattern: function(content, value) {
+            return new RegExp(value).test(content);
+        }
+    };
+
+    self.load = function(spec) {
+        /**:FlowLoader.load(spec)
+
+        Validates the given flow spec, then registers a state creator for
+        each of its states on the loader's :class:`AppStates`. Throws a
+        :class:`FlowSpecError` pointing at the offending part of the spec if
+        the spec is invalid, in which case no states are registered.
+
+        :type spec: object or string
+        :param spec:
+            the flow spec, or the flow spec encoded as JSON.
+        */
+        if (typeof spec == 'string') {
+            try {
+                spec = JSON.parse(spec);
+            }
+            catch (e) {
+                throw new FlowSpecError('spec', "Invalid JSON: " + e.message);
+            }
+        }
+
+        self.validate(spec);
+
+        _.forEach(spec.states, function(state_spec, name) {
+            self.states.add(name, function(name) {
+                return self.create(name, state_spec);
+            });
+        });
+    };
+
+    self.validate = function(spec) {
+        /**:FlowLoader.validate(spec)
+
+        Throws a :class:`FlowSpecError` if the given flow spec is invalid.
+
+        :param object spec: the flow spec to validate.
+        */
+        if (!_.isPlainObject(spec)) {
+            throw new FlowSpecError('spec', "Expected an object");
+        }
+
+        if (!_.isPlainObject(spec.states)) {
+            throw new FlowSpecError('states', "Expected an object of states");
+        }
+
+        var names = _.keys(spec.states).concat(_.keys(self.states.creators));
+
+        _.forEach(spec.states, function(state_spec, name) {
+            var path = self.path('states', name);
+
+            if (name in self.states.creators) {
+                throw new FlowSpecError(path, "Duplicate state '" + name + "'");
+            }
+
+            self.validate_state(path, state_spec, names);
+        });
+    };
+
+    self.validate_state = function(path, spec, names) {
+        if (!_.isPlainObject(spec)) {
+            throw new FlowSpecError(path, "Expected an object");
+        }
+
+        var type = self.types[spec.type];
+
+        if (!type) {
+            throw new FlowSpecError(
+                self.path(path, 'type'),
+                "Unknown state type '" + spec.type + "', expected one of " +
+                _.keys(self.types).join(', '));
+        }
+
+        type.required.forEach(function(key) {
+            if (!(key in spec)) {
+                throw new FlowSpecError(
+                    self.path(path, key),
+                    "Missing for '" + spec.type + "' states");
+            }
+        });
+
+        _.keys(spec).forEach(function(key) {
+            if (key == 'type') { return; }
+
+            if (!_.includes(type.required.concat(type.optional), key)) {
+                throw new FlowSpecError(
+                    self.path(path, key),
+                    "Unknown option for '" + spec.type + "' states");
+            }
+        });
+
+        ['question', 'text', 'error', 'footer_text', 'back', 'more', 'exit']
+            .forEach(function(key) {
+                if (key in spec) {
+                    self.validate_text(self.path(path, key), spec[key]);
+                }
+            });
+
+        if ('choices' in spec) {
+            self.validate_choices(self.path(path, 'choices'), spec.choices);
+        }
+
+        if ('pages' in spec) {
+            self.validate_pages(self.path(path, 'pages'), spec.pages);
+        }
+
+        if ('check' in spec) {
+            self.validate_check(self.path(path, 'check'), spec.check);
+        }
+
+        if ('characters_per_page' in spec) {
+            self.validate_characters_per_page(
+                self.path(path, 'characters_per_page'),
+                spec.characters_per_page);
+        }
+
+        if ('buttons' in spec) {
+            self.validate_buttons(self.path(path, 'buttons'), spec.buttons);
+        }
+
+        if ('next' in spec) {
+            self.validate_next(self.path(path, 'next'), spec, names);
+        }
+    };
+
+    self.validate_text = function(path, text) {
+        if (typeof text == 'string') {
+            return;
+        }
+
+        if (!_.isPlainObject(text) || typeof text.$ != 'string') {
+            throw new FlowSpecError(
+                path, "Expected a string or a translatable {\"$\": string}");
+        }
+    };
+
+    self.validate_choices = function(path, choices) {
+        if (!_.isArray(choices) || !choices.length) {
+            throw new FlowSpecError(path, "Expected a non-empty array");
+        }
+
+        var seen = {};
+
+        choices.forEach(function(choice, i) {
+            var choice_path = self.path(path, i);
+
+            if (!_.isPlainObject(choice)) {
+                throw new FlowSpecError(choice_path, "Expected an object");
+            }
+
+            if (typeof choice.value != 'string') {
+                throw new FlowSpecError(
+                    self.path(choice_path, 'value'), "Expected a string");
+            }
+
+            if (choice.value in seen) {
+                throw new FlowSpecError(
+                    self.path(choice_path, 'value'),
+                    "Duplicate choice value '" + choice.value + "'");
+            }
+
+            seen[choice.value] = true;
+            self.validate_text(self.path(choice_path, 'label'), choice.label);
+        });
+    };
+
+    self.validate_pages = function(path, pages) {
+        if (!_.isArray(pages) || !pages.length) {
+            throw new FlowSpecError(path, "Expected a non-empty array");
+        }
+
+        pages.forEach(function(page, i) {
+            self.validate_text(self.path(path, i), page);
+        });
+    };
+
+    self.validate_check = function(path, check) {
+        if (!_.isArray(check)) {
+            throw new FlowSpecError(path, "Expected an array of validators");
+        }
+
+        check.forEach(function(validator, i) {
+            var validator_path = self.path(path, i);
+
+            if (!_.isPlainObject(validator)) {
+                throw new FlowSpecError(validator_path, "Expected an object");
+            }
+
+            if (!(validator.type in self.validators)) {
+                throw new FlowSpecError(
+                    self.path(validator_path, 'type'),
+                    "Unknown validator type '" + validator.type +
+                    "', expected one of " +
+                    _.keys(self.validators).join(', '));
+            }
+
+            var value_path = self.path(validator_path, 'value');
+
+            if (_.includes(['min_length', 'max_length'], validator.type) &&
+                !utils.is_integer(validator.value)) {
+                throw new FlowSpecError(value_path, "Expected an integer");
+            }
+
+            if (validator.type == 'pattern') {
+                if (typeof validator.value != 'string') {
+                    throw new FlowSpecError(value_path, "Expected a string");
+                }
+
+                try {
+                    RegExp(validator.value);
+                }
+                catch (e) {
+                    throw new FlowSpecError(
+                        value_path, "Invalid pattern: " + e.message);
+                }
+            }
+
+            if ('error' in validator) {
+                self.validate_text(
+                    self.path(validator_path, 'error'), validator.error);
+            }
+        });
+    };
+
+    self.validate_characters_per_page = function(path, n) {
+        if (!utils.is_integer(n) || n < 1) {
+            throw new FlowSpecError(path, "Expected a positive integer");
+        }
+    };
+
+    self.validate_buttons = function(path, buttons) {
+        if (!_.isPlainObject(buttons)) {
+            throw new FlowSpecError(
+                path, "Expected an object mapping inputs to page increments");
+        }
+
+        _.forEach(buttons, function(button, input) {
+            if (button !== 'exit' && !utils.is_integer(button)) {
+                throw new FlowSpecError(
+                    self.path(path, input),
+                    "Expected an integer page increment or 'exit'");
+            }
+        });
+    };
+
+    self.validate_state_name = function(path, name, names) {
+        if (typeof name != 'string') {
+            throw new FlowSpecError(path, "Expected a state name");
+        }
+
+        if (!_.includes(names, name)) {
+            throw new FlowSpecError(path, "Unknown state '" + name + "'");
+        }
+    };
+
+    self.validate_next = function(path, spec, names) {
+        var next = spec.next;
+
+        if (next === null) {
+            return;
+        }
+
+        if (typeof next == 'string') {
+            return self.validate_state_name(path, next, names);
+        }
+
+        if (spec.type != 'choice' || !_.isPlainObject(next)) {
+            throw new FlowSpecError(
+                path,
+                spec.type == 'choice'
+                    ? "Expected a state name or an object mapping choice " +
+                      "values to state names"
+                    : "Expected a state name");
+        }
+
+        var values = _.map(spec.choices, 'value');
+
+        _.forEach(next, function(name, value) {
+            if (!_.includes(values, value)) {
+                throw new FlowSpecError(
+                    self.path(path, value),
+                    "Unknown choice value '" + value + "'");
+            }
+
+            self.validate_state_name(self.path(path, value), name, names);
+        });
+
+        values.forEach(function(value) {
+            if (!(value in next)) {
+                throw new FlowSpecError(
+                    path, "No next state given for choice '" + value + "'");
+            }
+        });
+    };
+
+    self.path = function(path, key) {
+        /**:FlowLoader.path(path, key)
+
+        Returns the path to ``key`` inside the part of the spec at ``path``,
+        used to point at the offending part of a spec in
+        :class:`FlowSpecError` messages.
+
+        :param string path: the path to the containing part of the spec.
+        :type key: string or integer
+        :param key: the key or index to add to the path.
+        */
+        if (typeof key == 'number') {
+            return path + '[' + key + ']';
+        }
+
+        return /^[A-Za-z_$][\w$]*$/.test(key)
+            ? path + '.' + key
+            : path + '[' + JSON.stringify(key).replace(/"/g, "'") + ']';
+    };
+
+    self.text = function(text) {
+        /**:FlowLoader.text(text)
+
+        Returns the given spec text as a string, or as a :class:`LazyText`
+        if it was given as a translatable ``{"$": "text"}`` object.
+
+        :type text: string or object
+        :param text: the spec text.
+        */
+        return _.isPlainObject(text)
+            ? self.$(text.$)
+            : text;
+    };
+
+    self.create = function(name, spec) {
+        /**:FlowLoader.create(name, spec)
+
+        Creates a new state from a validated state spec.
+
+        :param string name: the name of the state to create.
+        :param object spec: the state's spec.
+        */
+        return self.creators[spec.type](name, spec);
+    };
+
+    self.check = function(spec) {
+        return function(content) {
+            var failed = _.find(spec.check, function(validator) {
+                return !self.validators[validator.type](
+                    content, validator.value);
+            });
+
+            if (failed) {
+                return self.text(failed.error || spec.question);
+            }
+        };
+    };
+
+    self.creators = {
+        choice: function(name, spec) {
+            var next = spec.next;
+
+            return new ChoiceState(name, {
+                question: self.text(spec.question),
+                error: self.text(spec.error),
+                accept_labels: spec.accept_labels,
+                choices: spec.choices.map(function(choice) {
+                    return new Choice(choice.value, self.text(choice.label));
+                }),
+                next: _.isPlainObject(next)
+                    ? function(choice) { return next[choice.value]; }
+                    : next
+            });
+        },
+
+        freetext: function(name, spec) {
+            return new FreeText(name, {
+                question: self.text(spec.question),
+                check: self.check(spec),
+                next: spec.next
+            });
+        },
+
+        end: function(name, spec) {
+            return new EndState(name, {
+                text: self.text(spec.text),
+                next: spec.next
+            });
+        },
+
+        paginated: function(name, spec) {
+            return new PaginatedState(name, {
+                text: self.text(spec.text),
+                characters_per_page: spec.characters_per_page,
+                back: self.text(spec.back),
+                more: self.text(spec.more),
+                exit: self.text(spec.exit),
+                next: spec.next
+            });
+        },
+
+        booklet: function(name, spec) {
+            return new BookletState(name, {
+                pages: spec.pages.length,
+                page_text: function(n) {
+                    return self.text(spec.pages[n]);
+                },
+                footer_text: self.text(spec.footer_text),
+                buttons: spec.buttons,
+                next: spec.next
+            });
+        }
+    };
+});
+
+
+this.FlowLoader = FlowLoader;
+this.FlowSpecError = FlowSpecError;
@@ -0,0 +1,414 @@
+var Q = require('q');
+var _ = require('lodash');
+
+var utils = require('./utils');
+var Extendable = utils.Extendable;
+
+var translate = require('./translate');
+var Translator = translate.Translator;
+
+var states = require('./states');
+
+
+var FlowGraph = Extendable.extend(function(self, app, opts) {
+    /**class:FlowGraph(app[, opts])
+
+    Builds a static graph of an app's states, so that an app's flow can be
+    seen without reading its code (for eg. for documentation and reviews).
+    Each of the app's state creators is invoked to create its state, then
+    the state's ``next`` option is inspected to find the states it leads to.
+
+    Only statically known transitions can be found. A ``next`` given as a
+    function is marked as a ``dynamic`` transition to an unknown state. For
+    :class:`MenuState`\s, a transition is added for each choice. For
+    :class:`ChoiceState`\s (including :class:`PaginatedChoiceState`\s) whose
+    ``next`` is a function, the function is invoked with each choice, and a
+    transition is added for each choice it gives a state name for. States
+    whose creators throw an error are kept in the graph, along with the
+    error message.
+
+    :param App app:
+        the app to build a graph for.
+    :param InteractionMachine opts.im:
+        the interaction machine to attach the app to while creating its
+        states. Defaults to a minimal stand-in with an empty config, no
+        message and a user with no answers or metadata, so that creators
+        that only read these can be inspected.
+
+    .. code-block:: javascript
+
+        new FlowGraph(new MyApp())
+            .dot()
+            .then(function(dot) {
+                console.log(dot);
+            });
+    */
+    opts = _.defaults(opts || {}, {im: null});
+
+    self.app = app;
+    self.im = opts.im;
+    self.i18n = new Translator();
+
+    /**attribute:FlowGraph.types
+    The state types shown in the graph, as ``[name, constructor]`` pairs.
+    Subclasses are listed before the types they extend, so that the first
+    matching type is the most specific one.
+    */
+    self.types = [
+        ['MenuState', states.MenuState],
+        ['LanguageChoice', states.LanguageChoice],
+        ['PaginatedChoiceState', states.PaginatedChoiceState],
+        ['MultiChoiceState', states.MultiChoiceState],
+        ['ChoiceState', states.ChoiceState],
+        ['FreeText', states.FreeText],
+        ['DateState', states.DateState],
+        ['EndState', states.EndState],
+        ['PaginatedState', states.PaginatedState],
+        ['BookletState', states.BookletState],
+        ['State', states.State]
+    ];
+
+    self.setup = function() {
+        self.im = self.im || stub_im();
+        self.app.im = self.im;
+        return Q(self.im);
+    };
+
+    self.build = function() {
+        /**:FlowGraph.build()
+
+        Builds the graph. Returns a promise fulfilled with an object of the
+        form ``{nodes: [...], edges: [...]}``.
+
+        Each node has a ``name``, a ``type`` (``null`` if the state could not
+        be created), the state's ``choices`` as ``{value, label}`` objects,
+        an ``error`` message if the state could not be created and
+        ``missing: true`` if the state is referred to but has no creator.
+
+        Each edge has a ``from`` and ``to`` state name, a ``label`` (the
+        choice label for transitions for a particular choice) and ``dynamic:
+        true`` if the transition is determined at runtime, in which case
+        ``to`` is ``null``.
+        */
+        var names = _.keys(self.app.states.creators).filter(function(name) {
+            return !utils.starts_with(name, '__');
+        });
+
+        return self.setup()
+            .then(function() {
+                return Q.all(names.map(self.inspect));
+            })
+            .then(function(results) {
+                var nodes = _.map(results, 'node');
+                var edges = _.flatten(_.map(results, 'edges'));
+
+                _.uniq(_.compact(_.map(edges, 'to')))
+                    .filter(function(name) {
+                        return !_.includes(names, name);
+                    })
+                    .forEach(function(name) {
+                        nodes.push({
+                            name: name,
+                            type: null,
+                            choices: [],
+                            error: null,
+                            missing: true
+                        });
+                    });
+
+                return {
+                    nodes: nodes,
+                    edges: edges
+                };
+            });
+    };
+
+    self.inspect = function(name) {
+        var creator = self.app.states.creators[name];
+
+        return Q()
+            .then(function() {
+                return creator.call(self.app, name, {});
+            })
+            .then(function(state) {
+                return Q(self.edges_of(name, state)).then(function(edges) {
+                    return {
+                        node: {
+                            name: name,
+                            type: self.type_of(state),
+                            choices: self.choices_of(state),
+                            error: null,
+                            missing: false
+                        },
+                        edges: edges
+                    };
+                });
+            }, function(e) {
+                return {
+                    node: {
+                        name: name,
+                        type: null,
+                        choices: [],
+                        error: e.message,
+                        missing: false
+                    },
+                    edges: []
+                };
+            });
+    };
+
+    self.type_of = function(state) {
+        var type = _.find(self.types, function(type) {
+            return state instanceof type[1];
+        });
+
+        return type
+            ? type[0]
+            : null;
+    };
+
+    self.choices_of = function(state) {
+        return _.map(state.choices instanceof Array ? state.choices : [],
+        function(choice) {
+            return {
+                value: choice.value,
+                label: self.i18n(choice.label)
+            };
+        });
+    };
+
+    self.edges_of = function(name, state) {
+        if (state instanceof states.MenuState) {
+            return state.choices.map(function(choice) {
+                return self.choice_edge(name, choice, choice.value);
+            });
+        }
+
+        var next = state.next;
+
+        if (self.is_choice_state(state) && typeof next == 'function') {
+            return Q.all(state.choices.map(function(choice) {
+                return Q()
+                    .then(function() {
+                        return next.call(state, choice);
+                    })
+                    .catch(function() {
+                        return null;
+                    })
+                    .then(function(next) {
+                        return self.choice_edge(name, choice, next);
+                    });
+            }));
+        }
+
+        if (typeof next == 'undefined' || next === null) {
+            return [];
+        }
+
+        var to = self.target(next);
+
+        return [{
+            from: name,
+            to: to,
+            label: null,
+            dynamic: to === null
+        }];
+    };
+
+    self.is_choice_state = function(state) {
+        // multiple choice states give their next function a list of choices,
+        // so there is no single choice to give it
+        return state instanceof states.ChoiceState
+            && !(state instanceof states.MultiChoiceState);
+    };
+
+    self.choice_edge = function(name, choice, next) {
+        var to = self.target(next);
+
+        return {
+            from: name,
+            to: to,
+            label: self.i18n(choice.label),
+            dynamic: to === null
+        };
+    };
+
+    self.target = function(next) {
+        if (typeof next == 'string') {
+            return next;
+        }
+
+        if (_.isPlainObject(next) && typeof next.name == 'string') {
+            return next.name;
+        }
+
+        return null;
+    };
+
+    self.dot = function() {
+        /**:FlowGraph.dot()
+
+        Builds the graph and returns a promise fulfilled with it as a
+        `Graphviz <http://www.graphviz.org/>`_ DOT digraph.
+        */
+        return self.build().then(function(graph) {
+            var lines = ['digraph "' + self.app.start_state_name + '" {'];
+
+            graph.nodes.forEach(function(node) {
+                var attrs = {label: self.node_label(node).join('\n')};
+
+                if (node.name == self.app.start_state_name) {
+                    attrs.shape = 'doublecircle';
+                }
+
+                if (node.missing) {
+                    attrs.style = 'dashed';
+                }
+
+                if (node.error) {
+                    attrs.color = 'red';
+                }
+
+                lines.push(
+                    '    ' + dot_id(node.name) + ' ' + dot_attrs(attrs) + ';');
+            });
+
+            graph.edges.forEach(function(edge) {
+                var attrs = {};
+                var to = edge.to;
+
+                if (edge.dynamic) {
+                    to = edge.from + ':dynamic';
+                    attrs.style = 'dashed';
+                    attrs.label = 'dynamic';
+
+                    lines.push(
+                        '    ' + dot_id(to) + ' ' +
+                        dot_attrs({label: '?', shape: 'none'}) + ';');
+                }
+                else if (edge.label !== null) {
+                    attrs.label = edge.label;
+                }
+
+                lines.push([
+                    '    ', dot_id(edge.from), ' -> ', dot_id(to),
+                    _.isEmpty(attrs) ? '' : ' ' + dot_attrs(attrs),
+                    ';'
+                ].join(''));
+            });
+
+            lines.push('}');
+            return lines.join('\n');
+        });
+    };
+
+    self.mermaid = function() {
+        /**:FlowGraph.mermaid()
+
+        Builds the graph and returns a promise fulfilled with it as a
+        `Mermaid <https://mermaid-js.github.io/>`_ flowchart.
+        */
+        return self.build().then(function(graph) {
+            var ids = {};
+            var lines = ['flowchart TD'];
+
+            graph.nodes.forEach(function(node, i) {
+                var id = ids[node.name] = 's' + i;
+                var label = mermaid_text(self.node_label(node).join('<br/>'));
+                var cls = node.missing
+                    ? ':::missing'
+                    : node.error
+                        ? ':::error'
+                        : '';
+
+                lines.push(node.name == self.app.start_state_name
+                    ? '    ' + id + '(["' + label + '"])' + cls
+                    : '    ' + id + '["' + label + '"]' + cls);
+            });
+
+            graph.edges.forEach(function(edge) {
+                var from = ids[edge.from];
+
+                if (edge.dynamic) {
+                    lines.push(
+                        '    ' + from + ' -.->|dynamic| ' + from + '_dynamic' +
+                        '(("?"))');
+                }
+                else if (edge.label !== null) {
+                    lines.push(
+                        '    ' + from + ' -->|"' + mermaid_text(edge.label) +
+                        '"| ' + ids[edge.to]);
+                }
+                else {
+                    lines.push('    ' + from + ' --> ' + ids[edge.to]);
+                }
+            });
+
+            lines.push('    classDef missing stroke-dasharray: 5 5');
+            lines.push('    classDef error stroke: red');
+            return lines.join('\n');
+        });
+    };
+
+    self.node_label = function(node) {
+        /**:FlowGraph.node_label(node)
+
+        Returns the lines of text to show for the given node: the state's
+        name, its type (or error) and its choices.
+
+        :param object node: the node to show text for.
+        */
+        var lines = [node.name];
+
+        if (node.missing) {
+            lines.push('(missing)');
+        }
+        else if (node.error) {
+            lines.push('(error: ' + node.error + ')');
+        }
+        else if (node.type) {
+            lines.push('(' + node.type + ')');
+        }
+
+        return lines.concat(node.choices.map(function(choice, i) {
+            return (i + 1) + '. ' + choice.label;
+        }));
+    };
+});
+
+
+function stub_im() {
+    return {
+        config: {},
+        msg: null,
+        user: {
+            addr: null,
+            lang: null,
+            answers: {},
+            metadata: {},
+            get_answer: function(name) {
+                return this.answers[name];
+            }
+        }
+    };
+}
+
+
+function dot_id(s) {
+    return '"' + String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+
+function dot_attrs(attrs) {
+    return '[' + _.map(attrs, function(value, key) {
+        return key + '=' + dot_id(value).replace(/\n/g, '\\n');
+    }).join(', ') + ']';
+}
+
+
+function mermaid_text(s) {
+    return String(s).replace(/"/g, '#quot;');
+}
+
+
+this.FlowGraph = FlowGraph;
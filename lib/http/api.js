@@ -1,4 +1,7 @@
+var Q = require('q');
 var _ = require('lodash');
+var url_utils = require('url');
+var querystring = require('querystring');
 
 var utils = require('../utils');
 var BaseError = utils.BaseError;
@@ -63,6 +66,32 @@ var HttpResponseError = BaseError.extend(function(self, response, reason) {
 });
 
 
+var HttpCircuitOpenError = BaseError.extend(function(self, request, host) {
+    /**class:HttpCircuitOpenError(request, host)
+
+    Thrown instead of making an HTTP request when the circuit breaker for
+    the request's host is open (see :class:`HttpCircuitBreaker`). Apps can
+    catch this to show a fallback screen instead of waiting on a service
+    that is known to be down.
+
+    :param HttpRequest request: the request that was not made.
+    :param string host: the host the circuit breaker is open for.
+    */
+    self.name = "HttpCircuitOpenError";
+    self.request = request;
+    self.host = host;
+
+    self.serialize = function() {
+        return {
+            host: self.host,
+            request: self.request.serialize()
+        };
+    };
+
+    self.message = format_err(self.name, self.serialize());
+});
+
+
 var HttpRequest = Extendable.extend(function(self, method, url, opts) {
     /**class:HttpRequest(request, code, opts)
 
@@ -185,12 +214,16 @@ var HttpResponse = Extendable.extend(function(self, request, code, opts) {
         the status code for the HTTP response.
     :param string opts.body:
         the response's body to be decoded as the response's data. Optional.
+    :param object opts.headers:
+        An object mapping each header name to an array of header values.
+        Optional.
     */
     Extendable.call(self);
 
     opts = _.defaults(opts || {}, {
         data: null,
         body: null,
+        headers: null,
         decoder: _.identity
     });
 
@@ -198,8 +231,27 @@ var HttpResponse = Extendable.extend(function(self, request, code, opts) {
     self.code = code;
     self.data = opts.data;
     self.body = opts.body;
+    self.headers = opts.headers;
     self.decoder = opts.decoder;
 
+    self.header = function(name) {
+        /**:HttpResponse.header(name)
+
+        Returns the first value of the header called ``name``, or ``null``
+        if the response has no such header. Header names are matched
+        case-insensitively.
+
+        :param string name: the name of the header.
+        */
+        var values = _.find(self.headers || {}, function(v, k) {
+            return k.toLowerCase() == name.toLowerCase();
+        });
+
+        return _.isArray(values)
+            ? _.first(values) || null
+            : values || null;
+    };
+
     self.decode = function() {
         /**:HttpResponse.decode()
 
@@ -232,6 +284,364 @@ var HttpResponse = Extendable.extend(function(self, request, code, opts) {
 });
 
 
+var HttpCircuitBreaker = Extendable.extend(function(self, im, opts) {
+    /**class:HttpCircuitBreaker(im, opts)
+
+    Stops :class:`HttpApi` requests from being made to hosts that keep
+    failing, so that sessions fail fast instead of waiting on a service that
+    is down. Each host has its own circuit, which is kept in the interaction
+    machine's :class:`KvStore` so that it is shared across sandbox runs:
+
+        - while the circuit is ``closed``, requests are made as usual. Once
+          ``opts.threshold`` requests in a row have failed, the circuit is
+          opened and the ``http_circuit.<host>.opened`` metric is
+          incremented.
+        - while the circuit is ``open``, requests are rejected with a
+          :class:`HttpCircuitOpenError` without being made.
+        - once ``opts.reset_timeout`` seconds have passed, the circuit
+          becomes ``half_open`` and a single trial request is let through.
+          The circuit is closed again if it succeeds, or opened again if it
+          fails.
+
+    Requests count as failed if the sandbox api gives a failure reply for
+    them (for eg. due to a connection error), or if the response's status
+    code is in the ``5xx`` range. Failures fetching tokens for an
+    :class:`OAuth2ClientCredentials` auth strategy count against the token
+    endpoint's host rather than the host of the request being authorized.
+
+    :param InteractionMachine im:
+        the interaction machine to use for storing the circuits and firing
+        metrics.
+    :param integer opts.threshold:
+        the number of failed requests in a row after which the circuit is
+        opened. Defaults to ``5``.
+    :param integer opts.reset_timeout:
+        the number of seconds to wait before letting a trial request through
+        an open circuit. Defaults to ``60``.
+    */
+    opts = _.defaults(opts || {}, {
+        threshold: 5,
+        reset_timeout: 60
+    });
+
+    self.im = im;
+    self.threshold = opts.threshold;
+    self.reset_timeout = opts.reset_timeout;
+
+    self.key = function(host) {
+        return ['http_circuit', host].join('.');
+    };
+
+    self.get = function(host) {
+        /**:HttpCircuitBreaker.get(host)
+
+        Returns a promise fulfilled with the circuit for ``host``, as an
+        object with the circuit's ``state``, the number of ``failures`` in a
+        row, and the time the circuit was ``opened_at``.
+
+        :param string host: the host to retrieve the circuit for.
+        */
+        return self.im.kv.get(self.key(host), {
+            json: true,
+            default: {
+                state: 'closed',
+                failures: 0,
+                opened_at: null
+            }
+        });
+    };
+
+    self.save = function(host, circuit) {
+        return self.im.kv.set(self.key(host), circuit, {json: true});
+    };
+
+    self.guard = function(request, fn) {
+        /**:HttpCircuitBreaker.guard(request, fn)
+
+        Invokes ``fn`` to make ``request`` if the circuit for the request's
+        host allows it, then updates the circuit according to the outcome.
+        Returns a promise fulfilled or rejected with the outcome of ``fn``, or
+        rejected with a :class:`HttpCircuitOpenError` if the circuit is open.
+        Requests with urls that have no host (for eg. relative urls) are made
+        without being guarded.
+
+        :param HttpRequest request: the request to be made.
+        :param function fn:
+            a function making the request, returning a promise.
+        */
+        var host = url_utils.parse(request.url).host;
+        if (!host) { return Q().then(fn); }
+
+        return self
+            .check(request, host)
+            .then(function(circuit) {
+                return Q()
+                    .then(fn)
+                    .then(function(result) {
+                        return self
+                            .succeed(host, circuit)
+                            .thenResolve(result);
+                    }, function(e) {
+                        var p = self.is_failure(e)
+                            ? self.fail(host, circuit)
+                            : self.succeed(host, circuit);
+
+                        return p.thenReject(e);
+                    });
+            });
+    };
+
+    self.check = function(request, host) {
+        return self.get(host).then(function(circuit) {
+            if (circuit.state == 'closed') { return circuit; }
+
+            var elapsed = self.im.now() - circuit.opened_at;
+
+            if (elapsed < self.reset_timeout * 1000) {
+                throw new HttpCircuitOpenError(request, host);
+            }
+
+            circuit.state = 'half_open';
+            circuit.opened_at = self.im.now();
+            return self.save(host, circuit).thenResolve(circuit);
+        });
+    };
+
+    self.succeed = function(host, circuit) {
+        if (circuit.state == 'closed' && circuit.failures === 0) {
+            return Q();
+        }
+
+        return self.save(host, {
+            state: 'closed',
+            failures: 0,
+            opened_at: null
+        });
+    };
+
+    self.fail = function(host, circuit) {
+        circuit.failures++;
+
+        if (circuit.state == 'closed' && circuit.failures < self.threshold) {
+            return self.save(host, circuit);
+        }
+
+        circuit.state = 'open';
+        circuit.opened_at = self.im.now();
+
+        return self
+            .save(host, circuit)
+            .then(function() {
+                return self.im.metrics.fire.inc([
+                    'http_circuit',
+                    host.replace(/[^a-zA-Z0-9._]/g, '_'),
+                    'opened'
+                ].join('.'));
+            });
+    };
+
+    self.is_failure = function(e) {
+        if (e instanceof HttpRequestError) {
+            return true;
+        }
+
+        return e instanceof HttpResponseError
+            && e.response.code >= 500;
+    };
+});
+
+
+var HttpCache = Extendable.extend(function(self, im, opts) {
+    /**class:HttpCache(im, opts)
+
+    Caches the responses to :class:`HttpApi` ``GET`` requests in the
+    interaction machine's :class:`KvStore`, so that data that rarely changes
+    does not need to be fetched for every message. Responses are keyed by
+    the request's method, url and params.
+
+    Cached responses are used for as long as they are fresh, which is for
+    the number of seconds given by the response's ``Cache-Control: max-age``
+    directive, or ``opts.ttl`` seconds if no ``max-age`` was given.
+    Responses with ``Cache-Control: no-store`` are not cached, and responses
+    with ``Cache-Control: no-cache`` are always revalidated.
+
+    Once a cached response is stale, the request is made again. If the
+    cached response had an ``ETag`` header, it is revalidated by sending its
+    value in the request's ``If-None-Match`` header. If the server replies
+    with ``304 Not Modified``, the cached response is used and kept fresh
+    for another lifetime.
+
+    :param InteractionMachine im:
+        the interaction machine to use for storing responses.
+    :param integer opts.ttl:
+        the number of seconds responses are fresh for if they do not give a
+        ``max-age``. Defaults to ``300``.
+    :param integer opts.stale_ttl:
+        the number of seconds to keep responses with an ``ETag`` for once
+        they are stale, so that they can be revalidated. Defaults to
+        ``86400``.
+    */
+    opts = _.defaults(opts || {}, {
+        ttl: 300,
+        stale_ttl: 86400
+    });
+
+    self.im = im;
+    self.ttl = opts.ttl;
+    self.stale_ttl = opts.stale_ttl;
+
+    self.key = function(request) {
+        return [
+            'http_cache',
+            request.method,
+            utils.url_with_params(request.url, request.params)
+        ].join('.');
+    };
+
+    self.get = function(request) {
+        /**:HttpCache.get(request)
+
+        Returns a promise fulfilled with the cache entry for ``request``, or
+        ``null`` if there is no entry. Entries are objects with the response's
+        ``code``, ``body`` and ``headers``, its ``etag``, and the time it
+        ``expires_at``.
+
+        :param HttpRequest request: the request to look up.
+        */
+        return self.im.kv.get(self.key(request), {json: true});
+    };
+
+    self.set = function(request, response, etag) {
+        /**:HttpCache.set(request, response[, etag])
+
+        Stores ``response`` as the cache entry for ``request``, unless the
+        response asks not to be stored. Returns a promise fulfilled once the
+        entry has been stored.
+
+        :param HttpRequest request: the request the response was given for.
+        :param HttpResponse response: the response to store.
+        :param string etag:
+            the entity tag to store for the response if the response does
+            not give one itself. Optional.
+        */
+        var cache_control = parse_cache_control(
+            response.header('Cache-Control'));
+
+        if ('no-store' in cache_control) {
+            return Q();
+        }
+
+        var max_age = 'no-cache' in cache_control
+            ? 0
+            : parseInt(cache_control['max-age'], 10);
+
+        if (isNaN(max_age)) {
+            max_age = self.ttl;
+        }
+
+        var entry = {
+            code: response.code,
+            body: response.body,
+            headers: response.headers,
+            etag: response.header('ETag') || etag || null,
+            expires_at: self.im.now() + max_age * 1000
+        };
+
+        var seconds = entry.etag !== null
+            ? max_age + self.stale_ttl
+            : max_age;
+
+        if (seconds <= 0) {
+            return Q();
+        }
+
+        return self.im.kv.set(self.key(request), entry, {
+            json: true,
+            seconds: seconds
+        });
+    };
+
+    self.fetch = function(request, fn, opts) {
+        /**:HttpCache.fetch(request, fn[, opts])
+
+        Returns a promise fulfilled with the cached response for ``request``
+        if it is fresh. Otherwise, ``fn`` is invoked to make the request
+        (revalidating the cached response if it has an ``ETag``), and the
+        response is cached.
+
+        :param HttpRequest request: the request to be made.
+        :param function fn:
+            a function making the request, returning a promise fulfilled with
+            a :class:`HttpResponse`.
+        :param boolean opts.bypass:
+            whether to ignore any cached response and make the request. The
+            new response is still cached. Defaults to ``false``.
+        :param function opts.decoder:
+            the function to decode cached response bodies with.
+        */
+        opts = _.defaults(opts || {}, {
+            bypass: false,
+            decoder: _.identity
+        });
+
+        return Q()
+            .then(function() {
+                if (opts.bypass) { return null; }
+                return self.get(request);
+            })
+            .then(function(entry) {
+                if (entry && self.im.now() < entry.expires_at) {
+                    return self.response(request, entry, opts.decoder);
+                }
+
+                if (entry && entry.etag !== null) {
+                    request.headers = _.extend({}, request.headers, {
+                        'If-None-Match': [entry.etag]
+                    });
+                }
+
+                return Q()
+                    .then(fn)
+                    .then(function(response) {
+                        return self
+                            .set(request, response)
+                            .thenResolve(response);
+                    }, function(e) {
+                        var not_modified = entry
+                            && e instanceof HttpResponseError
+                            && e.response.code == 304;
+
+                        if (!not_modified) { throw e; }
+
+                        var response = self.response(
+                            request, entry, opts.decoder);
+
+                        // use the new response's caching headers, but keep
+                        // the cached response's etag if a new one wasn't
+                        // given
+                        response.headers = _.extend(
+                            {}, response.headers, e.response.headers);
+
+                        return self
+                            .set(request, response, entry.etag)
+                            .thenResolve(response);
+                    });
+            });
+    };
+
+    self.response = function(request, entry, decoder) {
+        var response = new HttpResponse(request, entry.code, {
+            body: entry.body,
+            headers: entry.headers,
+            decoder: decoder
+        });
+
+        response.decode();
+        return response;
+    };
+});
+
+
 var HttpApi = Eventable.extend(function(self, im, opts) {
     /**class:HttpApi(im, opts)
 
@@ -249,6 +659,18 @@ var HttpApi = Eventable.extend(function(self, im, opts) {
         Optional.
     :param string opts.ssl_method:
        The default ssl method to attempt for HTTPS requests. Optional.
+    :param object opts.retry:
+        The default retry policy to use for requests (see
+        :attr:`HttpApi.retry`). Optional.
+    :param object opts.circuit_breaker:
+        Options for a :class:`HttpCircuitBreaker` to guard requests with, or
+        ``true`` to use the default options. Optional.
+    :param object opts.cache:
+        Options for a :class:`HttpCache` to cache ``GET`` requests with, or
+        ``true`` to use the default options. Optional.
+    :param object opts.oauth2:
+        Options for a :class:`OAuth2ClientCredentials` auth strategy to
+        authorize requests with. Optional.
     */
     opts = _.defaults(opts || {}, {headers: {}});
 
@@ -260,6 +682,156 @@ var HttpApi = Eventable.extend(function(self, im, opts) {
         ssl_method: opts.ssl_method
     }, _.identity);
 
+    /**attribute:HttpApi.retry
+    The default retry policy for requests, which can be overridden for a
+    single request using the ``retry`` option of :meth:`HttpApi.request`.
+    The policy has the following options:
+
+        - ``attempts``: the maximum number of attempts to make for each
+          request. Defaults to ``1``, meaning failed requests are not
+          retried.
+        - ``methods``: the request methods that may be retried. Defaults to
+          the idempotent methods ``GET``, ``HEAD``, ``PUT``, ``DELETE`` and
+          ``OPTIONS``.
+        - ``codes``: the response status codes that may be retried. Defaults
+          to ``408``, ``429``, ``500``, ``502``, ``503`` and ``504``.
+          Requests for which the sandbox api gives a failure reply (for eg.
+          due to a connection error) are always retried.
+        - ``backoff``: the number of milliseconds to wait before the first
+          retry. Defaults to ``100``.
+        - ``factor``: the number to multiply the wait by for each retry
+          after the first. Defaults to ``2``.
+
+    Each attempt is logged when retries are enabled.
+
+    .. code-block:: javascript
+
+        var api = new JsonApi(im, {
+            retry: {
+                attempts: 3,
+                backoff: 200
+            }
+        });
+    */
+    self.retry = _.defaults({}, opts.retry, {
+        attempts: 1,
+        methods: ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'],
+        codes: [408, 429, 500, 502, 503, 504],
+        backoff: 100,
+        factor: 2
+    });
+
+    /**attribute:HttpApi.circuit_breaker
+    The :class:`HttpCircuitBreaker` guarding the api's requests, or ``null``
+    if no circuit breaker was asked for.
+    */
+    self.circuit_breaker = opts.circuit_breaker
+        ? new HttpCircuitBreaker(im, _.isPlainObject(opts.circuit_breaker)
+            ? opts.circuit_breaker
+            : {})
+        : null;
+
+    /**attribute:HttpApi.cache
+    The :class:`HttpCache` used to cache the api's ``GET`` requests, or
+    ``null`` if no cache was asked for.
+    */
+    self.cache = opts.cache
+        ? new HttpCache(im, _.isPlainObject(opts.cache) ? opts.cache : {})
+        : null;
+
+    /**attribute:HttpApi.interceptors
+    The functions added to intercept the api's requests, responses and
+    errors (see :meth:`HttpApi.intercept.request`,
+    :meth:`HttpApi.intercept.response` and :meth:`HttpApi.intercept.error`),
+    in the order they are invoked.
+    */
+    self.interceptors = {
+        request: [],
+        response: [],
+        error: []
+    };
+
+    self.intercept = {};
+
+    self.intercept.request = function(fn) {
+        /**:HttpApi.intercept.request(fn)
+
+        Adds a function to invoke with each :class:`HttpRequest` before it is
+        sent, for eg. to add correlation id headers or to sign requests.
+        The function is invoked for each attempt at making the request (see
+        :attr:`HttpApi.retry`), once the request has been authorized. It
+        may change the request, or return (or fulfill a promise with) a new
+        request to send instead. Returns the api, so that calls can be
+        chained.
+
+        :param function fn:
+            the function to invoke, taking the request as its argument.
+
+        .. code-block:: javascript
+
+            api.intercept
+                .request(function(request) {
+                    var id = im.msg.message_id;
+                    request.headers['X-Correlation-Id'] = [id];
+                })
+                .intercept.error(function(e) {
+                    if (e.response && e.response.code === 422) {
+                        throw new ValidationError(e.response.data);
+                    }
+                });
+        */
+        self.interceptors.request.push(fn);
+        return self;
+    };
+
+    self.intercept.response = function(fn) {
+        /**:HttpApi.intercept.response(fn)
+
+        Adds a function to invoke with each :class:`HttpResponse` before it
+        is given to the code that made the request, including responses
+        taken from the api's cache (see :attr:`HttpApi.cache`). It may
+        change the response, or return (or fulfill a promise with) a new
+        value to give instead, or throw an error. Returns the api, so that
+        calls can be chained.
+
+        :param function fn:
+            the function to invoke, taking the response and the
+            :class:`HttpRequest` it was given for as its arguments.
+        */
+        self.interceptors.response.push(fn);
+        return self;
+    };
+
+    self.intercept.error = function(fn) {
+        /**:HttpApi.intercept.error(fn)
+
+        Adds a function to invoke with each error a request fails with, once
+        all retries have been made, for eg. to map a partner API's error
+        bodies into the app's own errors. It may throw (or reject a promise
+        with) a different error, which is given to the next error
+        interceptor, or recover from the error by returning (or fulfilling a
+        promise with) a value to give instead. If it returns ``undefined``,
+        the error is thrown as is. Returns the api, so that calls can be
+        chained.
+
+        :param function fn:
+            the function to invoke, taking the error and the
+            :class:`HttpRequest` that failed as its arguments.
+        */
+        self.interceptors.error.push(fn);
+        return self;
+    };
+
+    /**attribute:HttpApi.oauth2
+    The :class:`OAuth2ClientCredentials` auth strategy used to authorize the
+    api's requests, or ``null`` if none was asked for.
+    */
+    self.oauth2 = opts.oauth2
+        ? new OAuth2ClientCredentials(im, _.defaults({}, opts.oauth2, {
+            circuit_breaker: opts.circuit_breaker
+        }))
+        : null;
+
     self.make_auth = utils.basic_auth;
 
     self.decode_response_body = function(body) {
@@ -327,6 +899,7 @@ var HttpApi = Eventable.extend(function(self, im, opts) {
         */
         var response = new HttpResponse(request, reply.code, {
             body: reply.body,
+            headers: reply.headers,
             decoder: self.decode_response_body
         });
 
@@ -356,25 +929,163 @@ var HttpApi = Eventable.extend(function(self, im, opts) {
             :func:`HttpApi.encode_request_data` before being sent.
         :param object opts.headers:
             Additional headers to add to the default headers.
+        :param object opts.retry:
+            Options to override the api's retry policy with for this request
+            (see :attr:`HttpApi.retry`).
+        :param boolean opts.cache:
+            Whether to use the api's cache for this request, if it has one
+            (see :attr:`HttpApi.cache`). Use ``false`` to make the request
+            regardless of any cached response. The new response is still
+            cached. Defaults to ``true``. Only ``GET`` requests are cached.
 
         Returns a :class:`HttpResponse` via a promise. Failures while making
         and checking the request will be thrown as :class:`HttpApiError`s, and
         can be caught with a Q errback. See :meth:`HttpApi.parse_reply` for
-        more on the response parsing and error throwing.
+        more on the response parsing and error throwing. Requests, responses
+        and errors are given to the api's interceptors (see
+        :attr:`HttpApi.interceptors`). Failed requests are
+        retried according to the retry policy, in which case the error for
+        the last attempt is thrown. If the api has a circuit breaker that is
+        open for the request's host, a :class:`HttpCircuitOpenError` is
+        thrown without the request being made.
         */
+        opts = opts || {};
+        var retry = _.defaults({}, opts.retry, self.retry);
+        var bypass = opts.cache === false;
         var request = new HttpRequest(method, url, self.parse_opts(opts));
         request.encode();
 
-        var cmd = request.to_cmd();
+        function attempt() {
+            return self.attempt(request, retry, 1);
+        }
+
+        function guarded() {
+            return self.circuit_breaker
+                ? self.circuit_breaker.guard(request, attempt)
+                : attempt();
+        }
+
+        function guard() {
+            return self.oauth2
+                ? self.oauth2.guard(request, guarded)
+                : guarded();
+        }
+
+        var p = !self.cache || request.method != 'GET'
+            ? guard()
+            : self.cache.fetch(request, guard, {
+                bypass: bypass,
+                decoder: self.decode_response_body
+            });
+
+        return p.then(function(response) {
+            return self.intercepted('response', response, request);
+        }, function(e) {
+            return self.intercepted.error(e, request);
+        });
+    };
+
+    self.send = function(request) {
         return self
-            .im.api_request(cmd.name, cmd.data)
-            .then(
-                function(reply) {
-                    return self.parse_reply(reply, request);
-                }, function(e) {
-                    throw new HttpRequestError(request, e.reply.reason);
+            .intercepted('request', request)
+            .then(function(request) {
+                var cmd = request.to_cmd();
+                return self
+                    .im.api_request(cmd.name, cmd.data)
+                    .then(
+                        function(reply) {
+                            return self.parse_reply(reply, request);
+                        }, function(e) {
+                            throw new HttpRequestError(request, e.message);
+                        });
+            });
+    };
+
+    self.intercepted = function(type, value, request) {
+        return _.reduce(self.interceptors[type], function(p, fn) {
+            return p.then(function(value) {
+                return Q(fn(value, request)).then(function(result) {
+                    return _.isUndefined(result)
+                        ? value
+                        : result;
                 });
+            });
+        }, Q(value));
+    };
 
+    self.intercepted.error = function(e, request) {
+        return _.reduce(self.interceptors.error, function(p, fn) {
+            return p.catch(function(e) {
+                return Q(fn(e, request)).then(function(result) {
+                    if (_.isUndefined(result)) { throw e; }
+                    return result;
+                });
+            });
+        }, Q.reject(e));
+    };
+
+    self.attempt = function(request, retry, n) {
+        return self
+            .send(request)
+            .then(function(response) {
+                return self
+                    .log_attempt(request, retry, n, 'succeeded')
+                    .thenResolve(response);
+            }, function(e) {
+                var retryable = n < retry.attempts
+                             && self.is_retryable(request, e, retry);
+
+                if (!retryable) {
+                    return self
+                        .log_attempt(request, retry, n, failure_reason(e))
+                        .thenReject(e);
+                }
+
+                var wait = retry.backoff * Math.pow(retry.factor, n - 1);
+
+                return self
+                    .log_attempt(request, retry, n, [
+                        failure_reason(e) + ',',
+                        'retrying in', wait + 'ms'].join(' '))
+                    .delay(wait)
+                    .then(function() {
+                        return self.attempt(request, retry, n + 1);
+                    });
+            });
+    };
+
+    self.is_retryable = function(request, e, retry) {
+        /**:HttpApi.is_retryable(request, e, retry)
+
+        Returns ``true`` if ``request`` may be retried after failing with
+        the error ``e`` according to the retry policy ``retry``.
+
+        :param HttpRequest request: the request that failed.
+        :param Error e: the error the request failed with.
+        :param object retry: the retry policy (see :attr:`HttpApi.retry`).
+        */
+        if (!_.includes(retry.methods, request.method)) {
+            return false;
+        }
+
+        if (e instanceof HttpRequestError) {
+            return true;
+        }
+
+        return e instanceof HttpResponseError
+            && _.includes(retry.codes, e.response.code);
+    };
+
+    self.log_attempt = function(request, retry, n, outcome) {
+        if (retry.attempts < 2) { return Q(); }
+
+        var msg = [
+            'HTTP', request.method, request.url,
+            'attempt', n, 'of', retry.attempts, outcome].join(' ');
+
+        return outcome == 'succeeded'
+            ? self.im.log.info(msg)
+            : self.im.log.warning(msg);
     };
 
     self.get = function(url, opts) {
@@ -528,6 +1239,247 @@ var JsonApi = HttpApi.extend(function(self, im, opts) {
 });
 
 
+var OAuth2ClientCredentials = Extendable.extend(function(self, im, opts) {
+    /**class:OAuth2ClientCredentials(im, opts)
+
+    An auth strategy for :class:`HttpApi` requests to APIs that use OAuth2
+    bearer tokens, using the client credentials grant. Access tokens are
+    fetched from the token endpoint, and kept in the interaction machine's
+    :class:`KvStore` until they expire, so that they are shared across
+    sandbox runs. Each request is given an ``Authorization: Bearer <token>``
+    header. If a request is rejected with a ``401`` response, a new token is
+    fetched and the request is made once more.
+
+    :param InteractionMachine im:
+        the interaction machine to use for making token requests and storing
+        tokens.
+    :param string opts.token_url:
+        the url of the token endpoint.
+    :param string opts.client_id:
+        the client's id, sent using HTTP Basic authentication.
+    :param string opts.client_secret:
+        the client's secret, sent using HTTP Basic authentication.
+    :param string opts.scope:
+        the scope to ask for. Optional.
+    :param integer opts.leeway:
+        the number of seconds before a token expires that it should no longer
+        be used, to allow for the time taken to make requests. At most half
+        of a token's lifetime is taken off, so that tokens with short
+        lifetimes are still reused. Defaults to ``30``.
+    :param object opts.circuit_breaker:
+        Options for a :class:`HttpCircuitBreaker` to guard token requests
+        with, or ``true`` to use the default options. Token requests have
+        their own circuit for the token endpoint's host. Defaults to the
+        ``circuit_breaker`` option of the :class:`HttpApi` using the
+        strategy.
+
+    .. code-block:: javascript
+
+        var api = new JsonApi(im, {
+            oauth2: {
+                token_url: 'https://auth.example.org/oauth/token',
+                client_id: 'my_app',
+                client_secret: 's3cr3t'
+            }
+        });
+    */
+    opts = _.defaults(opts || {}, {
+        scope: null,
+        leeway: 30,
+        circuit_breaker: null
+    });
+
+    self.im = im;
+    self.token_url = opts.token_url;
+    self.client_id = opts.client_id;
+    self.client_secret = opts.client_secret;
+    self.scope = opts.scope;
+    self.leeway = opts.leeway;
+
+    self.http = new HttpApi(im, {
+        auth: {
+            username: self.client_id,
+            password: self.client_secret
+        },
+        headers: {
+            'Content-Type': ['application/x-www-form-urlencoded'],
+            'Accept': ['application/json']
+        },
+        circuit_breaker: opts.circuit_breaker
+    });
+
+    self.http.decode_response_body = function(body) {
+        return JSON.parse(body);
+    };
+
+    self.key = function() {
+        return _.compact([
+            'oauth2_tokens',
+            self.client_id,
+            self.scope,
+            self.token_url
+        ]).join('.');
+    };
+
+    self.token = function(opts) {
+        /**:OAuth2ClientCredentials.token([opts])
+
+        Returns a promise fulfilled with an access token, either the stored
+        token if it has not yet expired, or a newly fetched token (see
+        :meth:`OAuth2ClientCredentials.fetch_token`).
+
+        :param boolean opts.refresh:
+            whether to fetch a new token even if the stored token has not yet
+            expired. Defaults to ``false``.
+        */
+        opts = _.defaults(opts || {}, {refresh: false});
+
+        return Q()
+            .then(function() {
+                if (opts.refresh) { return null; }
+                return self.im.kv.get(self.key(), {json: true});
+            })
+            .then(function(token) {
+                var valid = token
+                         && (token.expires_at === null
+                          || self.im.now() < token.expires_at);
+
+                return valid
+                    ? token.access_token
+                    : self.fetch_token();
+            });
+    };
+
+    self.fetch_token = function() {
+        /**:OAuth2ClientCredentials.fetch_token()
+
+        Fetches a new access token from the token endpoint and stores it.
+        Returns a promise fulfilled with the access token, or rejected with a
+        :class:`HttpResponseError` if the endpoint did not give a token.
+        */
+        var data = {grant_type: 'client_credentials'};
+        if (self.scope) { data.scope = self.scope; }
+
+        return self.http
+            .post(self.token_url, {data: querystring.stringify(data)})
+            .then(function(response) {
+                var data = response.data || {};
+
+                if (!data.access_token) {
+                    throw new HttpResponseError(
+                        response, "Token response has no access token");
+                }
+
+                var seconds = utils.exists(data.expires_in)
+                    ? self.lifetime(data.expires_in)
+                    : null;
+
+                var token = {
+                    access_token: data.access_token,
+                    expires_at: seconds !== null
+                        ? self.im.now() + seconds * 1000
+                        : null
+                };
+
+                return self.im.kv
+                    .set(self.key(), token, {
+                        json: true,
+                        seconds: seconds
+                    })
+                    .thenResolve(token.access_token);
+            });
+    };
+
+    self.lifetime = function(expires_in) {
+        /**:OAuth2ClientCredentials.lifetime(expires_in)
+
+        Returns the number of seconds a token given with the given
+        ``expires_in`` should be used for. This is ``expires_in`` less the
+        strategy's leeway, where the leeway is capped at half of
+        ``expires_in``, and is always at least ``1``.
+
+        :param integer expires_in:
+            the token's lifetime in seconds, as given by the token endpoint.
+        */
+        var leeway = Math.min(self.leeway, expires_in / 2);
+        return Math.max(Math.floor(expires_in - leeway), 1);
+    };
+
+    self.authorize = function(request, opts) {
+        /**:OAuth2ClientCredentials.authorize(request[, opts])
+
+        Sets the ``Authorization`` header of ``request`` to use an access
+        token. Returns a promise fulfilled once the header has been set.
+
+        :param HttpRequest request: the request to authorize.
+        :param boolean opts.refresh:
+            whether to fetch a new token even if the stored token has not yet
+            expired. Defaults to ``false``.
+        */
+        return self.token(opts).then(function(token) {
+            request.headers = _.extend({}, request.headers, {
+                Authorization: ['Bearer ' + token]
+            });
+        });
+    };
+
+    self.guard = function(request, fn) {
+        /**:OAuth2ClientCredentials.guard(request, fn)
+
+        Authorizes ``request``, then invokes ``fn`` to make it. If the request
+        is rejected with a ``401`` response, the request is authorized with a
+        new token and ``fn`` is invoked once more. Returns a promise fulfilled
+        or rejected with the outcome of ``fn``.
+
+        :param HttpRequest request: the request to be made.
+        :param function fn:
+            a function making the request, returning a promise.
+        */
+        return self
+            .authorize(request)
+            .then(function() {
+                return fn();
+            })
+            .catch(function(e) {
+                var unauthorized = e instanceof HttpResponseError
+                                && e.response.code == 401;
+
+                if (!unauthorized) { throw e; }
+
+                return self
+                    .authorize(request, {refresh: true})
+                    .then(function() {
+                        return fn();
+                    });
+            });
+    };
+});
+
+
+function parse_cache_control(value) {
+    return _(value ? value.split(',') : [])
+        .map(function(directive) {
+            var parts = directive.trim().split('=');
+            return [parts[0].toLowerCase(), parts[1] || true];
+        })
+        .fromPairs()
+        .value();
+}
+
+
+function failure_reason(e) {
+    if (e instanceof HttpResponseError) {
+        return 'failed with status ' + e.response.code;
+    }
+
+    if (e instanceof HttpRequestError) {
+        return 'failed: ' + e.reason;
+    }
+
+    return 'failed: ' + e.message;
+}
+
+
 function format_err(name, data) {
     return [
         '',
@@ -543,5 +1495,9 @@ this.JsonApi = JsonApi;
 this.HttpApiError = HttpApiError;
 this.HttpRequestError = HttpRequestError;
 this.HttpResponseError = HttpResponseError;
+this.HttpCircuitOpenError = HttpCircuitOpenError;
+this.HttpCircuitBreaker = HttpCircuitBreaker;
+this.HttpCache = HttpCache;
+this.OAuth2ClientCredentials = OAuth2ClientCredentials;
 this.HttpRequest = HttpRequest;
 this.HttpResponse = HttpResponse;
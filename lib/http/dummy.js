@@ -60,9 +60,29 @@ var HttpFixture = Extendable.extend(function(self, opts) {
         The responses's decoded body data. Optional.
     :param object opts.response.body:
         The response's un-decoded body data. Optional.
+    :param object opts.response.headers:
+        An object mapping each of the response's header names to an array of
+        header values. Optional.
+    :param string opts.response.failure:
+        If given, the sandbox api gives a failure reply with this as its
+        reason instead of a response, for eg. to simulate a connection error.
+        Optional.
     :param array opts.responses:
         An array of response data objects to use one after the other each time
-        a new request is sent out.
+        a new request is sent out. This can be used to script sequences of
+        failures followed by a successful response, for eg. for testing
+        retries:
+
+        .. code-block:: javascript
+
+            api.http.fixtures.add({
+                request: {url: 'http://example.com/'},
+                responses: [
+                    {failure: 'Connection refused'},
+                    {code: 503},
+                    {code: 200, data: {foo: 'bar'}}
+                ]
+            });
     :param boolean opts.repeatable:
         Configures the fixture's response to be reused for every new request.
         Defaults to `false`.
@@ -134,7 +154,9 @@ var HttpFixture = Extendable.extend(function(self, opts) {
             response.body = self.encoding.encoder(response.data);
         }
 
+        var failure = response.failure || null;
         response = new HttpResponse(self.request, response.code, response);
+        response.failure = failure;
         response.decode();
         return response;
     };
@@ -368,11 +390,21 @@ var DummyHttpResource = DummyResource.extend(function(self, name, opts) {
         var response = fixtures[0].use();
         self.requests.push(request);
 
-        return {
+        if (response.failure) {
+            throw new DummyResourceError(response.failure);
+        }
+
+        var reply = {
             success: true,
             code: response.code,
             body: response.body
         };
+
+        if (response.headers !== null) {
+            reply.headers = response.headers;
+        }
+
+        return reply;
     };
 
     self.handlers.get = self.handle_request;
@@ -16,6 +16,7 @@ this.user = require('./user');
 this.states = require('./states/index');
 this.contacts = require('./contacts');
 this.metrics = require('./metrics');
+this.kv = require('./kv');
 this.http = require('./http');
 this.utils = require('./utils');
 this.translate = require('./translate');
@@ -25,3 +26,6 @@ this.structs = require('./structs');
 this.log = require('./log');
 this.events = require('./events');
 this.outbound = require('./outbound');
+this.flows = require('./flows');
+this.graph = require('./graph');
+this.experiments = require('./experiments');
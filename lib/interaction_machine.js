@@ -14,6 +14,12 @@ var GroupStore = contacts.GroupStore;
 var metrics = require('./metrics/api');
 var MetricStore = metrics.MetricStore;
 
+var funnel = require('./metrics/funnel');
+var FunnelMetrics = funnel.FunnelMetrics;
+
+var kv = require('./kv/api');
+var KvStore = kv.KvStore;
+
 var user = require('./user');
 var User = user.User;
 
@@ -24,6 +30,9 @@ var IMConfig = config.IMConfig;
 var outbound = require('./outbound/api');
 var OutboundHelper = outbound.OutboundHelper;
 
+var experiments = require('./experiments');
+var Experiments = experiments.Experiments;
+
 var states = require("./states");
 var StateData = states.StateData;
 var StateExitEvent = states.StateExitEvent;
@@ -54,6 +63,24 @@ var ApiError = BaseError.extend(function(self, reply) {
 });
 
 
+var ApiTimeoutError = BaseError.extend(function(self, cmd_name, timeout) {
+    /**class:ApiTimeoutError(cmd_name, timeout)
+        Thrown when the sandbox api does not reply to a request in time (see
+        :meth:`InteractionMachine.api_request`).
+
+        :param string cmd_name: the name of the api request that timed out.
+        :param integer timeout:
+            the number of milliseconds waited for before giving up.
+    */
+    self.name = 'ApiTimeoutError';
+    self.cmd_name = cmd_name;
+    self.timeout = timeout;
+    self.message = [
+        "Api request '" + cmd_name + "'",
+        "timed out after", timeout + "ms"].join(' ');
+});
+
+
 var IMEvent = Event.extend(function(self, name, im) {
     /**class:IMEvent
 
@@ -122,6 +149,25 @@ var UnknownCommandEvent = IMEvent.extend(function(self, im, cmd) {
 });
 
 
+var ProcessScheduledEvent = IMEvent.extend(function(self, im, cmd) {
+    /**class:ProcessScheduledEvent(im, cmd)
+
+    Emitted when a ``process_scheduled`` command is received, asking for
+    scheduled messages that are due to be sent (see
+    :meth:`OutboundHelper.schedule`).
+
+    :param InteractionMachine im:
+        the interaction machine emitting the event.
+    :param object cmd:
+        the API request cmd.
+
+    The event type is ``process_scheduled``.
+    */
+    IMEvent.call(self, 'process_scheduled', im);
+    self.cmd = cmd;
+});
+
+
 var ReplyEvent = IMEvent.extend(
 function(self, im, content, continue_session, helper_metadata) {
     /**class:ReplyEvent(im)
@@ -181,6 +227,56 @@ var SessionCloseEvent = IMEvent.extend(function(self, im, user_terminated) {
 });
 
 
+var SessionTimeoutEvent = IMEvent.extend(function(self, im, state, elapsed) {
+    /**class:SessionTimeoutEvent(im, state, elapsed)
+
+    Emitted when a user starts a new session after their previous session
+    timed out before they reached its end (see the ``session_timeout`` option
+    of :class:`App`). Emitted before the user is taken back to their previous
+    state.
+
+    :param InteractionMachine im:
+        the interaction machine emitting the event.
+    :param StateData state:
+        the state the user was in when their session timed out.
+    :param integer elapsed:
+        the number of seconds since the user's last activity.
+
+    The event type is ``session:timeout``.
+    */
+
+    IMEvent.call(self, 'session:timeout', im);
+    self.state = state;
+    self.elapsed = elapsed;
+});
+
+
+var RateLimitEvent = IMEvent.extend(
+function(self, im, scope, rate_limit, count) {
+    /**class:RateLimitEvent(im, scope, rate_limit, count)
+
+    Emitted when a message from a user exceeds a rate limit (see
+    :meth:`InteractionMachine.check_rate_limit`).
+
+    :param InteractionMachine im:
+        the interaction machine emitting the event.
+    :param string scope:
+        the scope of the exceeded limit (for eg, ``'app'``,
+        ``'state.states:start'`` or ``'keyword.help'``).
+    :param object rate_limit:
+        the options of the exceeded limit.
+    :param integer count:
+        the number of messages counted in the limit's current window.
+
+    The event type is ``rate_limit:exceeded``.
+    */
+    IMEvent.call(self, 'rate_limit:exceeded', im);
+    self.scope = scope;
+    self.rate_limit = rate_limit;
+    self.count = count;
+});
+
+
 var SessionResumeEvent = IMEvent.extend(function(self, im) {
     /**class:SessionResumeEvent(im)
 
@@ -279,6 +375,38 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
     */
     self.next_state = new StateData();
 
+    /**attribute:InteractionMachine.going_back
+    Whether the IM's next state was taken from the user's history of visited
+    states (see :meth:`InteractionMachine.go_back`).
+    */
+    self.going_back = false;
+
+    /**attribute:InteractionMachine.throttled
+    The options of the rate limit exceeded by the current message, or
+    ``null`` if no limit was exceeded (see
+    :meth:`InteractionMachine.check_rate_limit`).
+    */
+    self.throttled = null;
+
+    /**attribute:InteractionMachine.replied
+    Whether a reply has been sent for the current message (see
+    :meth:`InteractionMachine.reply.text`).
+    */
+    self.replied = false;
+
+    /**attribute:InteractionMachine.request_opts
+    The options used for requests made to the sandbox api (see
+    :meth:`InteractionMachine.api_request`). Taken from the
+    ``api_requests`` config property once the IM's config has been set up.
+    */
+    self.request_opts = {
+        timeout: null,
+        retries: 0,
+        backoff: 100,
+        idempotent: ['kv.get', 'contacts.get', 'http.get'],
+        commands: {}
+    };
+
     /**attribute:InteractionMachine.log
     A :class:`Logger` instance for logging message in the sandbox.
     */
@@ -301,7 +429,21 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
     setup is complete (see :meth:`InteractionMachine.setup`)
     */
     self.metrics = new MetricStore(self);
-    
+
+    /**attribute:InteractionMachine.funnel
+    A :class:`FunnelMetrics` instance for firing standard metrics as users
+    move through the app. Available when setup is complete (see
+    :meth:`InteractionMachine.setup`)
+    */
+    self.funnel = new FunnelMetrics(self);
+
+    /**attribute:InteractionMachine.kv
+    A default :class:`KvStore` instance for storing and retrieving data in the
+    sandbox's key-value store. Available when setup is complete (see
+    :meth:`InteractionMachine.setup`)
+    */
+    self.kv = new KvStore(self);
+
     /**attribute:InteractionMachine.contacts
     A default :class:`ContactStore` instance for managing contacts.
     Available when setup is complete (see :meth:`InteractionMachine.setup`)
@@ -320,6 +462,13 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
     */
     self.outbound = new OutboundHelper(self);
 
+    /**attribute:InteractionMachine.experiments
+    An :class:`Experiments` instance for assigning users to the variants of
+    A/B experiments. Available when setup is complete (see
+    :meth:`InteractionMachine.setup`)
+    */
+    self.experiments = new Experiments(self);
+
     self.attach = function() {
         /**:InteractionMachine.attach()
 
@@ -340,6 +489,11 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
             self.emit(e).done(done, err);
         };
 
+        self.api.on_process_scheduled = function(cmd) {
+            var e = new ProcessScheduledEvent(self, cmd);
+            self.emit(e).done(done, err);
+        };
+
         self.api.on_inbound_message = function(cmd) {
             var e = new InboundMessageEvent(self, cmd);
             self.emit(e).done(done, err);
@@ -356,21 +510,36 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
             the received message to be used to set up the interaction machine.
         :param boolean opts.reset:
             whether to reset the user's data, or load them from the kv store
+        :param boolean opts.user:
+            whether to set up the user the message is from and the app.
+            Defaults to ``true``. Used for setting up the IM for runs that
+            aren't associated with a user, such as runs for inbound events.
+            Since the app isn't set up for these runs, :meth:`App.init` is
+            not invoked, so apps should listen for events in these runs using
+            the ``events`` option of :class:`App`.
 
         The IM sets up its attributes in the following order:
             * sanbox config
             * im config
             * metric store
+            * funnel metrics
+            * experiments
+            * kv store
             * user
             * app
 
-        Finally, the user's ``creation_event`` is emitted, then a
-        :class:`SetupEvent` is emitted for the interaction machine. A
-        promise is returned, which will be fulfilled once all event
-        listeners are done.
+        Finally, the user's ``creation_event`` is emitted (if the user was
+        set up), then a :class:`SetupEvent` is emitted for the interaction
+        machine. A promise is returned, which will be fulfilled once all
+        event listeners are done.
         */
         self.msg = msg;
-        opts = _.defaults(opts || {}, {reset: false});
+        self.throttled = null;
+        self.replied = false;
+        opts = _.defaults(opts || {}, {
+            reset: false,
+            user: true
+        });
 
         return Q()
             .then(function() {
@@ -379,6 +548,9 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
             .then(function() {
                 return self.config.do.setup();
             })
+            .then(function() {
+                _.extend(self.request_opts, self.config.api_requests);
+            })
             .then(function() {
                 return self.contacts.setup({
                     delivery_class: self.config.delivery_class
@@ -390,7 +562,8 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
             .then(function() {
                 return self.outbound.setup({
                     endpoints: self.config.endpoints,
-                    delivery_class: self.config.delivery_class
+                    delivery_class: self.config.delivery_class,
+                    tracking_ttl: self.config.outbound_tracking_ttl
                 });
             })
             .then(function() {
@@ -400,21 +573,52 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
                 });
             })
             .then(function() {
+                var opts = self.config.funnel_metrics;
+
+                return self.funnel.setup({
+                    enabled: !!opts,
+                    templates: _.isPlainObject(opts)
+                        ? opts.templates
+                        : {}
+                });
+            })
+            .then(function() {
+                return self.experiments.setup({
+                    experiments: _.extend(
+                        {}, self.app.experiments, self.config.experiments)
+                });
+            })
+            .then(function() {
+                return self.kv.setup({
+                    store_name: self.config.kv_store
+                             || self.config.name
+                });
+            })
+            .then(function() {
+                if (!opts.user) { return; }
+
                 var user_opts = {
                     lang: self.config.default_lang,
                     store_name: self.config.user_store
                              || self.config.name
                 };
 
-                return opts.reset
-                    ? self.user.reset(msg.from_addr, user_opts)
-                    : self.user.load_or_create(msg.from_addr, user_opts);
+                return Q()
+                    .then(function() {
+                        return opts.reset
+                            ? self.user.reset(msg.from_addr, user_opts)
+                            : self.user.load_or_create(msg.from_addr, user_opts);
+                    })
+                    .then(function() {
+                        self.log("Loaded user: " + JSON.stringify(self.user));
+                    });
             })
             .then(function() {
-                self.log("Loaded user: " + JSON.stringify(self.user));
+                if (!opts.user) { return; }
                 return self.app.setup();
             })
             .then(function() {
+                if (!opts.user) { return; }
                 return self.user.emit.creation_event();
             })
             .then(function() {
@@ -554,16 +758,26 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
             the destination state's name or state data
 
         The following steps are taken:
+            * The current state is added to the user's history, unless the
+              destination was taken from the history
+              (see :meth:`InteractionMachine.record_history`)
             * The current state is exited
               (see :meth:`InteractionMachine.exit_state`)
             * The destination state is enter
               (see :meth:`InteractionMachine.enter_state`)
         */
         var p = Q();
+        var going_back = self.going_back;
+        self.going_back = false;
+
         dest = new StateData(dest);
         if (!dest.exists() || dest.is(self.state)) { return p; }
 
         return p
+            .then(function() {
+                if (going_back) { return; }
+                return self.record_history();
+            })
             .then(function() {
                 return self.exit_state();
             })
@@ -572,6 +786,215 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
             });
     };
 
+    self.record_history = function() {
+        /**:InteractionMachine.record_history()
+
+        Adds the current state to the user's history of visited states, keeping
+        at most :attr:`App.history_size` states. States that end the user's
+        session are not added, since the user cannot be taken back to them,
+        and neither are states created with their ``history`` option set to
+        ``false``.
+        Returns a promise fulfilled once the state has been considered.
+        */
+        if (!self.state || !self.state.history) { return Q(); }
+
+        return Q(self.state.continue_session())
+            .then(function(continue_session) {
+                if (!continue_session) { return; }
+                self.user.push_history(self.state, self.app.history_size);
+            });
+    };
+
+    self.go_back = function() {
+        /**:InteractionMachine.go_back()
+
+        Takes the most recently visited state off of the user's history and
+        sets it as the IM's next state, so that the state is re-created with
+        the metadata and creator options it had when the user left it. Returns
+        a promise fulfilled with the :class:`StateData` for the state, or
+        with ``null`` if the user's history is empty. This means it can be
+        used as the result of a state's ``next`` function:
+
+        .. code-block:: javascript
+
+            self.states.add('states:menu', function(name) {
+                return new ChoiceState(name, {
+                    question: 'What would you like to do?',
+                    choices: [
+                        new Choice('states:report', 'Report'),
+                        new Choice('back', 'Back')],
+                    next: function(choice) {
+                        if (choice.value !== 'back') { return choice.value; }
+                        return self.im.go_back();
+                    }
+                });
+            });
+        */
+        var state = self.user.pop_history();
+        if (state === null) { return Q(null); }
+
+        self.next_state.reset(state);
+        self.going_back = true;
+        return Q(state);
+    };
+
+    self.is_back_keyword = function(content) {
+        /**:InteractionMachine.is_back_keyword(content)
+
+        Determines whether the given message content is the app's back keyword
+        (see :attr:`App.back_keyword`).
+
+        :param string content:
+            the message content to check.
+        */
+        var keyword = self.app.back_keyword;
+        if (keyword === null || typeof keyword == 'undefined') { return false; }
+
+        return (content || '').trim().toLowerCase()
+            === ('' + keyword).toLowerCase();
+    };
+
+    self.now = function() {
+        /**:InteractionMachine.now()
+
+        Returns the current time in milliseconds since the epoch. If the
+        sandbox api provides its own clock (as :class:`DummyApi` does, so that
+        time can be advanced in tests), its time is used instead.
+        */
+        return _.isFunction(self.api.now)
+            ? self.api.now()
+            : Date.now();
+    };
+
+    self.check_rate_limit = function(scope, rate_limit) {
+        /**:InteractionMachine.check_rate_limit(scope, rate_limit)
+
+        Counts the current message against the user's rate limit for the
+        given scope. Messages are counted in the key-value store, in windows
+        that expire once they have passed. If the limit is exceeded,
+        :attr:`InteractionMachine.throttled` is set, the
+        ``rate_limit.<scope>.exceeded`` metric is incremented and a
+        :class:`RateLimitEvent` is emitted. Returns a promise fulfilled with
+        ``true`` if the message is within the limit, or ``false`` otherwise.
+
+        :param string scope:
+            the scope to count the message in (for eg, ``'app'``).
+        :param object rate_limit:
+            the limit's options (see the ``rate_limit`` option of
+            :class:`App`). If ``null``, the message is always within the
+            limit.
+        */
+        if (!utils.exists(rate_limit)) { return Q(true); }
+
+        rate_limit = _.defaults({}, rate_limit, {
+            window: 60,
+            action: 'drop',
+            text: self.app.$(
+                "You are sending messages too quickly. " +
+                "Please try again later.")
+        });
+
+        var key = [
+            'rate_limit',
+            scope,
+            self.user.addr,
+            Math.floor(self.now() / (rate_limit.window * 1000))
+        ].join('.');
+
+        return self.kv
+            .incr(key)
+            .then(function(count) {
+                if (count !== 1) { return count; }
+
+                return self.kv
+                    .set(key, count, {seconds: rate_limit.window})
+                    .thenResolve(count);
+            })
+            .then(function(count) {
+                if (count <= rate_limit.limit) { return true; }
+                self.throttled = rate_limit;
+
+                return self.metrics
+                    .fire.inc(['rate_limit', scope, 'exceeded'].join('.'))
+                    .then(function() {
+                        return self.emit(new RateLimitEvent(
+                            self, scope, rate_limit, count));
+                    })
+                    .thenResolve(false);
+            });
+    };
+
+    self.throttle = function(msg) {
+        /**:InteractionMachine.throttle(msg)
+
+        Responds to a message that exceeded a rate limit, according to the
+        limit's ``action`` (see the ``rate_limit`` option of :class:`App`).
+
+        :param object msg: the received inbound message.
+        */
+        var rate_limit = self.throttled;
+
+        if (rate_limit.action == 'reply') {
+            return self.reply.text(msg, self.user.i18n(rate_limit.text));
+        }
+
+        if (rate_limit.action == 'defer') {
+            return self.reply(msg);
+        }
+
+        return self.log("Dropped message exceeding rate limit from "
+                        + msg.from_addr);
+    };
+
+    self.timed_out = function(msg) {
+        /**:InteractionMachine.timed_out(msg)
+
+        Determines whether the given message starts a new session for a user
+        whose previous session timed out before they reached its end (see the
+        ``session_timeout`` option of :class:`App`).
+
+        :param object msg: the received inbound message.
+        */
+        var timeout = self.app.session_timeout;
+        var last_active = self.user.last_active;
+
+        if (!utils.exists(timeout) || !utils.exists(last_active)) {
+            return false;
+        }
+
+        return msg.session_event == 'new'
+            && self.user.in_session
+            && self.user.state.exists()
+            && !self.user.state.is(self.app.start_state_name)
+            && self.now() - last_active >= timeout * 1000;
+    };
+
+    self.resume_timed_out = function() {
+        /**:InteractionMachine.resume_timed_out()
+
+        Invoked when the user's previous session timed out. Emits a
+        :class:`SessionTimeoutEvent`, then either enters the app's
+        ``'__timeout__'`` state (see :meth:`AppStates.creators.__timeout__`)
+        if the app's ``session_timeout_prompt`` option is ``true``, or resumes
+        the user's previous state otherwise.
+        */
+        var state = new StateData(self.user.state.serialize());
+        var elapsed = Math.floor((self.now() - self.user.last_active) / 1000);
+
+        return self
+            .emit(new SessionTimeoutEvent(self, state, elapsed))
+            .then(function() {
+                if (!self.app.session_timeout_prompt) {
+                    return self.resume_state(state);
+                }
+
+                return self.enter_state({
+                    name: '__timeout__',
+                    creator_opts: {state: state.serialize()}
+                });
+            });
+    };
+
     self.fetch_translation = function(lang) {
         /**:InteractionMachine.fetch_translation(lang)
 
@@ -601,26 +1024,75 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
 
     self.err = function(e) {
         /**InteractionMachine.err()
-        Invoked when an error is thrown during a run of the IM. Logs the thrown
-        error, then terminates the sandbox.
+        Invoked when an error is thrown during a run of the IM. Emits a
+        :class:`IMErrorEvent`, logs the thrown error's stack trace (or its
+        message if it has no stack trace), tries to recover from the error
+        (see :meth:`InteractionMachine.recover`), then terminates the sandbox.
         */
         return self
             .emit(new IMErrorEvent(self, e))
             .then(function() {
-                return self.log.error(e.message);
+                return self.log.error(e.stack || e.message);
+            })
+            .then(function() {
+                return self.recover(e);
             })
             .then(function() {
                 return self.api.done();
             });
     };
 
+    self.recover = function(e) {
+        /**:InteractionMachine.recover(error)
+        Invoked by :meth:`InteractionMachine.err` to reply to the message
+        being handled with the app's error state (see :meth:`App.error_state`),
+        so that the user is told something went wrong instead of getting no
+        reply. The user is not saved, so the user stays in the state they were
+        in before sending the message and can try again.
+
+        Does nothing if no message is being handled, a reply to the message
+        has already been sent (for eg, if the error was thrown by a ``reply``
+        event listener), or the app has no error state. If replying fails, the
+        failure is logged and otherwise ignored.
+
+        :param Error error: the error that occured.
+        */
+        if (!self.msg || self.replied) { return Q(); }
+
+        return Q()
+            .then(function() {
+                return self.app.error_state(e);
+            })
+            .then(function(state) {
+                if (!state) { return; }
+
+                return state.setup(self)
+                    .then(function() {
+                        self.state = state;
+                        return state.continue_session();
+                    })
+                    .then(function(continue_session) {
+                        return self.reply.send(self.msg, {
+                            continue_session: continue_session
+                        });
+                    });
+            })
+            .catch(function(e) {
+                return self.log.error(
+                    "Error while recovering from error: " +
+                    (e.stack || e.message));
+            });
+    };
+
     self.done = function() {
         /**:InteractionMachine.done()
-        Saves the user, then terminates the sandbox instance.
+        Saves the user (if a user was set up), then terminates the sandbox
+        instance.
         */
         return self
             .emit(new IMShutdownEvent(self))
             .then(function() {
+                if (!utils.exists(self.user.addr)) { return; }
                 return self.user.save();
             })
             .then(function() {
@@ -631,8 +1103,8 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
             });
     };
 
-    self.api_request = function(cmd_name, cmd) {
-        /**:InteractionMachine.api_request(cmd_name, cmd)
+    self.api_request = function(cmd_name, cmd, opts) {
+        /**:InteractionMachine.api_request(cmd_name, cmd[, opts])
 
         Raw request to the sandbox API.
 
@@ -640,18 +1112,100 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
             name of the API request to make.
         :param object cmd:
             API request data.
+        :param integer opts.timeout:
+            the number of milliseconds to wait for a reply before giving up,
+            or ``null`` to wait indefinitely.
+        :param integer opts.retries:
+            the number of times to retry the request if it fails or times out.
+        :param integer opts.backoff:
+            the number of milliseconds to wait before the first retry. The
+            wait is doubled for each retry after that.
+
+        The options default to those given for the command in
+        :attr:`InteractionMachine.request_opts`, which are set using the
+        ``api_requests`` config property:
+
+        .. code-block:: javascript
+
+            {
+                "name": "my_app",
+                "api_requests": {
+                    "timeout": 5000,
+                    "retries": 2,
+                    "backoff": 200,
+                    "commands": {
+                        "http.get": {"timeout": 10000}
+                    }
+                }
+            }
+
+        The ``timeout`` and ``backoff`` options apply to all commands, while
+        ``retries`` only applies to the idempotent commands listed in the
+        ``idempotent`` option (``kv.get``, ``contacts.get`` and ``http.get``
+        by default), since retrying other commands could repeat their
+        effects. Options given for a command in ``commands`` take precedence,
+        and may give retries for commands that are not idempotent.
 
         Returns a promise fulfilled with the response to the API request, or
-        rejected with a :class:`ApiError` if a failure response was given.
+        rejected with a :class:`ApiError` if a failure response was given, or
+        a :class:`ApiTimeoutError` if no reply was given in time, once all
+        retries have been made.
         */
-        var d = new Q.defer();
+        opts = self.api_request.opts(cmd_name, opts);
+
+        function attempt(n) {
+            return self.api_request
+                .once(cmd_name, _.clone(cmd), opts.timeout)
+                .catch(function(e) {
+                    if (n >= opts.retries) { throw e; }
+
+                    return Q
+                        .delay(opts.backoff * Math.pow(2, n))
+                        .then(function() {
+                            return attempt(n + 1);
+                        });
+                });
+        }
+
+        return attempt(0);
+    };
+
+    self.api_request.opts = function(cmd_name, opts) {
+        var defaults = self.request_opts;
+
+        return _.defaults(
+            {},
+            opts,
+            defaults.commands[cmd_name],
+            {
+                timeout: defaults.timeout,
+                retries: _.includes(defaults.idempotent, cmd_name)
+                    ? defaults.retries
+                    : 0,
+                backoff: defaults.backoff
+            });
+    };
+
+    self.api_request.once = function(cmd_name, cmd, timeout) {
+        var d = Q.defer();
+        var timer = null;
+
+        if (utils.exists(timeout)) {
+            timer = setTimeout(function() {
+                d.reject(new ApiTimeoutError(cmd_name, timeout));
+            }, timeout);
+        }
+
         self.api.request(cmd_name, cmd, function(reply) {
+            clearTimeout(timer);
+
             if (reply.success) {
                 d.resolve(reply);
             } else {
                 d.reject(new ApiError(reply));
             }
         });
+
         return d.promise;
     };
 
@@ -700,20 +1254,161 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
                 return self.state.show();
             })
             .then(function(content) {
-                return self.api_request("outbound.reply_to", {
-                    content: content,
-                    in_reply_to: msg.message_id,
-                    helper_metadata: opts.helper_metadata,
-                    continue_session: opts.continue_session
-                })
-                .then(function() {
-                    return self.emit(new ReplyEvent(
-                        self,
-                        content,
-                        opts.continue_session,
-                        opts.helper_metadata));
+                return self.reply.text(msg, content, opts);
+            });
+    };
+
+    self.reply.text = function(msg, content, opts) {
+        /**:InteractionMachine.reply.text(msg, content[, opts])
+
+        Sends the given content to the user as a reply to the given message,
+        without involving the current state. Returns a promise which is
+        fulfilled once the reply has been sent.
+
+        :param object msg: the message to reply to.
+        :param string content: the content to send.
+        :param boolean opts.continue_session:
+            whether the session should be continued. Defaults to ``false``.
+        :param object opts.helper_metadata:
+            additional helper metadata to set on the reply. Optional.
+        */
+        opts = _.defaults(opts || {}, {continue_session: false});
+
+        return self
+            .api_request("outbound.reply_to", {
+                content: content,
+                in_reply_to: msg.message_id,
+                helper_metadata: opts.helper_metadata,
+                continue_session: opts.continue_session
+            })
+            .then(function() {
+                self.replied = true;
+                return self.emit(new ReplyEvent(
+                    self,
+                    content,
+                    opts.continue_session,
+                    opts.helper_metadata));
+            });
+    };
+
+    /**attribute:InteractionMachine.admin_commands
+    The built-in admin commands, mapping each command's name to a function of
+    the form ``f(args, msg, im)`` returning the text to reply with (see
+    :meth:`InteractionMachine.handle_admin_command`). Apps can add, replace
+    or disable commands using their ``admin_commands`` option (see
+    :class:`App`). The built-in commands are:
+
+        * ``!state``: shows the user's current state and its metadata.
+        * ``!answers``: shows the user's answers.
+        * ``!goto <state>``: puts the user in the given state, so that they
+          continue from it with their next message.
+        * ``!lang <code>``: changes the user's language.
+    */
+    self.admin_commands = {
+        state: function() {
+            return "State: " + JSON.stringify(self.user.state.serialize());
+        },
+
+        answers: function() {
+            return "Answers: " + JSON.stringify(self.user.answers);
+        },
+
+        goto: function(args) {
+            var name = args[0];
+
+            if (!_.has(self.app.states.creators, name)) {
+                return "Unknown state: " + name;
+            }
+
+            self.user.state.reset(name);
+            return "Moved to state: " + name;
+        },
+
+        lang: function(args) {
+            if (!args[0]) {
+                return "Usage: !lang <code>";
+            }
+
+            return self.user.set_lang(args[0]).then(function() {
+                return "Language set to: " + args[0];
+            });
+        }
+    };
+
+    self.is_admin = function(addr) {
+        /**:InteractionMachine.is_admin(addr)
+
+        Determines whether the given address may use admin commands. The
+        allowed addresses are read from the ``admin_addrs`` property of the
+        IM's config (see :class:`IMConfig`). Nobody may use admin commands if
+        the property isn't set.
+
+        :param string addr: the address to check.
+        */
+        return _.includes(self.config.admin_addrs || [], addr);
+    };
+
+    self.handle_admin_command = function(msg) {
+        /**:InteractionMachine.handle_admin_command(msg)
+
+        If the given message is an admin command (for eg, ``!goto
+        states:start``) from an address allowed to use admin commands (see
+        :meth:`InteractionMachine.is_admin`), runs the command and replies
+        with its result, leaving the session open. Returns a promise
+        fulfilled with ``true`` if the message was handled as an admin
+        command, or ``false`` otherwise.
+
+        Commands are looked up in the app's ``admin_commands`` option (see
+        :class:`App`), then in :attr:`InteractionMachine.admin_commands`.
+
+        :param object msg: the received inbound message.
+        */
+        var content = (msg.content || '').trim();
+
+        if (content.charAt(0) != '!' || !self.is_admin(msg.from_addr)) {
+            return Q(false);
+        }
+
+        var args = content.slice(1).split(/\s+/);
+        var name = args.shift();
+        var command = _.has(self.app.admin_commands, name)
+            ? self.app.admin_commands[name]
+            : _.has(self.admin_commands, name)
+                ? self.admin_commands[name]
+                : null;
+
+        if (!command) { return Q(false); }
+        self.log("Running admin command: " + content);
+
+        return Q(command.call(self.app, args, msg, self))
+            .then(function(text) {
+                return self.reply.text(msg, self.user.i18n(text), {
+                    continue_session: true
                 });
+            })
+            .thenResolve(true);
+    };
+
+    self.run_middleware = function(msg) {
+        /**:InteractionMachine.run_middleware(msg)
+
+        Passes the given message through the app's middleware in order (see
+        the ``middleware`` option of :class:`App`). Returns a promise
+        fulfilled with ``false`` if a middleware stopped the message from
+        being processed further, or ``true`` otherwise.
+
+        :param object msg: the received inbound message.
+        */
+        return _.reduce(self.app.middleware, function(p, middleware) {
+            return p.then(function(proceed) {
+                if (!proceed) { return false; }
+
+                return Q(middleware.call(self.app, msg, self.user, self))
+                    .then(function(result) {
+                        return result !== false;
+                    });
             });
+        }, Q(true));
     };
 
     self.handle_message = function(msg) {
@@ -791,20 +1486,57 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
 
             * Emits a :class:`SessionResumeEvent` on the interaction machine
               and waits for its listeners to complete their work
-            * If the message contains usable content, give the content to the
-              state (which fires a :class:`StateInputEvent`).
-            * Send a reply from the current state.
+            * If the message content is the app's back keyword and the user
+              has previously visited states, go back to the most recently
+              visited state (see :meth:`InteractionMachine.go_back`).
+            * Otherwise, if the message content matches one of the app's
+              global keywords, let the keyword decide the next state (see
+              :meth:`AppKeywords.handle`).
+            * Otherwise, if the message contains usable content and is
+              within the state's rate limit, give the content to the state
+              (which fires a :class:`StateInputEvent`). If the state was
+              invalidated, the state's invalid input funnel metric is fired
+              (see :class:`FunnelMetrics`).
+            * Send a reply from the current state, or respond as the exceeded
+              rate limit asks (see :meth:`InteractionMachine.throttle`).
         */
         var p = self.emit(new SessionResumeEvent(self));
 
         if (msg.content) {
             p = p.then(function() {
-                return self.state.input(msg.content);
+                if (self.throttled) { return; }
+
+                if (self.is_back_keyword(msg.content)
+                    && self.state.allows_keyword(self.app.back_keyword)
+                    && self.user.history.length > 0) {
+                    return self.go_back();
+                }
+
+                return self.app.keywords
+                    .handle(msg.content, self.state)
+                    .then(function(handled) {
+                        if (handled) { return; }
+
+                        return self
+                            .check_rate_limit(
+                                'state.' + self.state.name,
+                                self.state.rate_limit)
+                            .then(function(within) {
+                                if (!within) { return; }
+                                return self.state.input(msg.content);
+                            })
+                            .then(function() {
+                                if (!self.state.error) { return; }
+                                return self.funnel.state_invalid(self.state);
+                            });
+                    });
             });
         }
 
         return p.then(function() {
-            return self.reply(msg);
+            return self.throttled
+                ? self.throttle(msg)
+                : self.reply(msg);
         });
     };
 
@@ -845,6 +1577,92 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
             "Received unknown command: " + JSON.stringify(event.cmd));
     });
 
+    self.on('state:enter', function(event) {
+        /**:InteractionMachine.on "state:enter" (event)
+
+        Invoked when a state is entered. Fires the state's funnel metrics
+        (see :class:`FunnelMetrics`), then counts the user as converted for
+        the experiments that have the entered state as their goal (see
+        :meth:`Experiments.convert_goal`).
+
+        :param StateEnterEvent event: the fired event.
+        */
+        return self.funnel
+            .state_enter(event.state)
+            .then(function() {
+                return self.experiments.convert_goal(event.state.name);
+            });
+    });
+
+    self.on('state:exit', function(event) {
+        /**:InteractionMachine.on "state:exit" (event)
+
+        Invoked when a state is exited. Fires the state's funnel metrics (see
+        :class:`FunnelMetrics`).
+
+        :param StateExitEvent event: the fired event.
+        */
+        return self.funnel.state_exit(event.state);
+    });
+
+    self.on('session:new', function(event) {
+        /**:InteractionMachine.on "session:new" (event)
+
+        Invoked when a new session is started. Fires the session's funnel
+        metrics (see :class:`FunnelMetrics`).
+
+        :param SessionNewEvent event: the fired event.
+        */
+        return self.funnel.session_start();
+    });
+
+    self.on('session:close', function(event) {
+        /**:InteractionMachine.on "session:close" (event)
+
+        Invoked when a session is closed. Fires the session's funnel metrics
+        (see :class:`FunnelMetrics`).
+
+        :param SessionCloseEvent event: the fired event.
+        */
+        return self.funnel.session_end();
+    });
+
+    self.on('inbound_event', function(event) {
+        /**:InteractionMachine.on "inbound_event" (event)
+
+        Invoked for an inbound event about a message previously sent by the
+        app (for eg, an ack or delivery report). Sets up the IM without
+        setting up a user or the app, then gives the event to the IM's
+        outbound helper (see :meth:`OutboundHelper.handle_event`).
+
+        :param InboundEventEvent event: the fired event.
+        */
+        return self
+            .setup(null, {user: false})
+            .then(function() {
+                return self.outbound.handle_event(event.event);
+            });
+    });
+
+    self.on('process_scheduled', function(event) {
+        /**:InteractionMachine.on "process_scheduled" (event)
+
+        Invoked when the sandbox is asked to send scheduled messages that are
+        due. Sets up the IM without setting up a user or the app, then sends
+        the due messages (see :meth:`OutboundHelper.process_scheduled`).
+
+        :param ProcessScheduledEvent event: the fired event.
+        */
+        return self
+            .setup(null, {user: false})
+            .then(function() {
+                return self.outbound.process_scheduled();
+            })
+            .then(function(jobs) {
+                return self.log("Sent " + jobs.length + " scheduled message(s)");
+            });
+    });
+
     self.on('inbound_message', function(event) {
         /**:InteractionMachine.on "inbound_message" (event)
 
@@ -855,10 +1673,31 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
 
         The steps performed by this method are roughly:
             * Set up the IM (see :meth:`InteractionMachine.setup`)
-            * If the user is currently in a state (from a previous IM run),
-              switch to this state.
+            * If the message is an admin command from an allowed address,
+              run the command and skip the remaining steps (see
+              :meth:`InteractionMachine.handle_admin_command`).
+            * If the app's ``process_scheduled`` option is set, send any
+              scheduled messages that are due (see
+              :meth:`OutboundHelper.process_scheduled`). Failures are logged
+              rather than failing the handling of the user's message.
+            * Count the message against the app's rate limit. If the limit is
+              exceeded and its action isn't ``'defer'``, respond as the limit
+              asks and skip the remaining steps (see
+              :meth:`InteractionMachine.throttle`).
+            * Pass the message through the app's middleware (see
+              :meth:`InteractionMachine.run_middleware`). If a middleware
+              stops the message from being processed further, the remaining
+              steps are skipped.
+            * If the user's previous session timed out, emit a
+              :class:`SessionTimeoutEvent` and possibly ask the user whether
+              they would like to continue (see
+              :meth:`InteractionMachine.resume_timed_out`).
+            * Otherwise, if the user is currently in a state (from a previous
+              IM run), switch to this state.
             * Otherwise, this is a new user, so switch to the IM's configured
               start state
+            * If session timeouts are being detected, record the user's last
+              activity.
             * Handle the message based on its session event type (see
               :meth:`InteractionMachine.handle_message`).
         */
@@ -874,15 +1713,73 @@ var InteractionMachine = Eventable.extend(function(self, api, app) {
         return self
             .setup(msg, {reset: reset})
             .then(function() {
-                if (self.user.state.exists()) {
-                    return self.resume_state(self.user.state);
-                } else {
-                    return self.enter_state(self.app.start_state_name);
-                }
+                return self.handle_admin_command(msg);
             })
-            .then(function() {
-                self.log("Switched to state: " + self.state.name);
-                return self.handle_message(msg);
+            .then(function(handled) {
+                if (handled) { return false; }
+
+                return Q()
+                    .then(function() {
+                        if (!self.app.process_scheduled) { return; }
+
+                        // the user's message shouldn't fail because of
+                        // messages scheduled by other runs
+                        return self.outbound
+                            .process_scheduled()
+                            .catch(function(e) {
+                                return self.log.error([
+                                    "Failed to process scheduled messages:",
+                                    e.stack || e.message
+                                ].join(' '));
+                            });
+                    })
+                    .then(function() {
+                        return self.check_rate_limit(
+                            'app', self.app.rate_limit);
+                    })
+                    .then(function(within) {
+                        if (!within && self.throttled.action != 'defer') {
+                            return self.throttle(msg).thenResolve(false);
+                        }
+
+                        return self
+                            .run_middleware(msg)
+                            .then(function(proceed) {
+                                if (!proceed) {
+                                    self.log("Message processing stopped " +
+                                             "by middleware");
+                                }
+
+                                return proceed;
+                            });
+                    });
+            })
+            .then(function(proceed) {
+                if (!proceed) { return; }
+
+                return Q()
+                    .then(function() {
+                        if (self.timed_out(msg)) {
+                            return self.resume_timed_out();
+                        } else if (self.user.state.exists()) {
+                            return self.resume_state(self.user.state);
+                        } else {
+                            return self.enter_state(self.app.start_state_name);
+                        }
+                    })
+                    .then(function() {
+                        // close events aren't user input, so they shouldn't
+                        // stop timed out sessions from being detected
+                        var active = utils.exists(self.app.session_timeout)
+                                  && msg.session_event != 'close';
+
+                        if (active) {
+                            self.user.last_active = self.now();
+                        }
+
+                        self.log("Switched to state: " + self.state.name);
+                        return self.handle_message(msg);
+                    });
             });
     });
 
@@ -923,13 +1820,19 @@ function interact(api, f) {
 this.InteractionMachine = InteractionMachine;
 this.interact = interact;
 
+this.ApiError = ApiError;
+this.ApiTimeoutError = ApiTimeoutError;
+
 this.IMEvent = IMEvent;
 this.IMErrorEvent = IMErrorEvent;
 this.IMShutdownEvent = IMShutdownEvent;
 this.InboundMessageEvent = InboundMessageEvent;
 this.InboundEventEvent = InboundEventEvent;
 this.UnknownCommandEvent = UnknownCommandEvent;
+this.ProcessScheduledEvent = ProcessScheduledEvent;
 this.ReplyEvent = ReplyEvent;
 this.SessionNewEvent = SessionNewEvent;
 this.SessionResumeEvent = SessionResumeEvent;
+this.SessionTimeoutEvent = SessionTimeoutEvent;
+this.RateLimitEvent = RateLimitEvent;
 this.SessionCloseEvent = SessionCloseEvent;
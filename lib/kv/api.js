@@ -0,0 +1,164 @@
+var _ = require('lodash');
+
+var events = require('../events');
+var Eventable = events.Eventable;
+
+
+var KvStore = Eventable.extend(function(self, im) {
+    /**class:KvStore(im)
+
+    Provides promise-based access to the sandbox's key-value data store
+    resource for the :class:`InteractionMachine`. Keys are namespaced under
+    the store's ``store_name``, so that apps sharing a key-value store do not
+    clobber each other's data.
+
+    :param InteractionMachine im:
+        the interaction machine to which this store is associated
+    */
+    Eventable.call(self);
+    self.im = im;
+
+    /**attribute:KvStore.store_name
+    The namespace used to prefix keys in the store.
+    */
+    self.store_name = null;
+
+    self.setup = function(opts) {
+        /**:KvStore.setup([opts])
+
+        Sets up the key-value store.
+
+        :param string opts.store_name:
+            the store/namespace to prefix keys with. Defaults to 'default'.
+        */
+        opts = _.defaults(opts || {}, {store_name: 'default'});
+        self.store_name = opts.store_name;
+        return self.emit.setup();
+    };
+
+    self.key = function(key) {
+        /**:KvStore.key(key)
+
+        Returns the namespaced key under which the value for ``key`` is stored
+        (``<store_name>.<key>``).
+
+        :param string key:
+            the un-namespaced key.
+        */
+        return [self.store_name, key].join('.');
+    };
+
+    self.get = function(key, opts) {
+        /**:KvStore.get(key[, opts])
+
+        Retrieves the value stored for ``key``. Returns a promise fulfilled
+        with the value, or with ``opts.default`` if the key does not exist.
+
+        :param string key:
+            the key to look up.
+        :param boolean opts.json:
+            whether the value was stored as a JSON string (see
+            :meth:`KvStore.set`) and should be parsed with ``JSON.parse``.
+            Defaults to ``false``.
+        :param opts.default:
+            the value to fulfill the promise with if the key does not exist.
+            Defaults to ``null``.
+        */
+        opts = _.defaults(opts || {}, {
+            json: false,
+            default: null
+        });
+
+        return self.im
+            .api_request('kv.get', {key: self.key(key)})
+            .then(function(reply) {
+                var value = reply.value;
+
+                if (_.isUndefined(value) || value === null) {
+                    return opts.default;
+                }
+
+                return opts.json
+                    ? JSON.parse(value)
+                    : value;
+            });
+    };
+
+    self.set = function(key, value, opts) {
+        /**:KvStore.set(key, value[, opts])
+
+        Stores ``value`` under ``key``. Returns a promise fulfilled once the
+        value has been stored.
+
+        :param string key:
+            the key to store the value under.
+        :param value:
+            the value to store. Needs to be JSON-serializable.
+        :param integer opts.seconds:
+            how long the value should be stored for before expiring. Defaults
+            to ``null`` (i.e. the value does not expire).
+        :param boolean opts.json:
+            whether the value should be stored as a string encoded with
+            ``JSON.stringify``. Defaults to ``false``.
+        */
+        opts = _.defaults(opts || {}, {
+            seconds: null,
+            json: false
+        });
+
+        return self.im
+            .api_request('kv.set', {
+                key: self.key(key),
+                value: opts.json
+                    ? JSON.stringify(value)
+                    : value,
+                seconds: opts.seconds
+            })
+            .then(function(reply) {
+                return reply.success;
+            });
+    };
+
+    self.incr = function(key, opts) {
+        /**:KvStore.incr(key[, opts])
+
+        Increments the integer value stored under ``key``, then returns the new
+        value via a promise. If the key does not exist, it is initialised to
+        zero before being incremented.
+
+        :param string key:
+            the key of the value to increment.
+        :param integer opts.amount:
+            the amount to increment by. Defaults to ``1``.
+        */
+        opts = _.defaults(opts || {}, {amount: 1});
+
+        return self.im
+            .api_request('kv.incr', {
+                key: self.key(key),
+                amount: opts.amount
+            })
+            .then(function(reply) {
+                return reply.value;
+            });
+    };
+
+    self.delete = function(key) {
+        /**:KvStore.delete(key)
+
+        Deletes the value stored under ``key``. Returns a promise fulfilled
+        with ``true`` if the key existed, or ``false`` otherwise.
+
+        :param string key:
+            the key to delete.
+        */
+        return self.im
+            .api_request('kv.delete', {key: self.key(key)})
+            .then(function(reply) {
+                return reply.existed;
+            });
+    };
+});
+
+
+this.KvStore = KvStore;
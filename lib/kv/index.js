@@ -1 +1,2 @@
+this.api = require('./api');
 this.dummy = require('./dummy');
@@ -0,0 +1,203 @@
+var Q = require('q');
+var _ = require('lodash');
+
+var events = require('../events');
+var Eventable = events.Eventable;
+
+
+var FunnelMetrics = Eventable.extend(function(self, im) {
+    /**class:FunnelMetrics(im)
+
+    Fires standard metrics as users move through an app, so that apps do not
+    need to fire these by hand. Funnel metrics are opt-in, and are enabled
+    using the ``funnel_metrics`` config property, which may either be
+    ``true`` or an object with the following options:
+
+        - ``templates``: an object mapping the events below to the templates
+          to use for their metric names, overriding the defaults. Templates
+          may refer to the name of the relevant state using ``{{state}}``.
+          Mapping an event to ``null`` stops its metric from being fired.
+
+    The following events fire metrics (the defaults for their templates are
+    given in brackets):
+
+        - ``state_enter``: a state was entered
+          (``funnel.states.{{state}}.enter``).
+        - ``state_exit``: a state was exited
+          (``funnel.states.{{state}}.exit``).
+        - ``state_invalid``: a user gave a state invalid input
+          (``funnel.states.{{state}}.invalid``).
+        - ``state_unique_users``: a state was entered by a user for the first
+          time (``funnel.states.{{state}}.unique_users``).
+        - ``session_start``: a new session was started
+          (``funnel.sessions.start``).
+        - ``session_end``: a session was ended (``funnel.sessions.end``).
+        - ``unique_users``: a user started a session for the first time
+          (``funnel.unique_users``).
+
+    Each metric is fired using :meth:`MetricStore.fire.inc`, so its value is
+    the total number of times the event has happened. Users are counted
+    once for the unique user metrics by keeping a record of the users that
+    have been seen in the interaction machine's :class:`KvStore`. Characters
+    that are not allowed in metric names (for eg. the ``:`` in
+    ``states:start``) are replaced with ``_``.
+
+    .. code-block:: javascript
+
+        {
+            "name": "my_app",
+            "funnel_metrics": {
+                "templates": {
+                    "state_enter": "{{state}}.visits",
+                    "state_exit": null
+                }
+            }
+        }
+
+    :param InteractionMachine im:
+        the interaction machine to which the funnel metrics are associated.
+    */
+    Eventable.call(self);
+    self.im = im;
+
+    /**attribute:FunnelMetrics.enabled
+    Whether funnel metrics are fired.
+    */
+    self.enabled = false;
+
+    /**attribute:FunnelMetrics.templates
+    The templates used for each event's metric name.
+    */
+    self.templates = {};
+
+    self.defaults = {
+        state_enter: 'funnel.states.{{state}}.enter',
+        state_exit: 'funnel.states.{{state}}.exit',
+        state_invalid: 'funnel.states.{{state}}.invalid',
+        state_unique_users: 'funnel.states.{{state}}.unique_users',
+        session_start: 'funnel.sessions.start',
+        session_end: 'funnel.sessions.end',
+        unique_users: 'funnel.unique_users'
+    };
+
+    self.setup = function(opts) {
+        /**:FunnelMetrics.setup([opts])
+
+        Sets up the funnel metrics.
+
+        :param boolean opts.enabled:
+            whether funnel metrics should be fired. Defaults to ``false``.
+        :param object opts.templates:
+            templates to use for the events' metric names instead of the
+            defaults.
+        */
+        opts = _.defaults(opts || {}, {
+            enabled: false,
+            templates: {}
+        });
+
+        self.enabled = opts.enabled;
+        self.templates = _.extend({}, self.defaults, opts.templates);
+        return self.emit.setup();
+    };
+
+    self.metric_name = function(event, state) {
+        /**:FunnelMetrics.metric_name(event[, state])
+
+        Returns the name of the metric fired for ``event``, or ``null`` if
+        the event's metric is disabled.
+
+        :param string event:
+            the event, for eg. ``'state_enter'``.
+        :param string state:
+            the name of the relevant state, for state events.
+        */
+        var template = self.templates[event];
+
+        if (typeof template == 'undefined' || template === null) {
+            return null;
+        }
+
+        return template
+            .replace(/{{\s*state\s*}}/g, state || '')
+            .replace(/[^a-zA-Z0-9._]/g, '_');
+    };
+
+    self.fire = function(event, state) {
+        /**:FunnelMetrics.fire(event[, state])
+
+        Fires the metric for ``event`` if funnel metrics are enabled. Returns
+        a promise fulfilled once the metric has been fired.
+
+        :param string event:
+            the event, for eg. ``'state_enter'``.
+        :param string state:
+            the name of the relevant state, for state events.
+        */
+        var name = self.metric_name(event, state);
+
+        if (!self.enabled || name === null) {
+            return Q();
+        }
+
+        return self.im.metrics.fire.inc(name);
+    };
+
+    self.fire.unique = function(event, state) {
+        /**:FunnelMetrics.fire.unique(event[, state])
+
+        Fires the metric for ``event`` if funnel metrics are enabled and the
+        current user has not been counted for the metric before. Returns a
+        promise fulfilled once the metric has been fired.
+
+        :param string event:
+            the event, for eg. ``'unique_users'``.
+        :param string state:
+            the name of the relevant state, for state events.
+        */
+        var name = self.metric_name(event, state);
+
+        if (!self.enabled || name === null || !self.im.user) {
+            return Q();
+        }
+
+        return self.im.kv
+            .incr(['funnel_metrics', name, self.im.user.addr].join('.'))
+            .then(function(count) {
+                if (count === 1) {
+                    return self.im.metrics.fire.inc(name);
+                }
+            });
+    };
+
+    self.state_enter = function(state) {
+        return self
+            .fire('state_enter', state.name)
+            .then(function() {
+                return self.fire.unique('state_unique_users', state.name);
+            });
+    };
+
+    self.state_exit = function(state) {
+        return self.fire('state_exit', state.name);
+    };
+
+    self.state_invalid = function(state) {
+        return self.fire('state_invalid', state.name);
+    };
+
+    self.session_start = function() {
+        return self
+            .fire('session_start')
+            .then(function() {
+                return self.fire.unique('unique_users');
+            });
+    };
+
+    self.session_end = function() {
+        return self.fire('session_end');
+    };
+});
+
+
+this.FunnelMetrics = FunnelMetrics;
@@ -1,2 +1,3 @@
 this.api = require('./api');
 this.dummy = require('./dummy');
+this.funnel = require('./funnel');
@@ -5,11 +5,74 @@ var contacts = require('../contacts/api');
 var Contact = contacts.Contact;
 
 var events = require('../events');
+var Event = events.Event;
 var Eventable = events.Eventable;
 
 var utils = require('../utils');
 
 
+var OutboundEvent = Event.extend(function(self, name, record, event) {
+    /**class:OutboundEvent(name, record, event)
+
+    An event relating to a message previously sent using
+    :meth:`OutboundHelper.send`.
+
+    These events are emitted by :attr:`InteractionMachine.outbound` in runs
+    for inbound events, where the app is not set up. Apps can listen for
+    them using the ``events`` option of :class:`App` (for eg,
+    ``'im.outbound outbound:failed'``).
+
+    :param string name:
+        the event type's name.
+    :param object record:
+        the tracked data about the sent message (see
+        :meth:`OutboundHelper.track`).
+    :param object event:
+        the event message received from the transport.
+    */
+    Event.call(self, name);
+    self.record = record;
+    self.event = event;
+});
+
+
+var OutboundDeliveredEvent = OutboundEvent.extend(function(self, record, event) {
+    /**class:OutboundDeliveredEvent(record, event)
+
+    Emitted when a delivery report arrives saying that a message previously
+    sent using :meth:`OutboundHelper.send` was delivered.
+
+    :param object record:
+        the tracked data about the sent message (see
+        :meth:`OutboundHelper.track`).
+    :param object event:
+        the delivery report received from the transport.
+
+    The event type is ``outbound:delivered``.
+    */
+    OutboundEvent.call(self, 'outbound:delivered', record, event);
+});
+
+
+var OutboundFailedEvent = OutboundEvent.extend(function(self, record, event) {
+    /**class:OutboundFailedEvent(record, event)
+
+    Emitted when a message previously sent using :meth:`OutboundHelper.send`
+    was rejected by the transport (a ``nack``), or a delivery report arrives
+    saying that the message could not be delivered.
+
+    :param object record:
+        the tracked data about the sent message (see
+        :meth:`OutboundHelper.track`).
+    :param object event:
+        the event message received from the transport.
+
+    The event type is ``outbound:failed``.
+    */
+    OutboundEvent.call(self, 'outbound:failed', record, event);
+});
+
+
 var OutboundHelper = Eventable.extend(function(self, im) {
     /**:OutboundHelper(im)
 
@@ -26,6 +89,22 @@ var OutboundHelper = Eventable.extend(function(self, im) {
     */
     self.delivery_class = null;
 
+    /**attribute:OutboundHelper.tracking_ttl
+    The number of seconds for which data about sent messages is kept (see
+    :meth:`OutboundHelper.track`).
+    */
+    self.tracking_ttl = null;
+
+    /**attribute:OutboundHelper.claim_ttl
+    The number of seconds for which a scheduled job stays claimed by the run
+    sending it (see :meth:`OutboundHelper.process_scheduled`). Once a job's
+    message has been sent, its claim is kept until it expires, so that runs
+    that read the job before it was removed do not send it again. If a run
+    fails before it is done with a job, the job can be sent by another run
+    once the claim expires. Defaults to ``600``.
+    */
+    self.claim_ttl = 600;
+
     self.determine_delivery_class = function(endpoint_name) {
         var endpoint = self.endpoints[endpoint_name];
 
@@ -54,14 +133,20 @@ var OutboundHelper = Eventable.extend(function(self, im) {
             :class:`Contact`. :class:`InteractionMachine` sets this using
             the app config's ``'delivery_class'`` property, or ``'ussd'``
             if not specified.
+        :param integer opts.tracking_ttl:
+            The number of seconds for which data about sent messages is kept.
+            :class:`InteractionMachine` sets this using the app config's
+            ``'outbound_tracking_ttl'`` property. Defaults to one week.
         */
         opts = _.defaults(opts || {}, {
             endpoints: {},
-            delivery_class: 'ussd'
+            delivery_class: 'ussd',
+            tracking_ttl: 604800
         });
 
         self.endpoints = opts.endpoints;
         self.delivery_class = opts.delivery_class;
+        self.tracking_ttl = opts.tracking_ttl;
 
         return self.emit.setup();
     };
@@ -107,6 +192,14 @@ var OutboundHelper = Eventable.extend(function(self, im) {
             a letter language code (e.g. ``sw``, ``en``) to translate the
             content. If not given, the content will be translated to the user's
             current language.
+        :param object opts.metadata:
+            additional data to keep about the sent message, made available
+            to listeners of :class:`OutboundDeliveredEvent` and
+            :class:`OutboundFailedEvent`. Optional.
+
+        Once sent, the message is tracked so that acks, nacks and delivery
+        reports for it can be correlated with it (see
+        :meth:`OutboundHelper.track`).
         */
         var to_addr = opts.to instanceof Contact
             ? self.addr_for_contact(opts.to, opts.endpoint)
@@ -115,10 +208,420 @@ var OutboundHelper = Eventable.extend(function(self, im) {
         return self
             ._translate(opts.content, opts.lang)
             .then(function(content) {
-                return self.im.api_request('outbound.send_to_endpoint', {
+                return self._send(
+                    to_addr, opts.endpoint, content, opts.metadata || {});
+            });
+    };
+
+    self._send = function(to_addr, endpoint, content, metadata) {
+        return self.im
+            .api_request('outbound.send_to_endpoint', {
+                to_addr: to_addr,
+                content: content,
+                endpoint: endpoint
+            })
+            .then(function(reply) {
+                if (!utils.exists(reply.message_id)) { return reply; }
+
+                return self
+                    .track({
+                        message_id: reply.message_id,
+                        to_addr: to_addr,
+                        endpoint: endpoint,
+                        content: content,
+                        metadata: metadata
+                    })
+                    .thenResolve(reply);
+            });
+    };
+
+    self.schedule_key = 'outbound.schedule';
+
+    self.schedule_keys = {};
+
+    self.schedule_keys.next = function() {
+        return [self.schedule_key, 'next'].join('.');
+    };
+
+    self.schedule_keys.index = function() {
+        return [self.schedule_key, 'index'].join('.');
+    };
+
+    self.schedule_keys.job = function(slot) {
+        return [self.schedule_key, 'jobs', slot].join('.');
+    };
+
+    self.schedule_keys.id = function(id) {
+        return [self.schedule_key, 'ids', id].join('.');
+    };
+
+    self.schedule_keys.claim = function(slot) {
+        return [self.schedule_key, 'claims', slot].join('.');
+    };
+
+    self.schedule = function(opts) {
+        /**:OutboundHelper.schedule(opts)
+
+        Schedules a message to be sent to an address or contact at a later
+        time. The job is stored under its own key in the interaction machine's
+        key-value store until it is due, and is sent the next time due jobs
+        are processed (see :meth:`OutboundHelper.process_scheduled`). Returns
+        a promise fulfilled with the job's id.
+
+        :type opts.to:
+            string or :class:`Contact`.
+        :param opts.to:
+            The address or contact to send to.
+        :param string opts.endpoint:
+            The endpoint to send to over (for e.g. ``'sms'``).
+        :type opts.content:
+            string or :class:`LazyText`
+        :param opts.content:
+            The content to be sent. The content is translated when the job is
+            scheduled, rather than when it is sent.
+        :param opts.at:
+            The time at which the message should be sent, as a ``Date``, a
+            ``moment`` or the number of milliseconds since the epoch.
+        :param integer opts.delay:
+            The number of seconds from now after which the message should be
+            sent. Used if ``opts.at`` isn't given. Defaults to ``0``.
+        :param string opts.delivery_class:
+            The delivery class to send over for the contact. See
+            :meth:`OutboundHelper.send`.
+        :param string opts.lang:
+            a letter language code to translate the content. If not given,
+            the content will be translated to the user's current language.
+        :param object opts.metadata:
+            additional data to keep about the sent message. See
+            :meth:`OutboundHelper.send`.
+
+        .. code-block:: javascript
+
+            self.im.outbound.schedule({
+                to: self.im.user.addr,
+                endpoint: 'sms',
+                content: $('Remember your appointment tomorrow!'),
+                delay: 3 * 24 * 60 * 60
+            });
+        */
+        opts = _.defaults(opts || {}, {
+            delay: 0,
+            metadata: {}
+        });
+
+        var to_addr = opts.to instanceof Contact
+            ? self.addr_for_contact(opts.to, opts.endpoint)
+            : opts.to;
+
+        var at = utils.exists(opts.at)
+            ? new Date(opts.at).getTime()
+            : self.im.now() + (opts.delay * 1000);
+
+        return self
+            ._translate(opts.content, opts.lang)
+            .then(function(content) {
+                var job = {
+                    id: utils.uuid(),
+                    at: at,
                     to_addr: to_addr,
+                    endpoint: opts.endpoint,
                     content: content,
-                    endpoint: opts.endpoint
+                    metadata: opts.metadata
+                };
+
+                return self.im.kv
+                    .incr(self.schedule_keys.next())
+                    .then(function(slot) {
+                        job.slot = slot;
+                        return self.im.kv.set(
+                            self.schedule_keys.job(slot), job);
+                    })
+                    .then(function() {
+                        return self.im.kv.set(
+                            self.schedule_keys.id(job.id), job.slot);
+                    })
+                    .thenResolve(job.id);
+            });
+    };
+
+    self.get_scheduled = function() {
+        /**:OutboundHelper.get_scheduled()
+
+        Retrieves the jobs for messages that have been scheduled but not yet
+        sent. Returns a promise fulfilled with an array of the jobs, each
+        having the properties ``id``, ``at`` (milliseconds since the epoch),
+        ``to_addr``, ``endpoint``, ``content``, ``metadata`` and ``slot``.
+
+        Each job is kept under its own key, in a numbered slot taken from a
+        counter in the key-value store, so that runs scheduling messages at
+        the same time do not overwrite each other's jobs. The keys of jobs
+        that are done are deleted. An index of the slots of pending jobs is
+        kept, so that each lookup only reads the pending jobs and the jobs
+        scheduled since the index was last updated.
+        */
+        var kv = self.im.kv;
+
+        return Q
+            .all([
+                kv.get(self.schedule_keys.index(), {
+                    default: {
+                        upto: 0,
+                        slots: []
+                    }
+                }),
+                kv.get(self.schedule_keys.next(), {default: 0})
+            ])
+            .spread(function(index, next) {
+                var slots = index.slots.concat(
+                    _.range(index.upto + 1, next + 1));
+
+                return Q
+                    .all(slots.map(function(slot) {
+                        return kv.get(self.schedule_keys.job(slot));
+                    }))
+                    .then(function(jobs) {
+                        return self
+                            .update_index(index, slots, jobs)
+                            .thenResolve(_.filter(jobs, function(job) {
+                                return job !== null;
+                            }));
+                    });
+            });
+    };
+
+    self.update_index = function(index, slots, jobs) {
+        // an empty slot past the indexed slots may belong to a job that is
+        // still being scheduled, so the index stops short of it. Empty slots
+        // that were indexed belong to jobs that are done.
+        var upto = index.upto;
+        var pending = [];
+        var gap = false;
+
+        slots.forEach(function(slot, i) {
+            if (slot > index.upto) {
+                gap = gap || jobs[i] === null;
+                if (gap) { return; }
+                upto = slot;
+            }
+
+            if (jobs[i] !== null) {
+                pending.push(slot);
+            }
+        });
+
+        if (upto === index.upto && _.isEqual(pending, index.slots)) {
+            return Q();
+        }
+
+        return self.im.kv.set(self.schedule_keys.index(), {
+            upto: upto,
+            slots: pending
+        });
+    };
+
+    self.claim = function(slot) {
+        // kv.incr is atomic, so only one run gets to claim each job
+        var key = self.schedule_keys.claim(slot);
+
+        return self.im.kv
+            .incr(key)
+            .then(function(count) {
+                if (count !== 1) { return false; }
+
+                return self.im.kv
+                    .set(key, count, {seconds: self.claim_ttl})
+                    .thenResolve(true);
+            });
+    };
+
+    self.release = function(slot) {
+        return self.im.kv.delete(self.schedule_keys.claim(slot));
+    };
+
+    self.finish = function(job) {
+        // the claim is left to expire, so that runs that read the job before
+        // it was deleted cannot claim it again
+        return self.im.kv
+            .delete(self.schedule_keys.job(job.slot))
+            .then(function() {
+                return self.im.kv.delete(self.schedule_keys.id(job.id));
+            });
+    };
+
+    self.cancel = function(id) {
+        /**:OutboundHelper.cancel(id)
+
+        Cancels the scheduled message with the given job id. Returns a promise
+        fulfilled with ``true`` if the job was cancelled, or ``false`` if no
+        such job was scheduled (for eg, if it was already sent, or is being
+        sent).
+
+        :param string id: the id of the job to cancel.
+        */
+        return self.im.kv
+            .get(self.schedule_keys.id(id))
+            .then(function(slot) {
+                if (slot === null) { return false; }
+
+                return self.claim(slot).then(function(claimed) {
+                    if (!claimed) { return false; }
+
+                    return self
+                        .finish({
+                            id: id,
+                            slot: slot
+                        })
+                        .thenResolve(true);
+                });
+            });
+    };
+
+    self.process_scheduled = function() {
+        /**:OutboundHelper.process_scheduled()
+
+        Sends the scheduled messages that are due, in the order they are due.
+        Each job is claimed before its message is sent (see
+        :attr:`OutboundHelper.claim_ttl`), so that runs processing the
+        schedule at the same time do not send the same message twice, and is
+        only removed once its message has been sent. If sending a message
+        fails, the failure is logged, the job is released and left in the
+        schedule to be retried the next time due jobs are processed, and
+        the remaining jobs are still sent. Returns a promise fulfilled with
+        the jobs that were sent.
+
+        :class:`InteractionMachine` calls this when it receives a
+        ``process_scheduled`` command, and for each inbound message if the
+        app's ``process_scheduled`` option is set (see :class:`App`).
+        */
+        var now = self.im.now();
+
+        return self
+            .get_scheduled()
+            .then(function(jobs) {
+                var due = _(jobs)
+                    .filter(function(job) { return job.at <= now; })
+                    .sortBy('at')
+                    .value();
+
+                var sent = [];
+
+                return due
+                    .reduce(function(p, job) {
+                        return p.then(function() {
+                            return self.process_job(job).then(function(done) {
+                                if (done) { sent.push(job); }
+                            });
+                        });
+                    }, Q())
+                    .then(function() {
+                        return sent;
+                    });
+            });
+    };
+
+    self.process_job = function(job) {
+        return self
+            .claim(job.slot)
+            .then(function(claimed) {
+                if (!claimed) { return false; }
+
+                return Q()
+                    .then(function() {
+                        return self._send(
+                            job.to_addr,
+                            job.endpoint,
+                            job.content,
+                            job.metadata);
+                    })
+                    .then(function() {
+                        return self.finish(job).thenResolve(true);
+                    }, function(e) {
+                        return self
+                            .release(job.slot)
+                            .then(function() {
+                                return self.im.log.error([
+                                    "Failed to send scheduled message",
+                                    job.id + ":",
+                                    e.message
+                                ].join(' '));
+                            })
+                            .thenResolve(false);
+                    });
+            });
+    };
+
+    self.key = function(message_id) {
+        return ['outbound', message_id].join('.');
+    };
+
+    self.track = function(record) {
+        /**:OutboundHelper.track(record)
+
+        Stores data about a sent message in the interaction machine's
+        key-value store (see :class:`KvStore`) for
+        :attr:`OutboundHelper.tracking_ttl` seconds. Returns a promise
+        fulfilled once the data has been stored.
+
+        :param string record.message_id: the id of the sent message.
+        :param string record.to_addr: the address the message was sent to.
+        :param string record.endpoint: the endpoint the message was sent over.
+        :param string record.content: the content that was sent.
+        :param object record.metadata: additional data about the message.
+        :param string record.status:
+            the message's most recent delivery status. Defaults to ``'sent'``.
+        */
+        record = _.defaults(record, {status: 'sent'});
+
+        return self.im.kv.set(self.key(record.message_id), record, {
+            seconds: self.tracking_ttl
+        });
+    };
+
+    self.get_tracked = function(message_id) {
+        /**:OutboundHelper.get_tracked(message_id)
+
+        Retrieves the data stored about the sent message with the given id.
+        Returns a promise fulfilled with the data, or with ``null`` if the
+        message is not being tracked.
+
+        :param string message_id: the id of the sent message.
+        */
+        return self.im.kv.get(self.key(message_id));
+    };
+
+    self.handle_event = function(event) {
+        /**:OutboundHelper.handle_event(event)
+
+        Updates the tracked status of the sent message that the given event
+        is about, then emits a :class:`OutboundDeliveredEvent` or
+        :class:`OutboundFailedEvent` if the event says the message was
+        delivered or failed. Events for messages that are not being tracked
+        are ignored. Returns a promise fulfilled once listeners are done.
+
+        :param object event:
+            the event message received from the transport. Its
+            ``event_type`` is one of ``'ack'``, ``'nack'`` or
+            ``'delivery_report'``.
+        */
+        return self
+            .get_tracked(event.user_message_id)
+            .then(function(record) {
+                if (record === null) { return; }
+
+                record.status = event.event_type == 'delivery_report'
+                    ? event.delivery_status
+                    : event.event_type;
+
+                return self.track(record).then(function() {
+                    if (record.status == 'delivered') {
+                        return self.emit(
+                            new OutboundDeliveredEvent(record, event));
+                    }
+
+                    if (record.status == 'nack' || record.status == 'failed') {
+                        return self.emit(
+                            new OutboundFailedEvent(record, event));
+                    }
                 });
             });
     };
@@ -145,3 +648,6 @@ var OutboundHelper = Eventable.extend(function(self, im) {
 
 
 this.OutboundHelper = OutboundHelper;
+this.OutboundEvent = OutboundEvent;
+this.OutboundDeliveredEvent = OutboundDeliveredEvent;
+this.OutboundFailedEvent = OutboundFailedEvent;
@@ -114,7 +114,10 @@ var DummyOutboundResource = DummyResource.extend(function(self, name, config) {
             endpoint: cmd.endpoint
         });
 
-        return {success: true};
+        return {
+            success: true,
+            message_id: utils.uuid()
+        };
     };
 });
 
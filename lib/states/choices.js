@@ -454,6 +454,16 @@ var PaginatedChoiceState = ChoiceState.extend(function(self, name, opts) {
             .length;
     };
 
+    self.is_navigation_choice = function(choice) {
+        /**:PaginatedChoiceState.is_navigation_choice(choice)
+        Return ``true`` if the choice is used for navigating between pages
+        rather than being one of the state's choices.
+
+        :param Choice choice: choice to be checked.
+        */
+        return choice === self.back || choice === self.more;
+    };
+
     self.process_choice = function(choice) {
         var diff;
 
@@ -479,7 +489,7 @@ var PaginatedChoiceState = ChoiceState.extend(function(self, name, opts) {
         var orig_lengths = [];
         choices.forEach(function (choice, index) {
             var text_length = self.format_choice(choice, index).length;
-            if (choice == self.back || choice == self.more) {
+            if (self.is_navigation_choice(choice)) {
                 // these are subtracted from left
                 orig_lengths[index] = 0;
                 text_lengths[index] = 0;
@@ -514,7 +524,7 @@ var PaginatedChoiceState = ChoiceState.extend(function(self, name, opts) {
         }
 
         return choices.map(function (choice, index) {
-            if (choice === self.back || choice === self.more)
+            if (self.is_navigation_choice(choice))
                 return choice;
 
             var trunc = text_lengths[index] - orig_lengths[index];
@@ -528,8 +538,266 @@ var PaginatedChoiceState = ChoiceState.extend(function(self, name, opts) {
 });
 
 
+var MultiChoiceState = PaginatedChoiceState.extend(function(self, name, opts) {
+    /**class:MultiChoiceState(name, opts)
+
+    A paginated choice state that allows the user to select more than one of
+    its choices. Users can either toggle choices on and off one at a time
+    (across one or more pages), then select the ``done`` choice, or select
+    several choices at once by giving their numbers separated by commas or
+    spaces (for e.g. ``1,3,4``), which also completes the selection.
+
+    Once the selection is complete, the values of the selected choices are
+    saved as the user's answer as an array, in the order the choices were
+    given to the state.
+
+    :param string name:
+        name used to identify and refer to the state
+    :type opts.question: string or LazyText
+    :param opts.question:
+        text to display to the user
+    :type opts.choices: Array of :class:`Choice` objects
+    :param opts.choices:
+        ordered list of choices to display
+    :type opts.error: string or LazyText
+    :param opts.error:
+        error text to display to the user if bad user input was given.
+        Optional.
+    :type opts.error_min: string or LazyText
+    :param opts.error_min:
+        error text to display to the user if fewer than ``opts.min`` choices
+        were selected. Defaults to ``opts.error``.
+    :type opts.error_max: string or LazyText
+    :param opts.error_max:
+        error text to display to the user if more than ``opts.max`` choices
+        were selected. Defaults to ``opts.error``.
+    :param integer opts.min:
+        the minimum number of choices the user needs to select. Defaults to
+        ``1``.
+    :param integer opts.max:
+        the maximum number of choices the user may select. Defaults to
+        ``null`` (i.e. no maximum).
+    :param string opts.done:
+        the choice label to display to the user for completing the selection.
+        Defaults to ``'Done'``.
+    :param string opts.marker:
+        text to prefix the labels of selected choices with. Defaults to
+        ``'*'``.
+    :param boolean opts.accept_labels:
+        whether choice labels are accepted as the user's responses for
+        toggling single choices. Defaults to ``false``.
+    :param string opts.back:
+        the choice label to display to the user for going back a page.
+        Default is `"Back"`.
+    :param string opts.more:
+        the choice label to display to the user for going to the next page
+        Default is `"More"`.
+    :param int opts.options_per_page:
+        maximum number of choices to display per page. See
+        :class:`PaginatedChoiceState`.
+    :param int opts.characters_per_page:
+        maximum number of characters to display per page. See
+        :class:`PaginatedChoiceState`.
+    :param fn_or_str_or_obj opts.next:
+        state that the user should visit after this state. May either be the
+        name of the next state, an options object representing the next state,
+        or a function of the form ``f(choices)`` returning either, where
+        ``choices`` is the array of :class:`Choice` objects selected by the
+        user. If ``next`` is ``null`` or not defined, the state machine will
+        be left in the current state. See :meth:`State.set_next_state`.
+    :param object opts.events:
+        Optional event name-listener mappings to bind.
+    :type fn_or_str_or_obj:
+        function, string, or object.
+
+    .. code-block:: javascript
+
+        self.states.add('states:symptoms', function(name) {
+            return new MultiChoiceState(name, {
+                question: $('Which symptoms do you have?'),
+                choices: [
+                    new Choice('fever', $('Fever')),
+                    new Choice('cough', $('Cough')),
+                    new Choice('rash', $('Rash'))],
+                max: 2,
+                next: 'states:end'
+            });
+        });
+    */
+    opts = _.defaults(opts || {}, {
+        min: 1,
+        max: null,
+        done: "Done",
+        marker: "*",
+        error_min: null,
+        error_max: null
+    });
+
+    PaginatedChoiceState.call(self, name, opts);
+    self.done = new Choice("__done__", opts.done);
+    self.min = opts.min;
+    self.max = opts.max;
+    self.marker = opts.marker;
+    self.error_min_text = opts.error_min || self.error_text;
+    self.error_max_text = opts.error_max || self.error_text;
+
+    var init = self.init;
+    self.init = function() {
+        init.call(self);
+
+        if (!('selected' in self.metadata)) {
+            self.metadata.selected = [];
+        }
+    };
+
+    var translate = self.translate;
+    self.translate = function(i18n) {
+        translate.call(self, i18n);
+        self.done.label = i18n(self.done.label);
+    };
+
+    var current_choices = self.current_choices;
+    self.current_choices = function() {
+        return current_choices.call(self).concat(self.done);
+    };
+
+    var chars_first = self._chars_first;
+    self._chars_first = function() {
+        return chars_first.call(self) - self._len_done();
+    };
+
+    var chars_not_first = self._chars_not_first;
+    self._chars_not_first = function() {
+        return chars_not_first.call(self) - self._len_done();
+    };
+
+    self._len_done = function() {
+        return self.format_choice(self.done, self.choices.length).length;
+    };
+
+    var is_navigation_choice = self.is_navigation_choice;
+    self.is_navigation_choice = function(choice) {
+        return choice === self.done || is_navigation_choice.call(self, choice);
+    };
+
+    self.is_selected = function(choice) {
+        /**:MultiChoiceState.is_selected(choice)
+        Return ``true`` if the given choice is currently selected.
+
+        :param Choice choice: choice to be checked.
+        */
+        return _.includes(self.metadata.selected, choice.value);
+    };
+
+    self.selected_choices = function() {
+        /**:MultiChoiceState.selected_choices()
+        Return the currently selected choices, in the order the choices were
+        given to the state.
+        */
+        return self.choices.filter(self.is_selected);
+    };
+
+    self.format_choice = function(choice, index) {
+        var label = self.is_selected(choice)
+            ? self.marker + choice.label
+            : choice.label;
+
+        return "\n" + (index + 1) + ". " + label;
+    };
+
+    var choice_from_content = self.choice_from_content;
+    self.choice_from_content = function(content) {
+        var parts = _.compact((content || "").trim().split(/[\s,]+/));
+        if (parts.length < 2) {
+            return choice_from_content.call(self, content);
+        }
+
+        var choices = parts.map(function(part) {
+            var n = Number(part);
+            return !Number.isNaN(n)
+                ? self.choice_from_number(n)
+                : null;
+        });
+
+        var valid = _.every(choices, function(choice) {
+            return choice !== null && !self.is_navigation_choice(choice);
+        });
+
+        return valid
+            ? _.uniq(choices)
+            : null;
+    };
+
+    self.check = function(choice) {
+        if (choice === null) {
+            return self.error_text;
+        }
+
+        if (_.isArray(choice)) {
+            return self.check_count(_.union(
+                self.metadata.selected,
+                _.map(choice, 'value')).length);
+        }
+
+        if (choice === self.done) {
+            return self.check_count(self.metadata.selected.length);
+        }
+
+        if (self.is_navigation_choice(choice) || self.is_selected(choice)) {
+            return;
+        }
+
+        var n = self.metadata.selected.length + 1;
+        if (self.max !== null && n > self.max) {
+            return self.error_max_text;
+        }
+    };
+
+    self.check_count = function(n) {
+        if (n < self.min) {
+            return self.error_min_text;
+        }
+
+        if (self.max !== null && n > self.max) {
+            return self.error_max_text;
+        }
+    };
+
+    var process_choice = self.process_choice;
+    self.process_choice = function(choice) {
+        if (_.isArray(choice)) {
+            self.metadata.selected = _.union(
+                self.metadata.selected,
+                _.map(choice, 'value'));
+            return self.finish().thenResolve(true);
+        }
+
+        if (choice === self.done) {
+            return self.finish().thenResolve(true);
+        }
+
+        if (process_choice.call(self, choice)) {
+            return true;
+        }
+
+        self.metadata.selected = self.is_selected(choice)
+            ? _.without(self.metadata.selected, choice.value)
+            : self.metadata.selected.concat(choice.value);
+
+        return true;
+    };
+
+    self.finish = function() {
+        var choices = self.selected_choices();
+        self.save_response(_.map(choices, 'value'));
+        return self.set_next_state(self.next, choices);
+    };
+});
+
+
 this.Choice = Choice;
 this.ChoiceState = ChoiceState;
 this.LanguageChoice = LanguageChoice;
 this.PaginatedChoiceState = PaginatedChoiceState;
+this.MultiChoiceState = MultiChoiceState;
 this.MenuState = MenuState;
@@ -0,0 +1,432 @@
+var _ = require('lodash');
+var moment = require('moment');
+
+var utils = require('../utils');
+
+var state = require('./state');
+var State = state.State;
+
+var choices = require('./choices');
+var Choice = choices.Choice;
+
+
+var DateState = State.extend(function(self, name, opts) {
+    /**class:DateState(name, opts)
+
+    A state for asking the user for a date. By default, the user is asked to
+    type the date in, and the input is parsed using one of the accepted
+    ``formats``. Alternatively, the state can be put into ``'picker'`` mode,
+    where the user selects the year, month and day one after the other from
+    numbered menus (useful for USSD, where typing dates is error prone).
+
+    Once a valid date is given, the date is saved as the user's answer,
+    formatted using ``opts.output_format``.
+
+    :param string name:
+        name used to identify and refer to the state
+    :type opts.question: string or LazyText
+    :param opts.question:
+        text to display to the user in ``'text'`` mode.
+    :param string opts.mode:
+        either ``'text'`` to have the user type the date in, or ``'picker'``
+        to have the user pick the year, month and day from menus. Defaults to
+        ``'text'``.
+    :param array opts.formats:
+        the ``moment`` formats accepted as input in ``'text'`` mode. Input is
+        parsed strictly. Defaults to
+        ``['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DDMMYYYY']``.
+    :param string opts.output_format:
+        the ``moment`` format used for the saved answer. Defaults to
+        ``'YYYY-MM-DD'``.
+    :param opts.min:
+        the earliest date accepted. May be a duration object relative to the
+        current date (for eg, ``{years: -120}``), a function ``f(now)``
+        returning a date, or any other value ``moment`` can interpret as a
+        date. Optional in ``'text'`` mode. Defaults to 100 years before the
+        current date in ``'picker'`` mode.
+    :param opts.max:
+        the latest date accepted. Accepts the same values as ``opts.min``.
+        Optional in ``'text'`` mode. Defaults to the current date in
+        ``'picker'`` mode.
+    :param function opts.now:
+        a function returning the date to consider as the current date when
+        determining ``min`` and ``max``. Defaults to the current system time.
+    :type opts.error: string or LazyText
+    :param opts.error:
+        error text to display to the user if the input could not be parsed as
+        a date. Defaults to the question (or current picker question).
+    :type opts.error_min: string or LazyText
+    :param opts.error_min:
+        error text to display to the user if the date is earlier than
+        ``min``. Defaults to ``opts.error``.
+    :type opts.error_max: string or LazyText
+    :param opts.error_max:
+        error text to display to the user if the date is later than ``max``.
+        Defaults to ``opts.error``.
+    :param object opts.questions:
+        the text to display for each step in ``'picker'`` mode. Defaults to
+        ``{year: 'Select a year:', month: 'Select a month:', day: 'Select a
+        day:'}``.
+    :param array opts.months:
+        the labels to display for each month in ``'picker'`` mode, starting
+        with January.
+    :param int opts.options_per_page:
+        maximum number of choices to display per page in ``'picker'`` mode.
+        Defaults to ``8``.
+    :param string opts.back:
+        the choice label to display to the user for going back a page in
+        ``'picker'`` mode. Defaults to ``'Back'``.
+    :param string opts.more:
+        the choice label to display to the user for going to the next page in
+        ``'picker'`` mode. Defaults to ``'More'``.
+    :param function opts.check:
+        a function ``func(date)`` for additional validation, where ``date``
+        is the ``moment`` object for the date given by the user. Invoked once
+        the date has been parsed and checked against ``min`` and ``max``. See
+        :meth:`State.validate`.
+    :param fn_or_str_or_obj opts.next:
+        state that the user should visit after this state. May either be the
+        name of the next state, an options object representing the next state,
+        or a function of the form ``f(date)`` returning either, where ``date``
+        is the ``moment`` object for the date given by the user. If ``next``
+        is ``null`` or not defined, the state machine will be left in the
+        current state. See :meth:`State.set_next_state`.
+    :param object opts.events:
+        Optional event name-listener mappings to bind.
+    :type fn_or_str_or_obj:
+        function, string, or object.
+
+    .. code-block:: javascript
+
+        self.states.add('states:dob', function(name) {
+            return new DateState(name, {
+                question: $('When were you born? (DD/MM/YYYY)'),
+                error: $('Sorry, please give a date like 25/12/1985.'),
+                formats: ['DD/MM/YYYY'],
+                min: {years: -120},
+                max: {days: 0},
+                next: 'states:end'
+            });
+        });
+    */
+    opts = _.defaults(opts || {}, {
+        next: null,
+        mode: 'text',
+        formats: ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DDMMYYYY'],
+        output_format: 'YYYY-MM-DD',
+        min: null,
+        max: null,
+        now: function() { return moment(); },
+        error: null,
+        error_min: null,
+        error_max: null,
+        questions: {},
+        months: [
+            'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+            'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+        options_per_page: 8,
+        back: 'Back',
+        more: 'More'
+    });
+
+    _.defaults(opts.questions, {
+        year: 'Select a year:',
+        month: 'Select a month:',
+        day: 'Select a day:'
+    });
+
+    if (opts.mode == 'picker') {
+        opts.min = opts.min !== null ? opts.min : {years: -100};
+        opts.max = opts.max !== null ? opts.max : {days: 0};
+    }
+
+    var check = opts.check || utils.functor();
+    delete opts.check;
+    State.call(self, name, opts);
+
+    self.next = opts.next;
+    self.mode = opts.mode;
+    self.formats = opts.formats;
+    self.output_format = opts.output_format;
+    self.min = opts.min;
+    self.max = opts.max;
+    self.now = opts.now;
+    self.question_text = opts.question;
+    self.error_text = opts.error;
+    self.error_min_text = opts.error_min;
+    self.error_max_text = opts.error_max;
+    self.questions = _.clone(opts.questions);
+    self.months = opts.months.slice();
+    self.options_per_page = opts.options_per_page;
+    self.back = new Choice('__back__', opts.back);
+    self.more = new Choice('__more__', opts.more);
+
+    self.init = function() {
+        if (self.mode == 'picker') {
+            _.defaults(self.metadata, {
+                step: 'year',
+                page_start: 0
+            });
+        }
+    };
+
+    self.on('state:input', function(event) {
+        var content = (event.content || '').trim();
+
+        return self.mode == 'picker'
+            ? self.input_picker(content)
+            : self.input_text(content);
+    });
+
+    self.input_text = function(content) {
+        var date = self.parse(content);
+
+        return self.validate(date).then(function() {
+            if (self.error) { return; }
+            return self.accept(date);
+        });
+    };
+
+    self.input_picker = function(content) {
+        var n = Number(content);
+        var choices = self.current_choices();
+        var choice = Number.isInteger(n) && n >= 1 && n <= choices.length
+            ? choices[n - 1]
+            : null;
+
+        if (!choice) {
+            return self.invalidate(self.error_text || self.picker_question());
+        }
+
+        if (choice === self.more) {
+            self.metadata.page_start += self.options_per_page;
+            return;
+        }
+
+        if (choice === self.back) {
+            self.metadata.page_start = Math.max(
+                0, self.metadata.page_start - self.options_per_page);
+            return;
+        }
+
+        self.metadata.page_start = 0;
+        self.metadata[self.metadata.step] = choice.value;
+
+        if (self.metadata.step == 'year') {
+            self.metadata.step = 'month';
+            return;
+        }
+
+        if (self.metadata.step == 'month') {
+            self.metadata.step = 'day';
+            return;
+        }
+
+        var date = moment({
+            year: self.metadata.year,
+            month: self.metadata.month,
+            day: self.metadata.day
+        });
+
+        return self.validate(date).then(function() {
+            if (self.error) { return; }
+            self.reset_picker();
+            return self.accept(date);
+        });
+    };
+
+    self.accept = function(date) {
+        self.save_response(date.format(self.output_format));
+        return self.set_next_state(self.next, date);
+    };
+
+    self.reset_picker = function() {
+        /**:DateState.reset_picker()
+
+        Resets the state's picker so that the user starts picking from the
+        year again.
+        */
+        self.metadata.step = 'year';
+        self.metadata.page_start = 0;
+        delete self.metadata.year;
+        delete self.metadata.month;
+        delete self.metadata.day;
+    };
+
+    self.parse = function(content) {
+        /**:DateState.parse(content)
+
+        Parses the given content using the state's accepted formats. Returns
+        a ``moment`` object for the parsed date, or ``null`` if the content
+        could not be parsed.
+
+        :param string content:
+            the content to parse.
+        */
+        var date = moment(content, self.formats, true);
+
+        return date.isValid()
+            ? date
+            : null;
+    };
+
+    self.bound = function(v) {
+        if (v === null || typeof v == 'undefined') {
+            return null;
+        }
+
+        var now = moment(self.now()).startOf('day');
+
+        if (typeof v == 'function') {
+            return moment(v.call(self, now)).startOf('day');
+        }
+
+        if (_.isPlainObject(v)) {
+            return now.add(moment.duration(v));
+        }
+
+        return moment(v).startOf('day');
+    };
+
+    self.min_date = function() {
+        /**:DateState.min_date()
+
+        Returns the earliest date accepted by the state as a ``moment``
+        object, or ``null`` if there is no minimum.
+        */
+        return self.bound(self.min);
+    };
+
+    self.max_date = function() {
+        /**:DateState.max_date()
+
+        Returns the latest date accepted by the state as a ``moment``
+        object, or ``null`` if there is no maximum.
+        */
+        return self.bound(self.max);
+    };
+
+    self.check = function(date) {
+        if (date === null) {
+            return self.error_text || self.question_text;
+        }
+
+        var min = self.min_date();
+        if (min !== null && date.isBefore(min, 'day')) {
+            return self.error_min_text
+                || self.error_text
+                || self.question_text;
+        }
+
+        var max = self.max_date();
+        if (max !== null && date.isAfter(max, 'day')) {
+            return self.error_max_text
+                || self.error_text
+                || self.question_text;
+        }
+
+        return check.call(self, date);
+    };
+
+    self.picker_question = function() {
+        return self.questions[self.metadata.step];
+    };
+
+    self.in_range = function(start, end) {
+        var min = self.min_date();
+        var max = self.max_date();
+        return !(min !== null && end.isBefore(min, 'day'))
+            && !(max !== null && start.isAfter(max, 'day'));
+    };
+
+    self.picker_choices = function() {
+        /**:DateState.picker_choices()
+
+        Returns all of the :class:`Choice` objects available for the current
+        picker step (ignoring pagination).
+        */
+        var step = self.metadata.step;
+        var min = self.min_date();
+        var max = self.max_date();
+
+        if (step == 'year') {
+            return _.range(max.year(), min.year() - 1, -1)
+                .map(function(year) {
+                    return new Choice(year, '' + year);
+                });
+        }
+
+        var year = self.metadata.year;
+
+        if (step == 'month') {
+            return _.range(12)
+                .filter(function(month) {
+                    var start = moment({year: year, month: month});
+                    return self.in_range(start, start.clone().endOf('month'));
+                })
+                .map(function(month) {
+                    return new Choice(month, self.months[month]);
+                });
+        }
+
+        var month = moment({year: year, month: self.metadata.month});
+        return _.range(1, month.daysInMonth() + 1)
+            .filter(function(day) {
+                var date = month.clone().date(day);
+                return self.in_range(date, date);
+            })
+            .map(function(day) {
+                return new Choice(day, '' + day);
+            });
+    };
+
+    self.current_choices = function() {
+        var all = self.picker_choices();
+        var start = self.metadata.page_start;
+        var end = start + self.options_per_page;
+        var choices = all.slice(start, end);
+
+        if (end < all.length) {
+            choices.push(self.more);
+        }
+
+        if (start > 0) {
+            choices.push(self.back);
+        }
+
+        return choices;
+    };
+
+    self.translate = function(i18n) {
+        self.question_text = i18n(self.question_text);
+        self.questions = _.mapValues(self.questions, i18n);
+        self.months = self.months.map(i18n);
+        self.back.label = i18n(self.back.label);
+        self.more.label = i18n(self.more.label);
+
+        if (self.error) {
+            self.error.translate(i18n);
+        }
+    };
+
+    self.display = function() {
+        if (self.mode != 'picker') {
+            return self.error
+                ? self.error.response
+                : self.question_text;
+        }
+
+        var text = self.error
+            ? self.error.response
+            : self.picker_question();
+
+        return [text]
+            .concat(self.current_choices().map(function(choice, i) {
+                return (i + 1) + ". " + choice.label;
+            }))
+            .join('\n');
+    };
+});
+
+
+this.DateState = DateState;
@@ -5,6 +5,7 @@ var booklet = require('./booklet');
 var choices = require('./choices');
 var freetext = require('./freetext');
 var end = require('./end');
+var date = require('./date');
 
 this.StateData = data.StateData;
 
@@ -16,6 +17,8 @@ this.StateInputEvent = state.StateInputEvent;
 this.StateExitEvent = state.StateExitEvent;
 this.StateEnterEvent = state.StateEnterEvent;
 this.StateResumeEvent = state.StateResumeEvent;
+this.StateInvalidEvent = state.StateInvalidEvent;
+this.StateExhaustedEvent = state.StateExhaustedEvent;
 
 this.State = state.State;
 this.PaginatedState = paginated.PaginatedState;
@@ -25,5 +28,7 @@ this.ChoiceState = choices.ChoiceState;
 this.MenuState = choices.MenuState;
 this.LanguageChoice = choices.LanguageChoice;
 this.PaginatedChoiceState = choices.PaginatedChoiceState;
+this.MultiChoiceState = choices.MultiChoiceState;
 this.FreeText = freetext.FreeText;
 this.EndState = end.EndState;
+this.DateState = date.DateState;
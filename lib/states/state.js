@@ -98,6 +98,22 @@ var StateInvalidEvent = StateEvent.extend(function(self, state, error) {
 });
 
 
+var StateExhaustedEvent = StateEvent.extend(function(self, state, error) {
+    /**class:StateExhaustedEvent(state, error)
+    Emitted when the user has given a state invalid input more times in a row
+    than the state's maximum number of invalid attempts allows, just before
+    the user is routed to the state's fallback state.
+
+    :param State state: the state associated to the event.
+    :param StateInvalidError error: the most recent validation error.
+
+    The event type is ``state:exhausted``.
+    */
+   StateEvent.call(self, 'state:exhausted', state);
+   self.error = error;
+});
+
+
 var StateInputEvent = StateEvent.extend(function(self, state, content) {
     /**class:StateInputEvent(content)
     Emitted when the user has given input to the state.
@@ -205,6 +221,30 @@ var State = Eventable.extend(function(self, name, opts) {
         ``response`` property will be taken as the error response to send back
         to the user. Any other value returned will be taken as a non-error. The
         result may be returned via a promise. See :meth:`State.validate`.
+    :param integer opts.max_invalid:
+        the maximum number of consecutive times the user may give the state
+        invalid input before being routed to the state's fallback state. Default
+        is the app's ``max_invalid`` option (see :class:`App`), where ``null``
+        means there is no maximum.
+    :param fn_or_str_or_obj opts.invalid_fallback:
+        the state the user should be routed to once ``max_invalid`` is reached.
+        May be anything accepted by :meth:`State.set_next_state`, where
+        functions are given the most recent :class:`StateInvalidError`. Default
+        is the app's ``invalid_fallback`` option (see :class:`App`).
+    :param boolean opts.history:
+        whether the state should be added to the user's history of visited
+        states when the user leaves it (see :meth:`InteractionMachine.go_back`).
+        Default is ``true``.
+    :type opts.keywords: boolean or array
+    :param opts.keywords:
+        the app's global keywords that apply in this state (see
+        :class:`AppKeywords` and :attr:`App.back_keyword`). May be ``true``
+        for all keywords, ``false`` for no keywords, or an array of keyword
+        names. Default is ``true``.
+    :param object opts.rate_limit:
+        a limit on the number of inputs each user may give the state in a
+        window of time. Takes the same options as the ``rate_limit`` option
+        of :class:`App`. Default is ``null`` (no limit).
     :param object opts.events:
         Optional event name-listener mappings to bind. For example:
 
@@ -223,6 +263,11 @@ var State = Eventable.extend(function(self, name, opts) {
         continue_session: true,
         helper_metadata: null,
         check: utils.functor(),
+        max_invalid: null,
+        invalid_fallback: null,
+        history: true,
+        keywords: true,
+        rate_limit: null,
         events: {}
     });
 
@@ -233,6 +278,11 @@ var State = Eventable.extend(function(self, name, opts) {
     self.continue_session = utils.functor(opts.continue_session);
     self.helper_metadata = utils.functor(opts.helper_metadata);
     self.check = opts.check;
+    self.max_invalid = opts.max_invalid;
+    self.invalid_fallback = opts.invalid_fallback;
+    self.history = opts.history;
+    self.keywords = opts.keywords;
+    self.rate_limit = opts.rate_limit;
     self.events = opts.events;
 
     // internal reference to the creator opts used to create the state
@@ -264,12 +314,35 @@ var State = Eventable.extend(function(self, name, opts) {
     self.input = function(content) {
         /**:State.input()
         Accepts input, invokes :meth:`State.translate.before_input`, then
-        emits a :class:`StateInputEvent`` to allow input to be processed.
+        emits a :class:`StateInputEvent`` to allow input to be processed. If
+        the input invalidated the state, the invalid attempt is counted (see
+        :meth:`State.count_invalid`), otherwise the state's count of
+        consecutive invalid attempts is cleared.
         */
         var p = Q(self.translators.before_input(self.im.user.i18n));
-        return p.then(function() {
-            return self.emit.input(content);
-        });
+        return p
+            .then(function() {
+                return self.emit.input(content);
+            })
+            .then(function() {
+                if (self.error) {
+                    return self.count_invalid(self.error);
+                }
+
+                delete self.metadata.invalid_count;
+            });
+    };
+
+    self.allows_keyword = function(name) {
+        /**:State.allows_keyword(name)
+        Determines whether the app's global keyword with the given name
+        applies in this state (see the state's ``keywords`` option).
+
+        :param string name: name of the keyword
+        */
+        return _.isArray(self.keywords)
+            ? _.includes(self.keywords, name)
+            : !!self.keywords;
     };
 
     self.save_response = function(response) {
@@ -379,6 +452,42 @@ var State = Eventable.extend(function(self, name, opts) {
         return self.emit(new StateInvalidEvent(self, error));
     };
 
+    self.count_invalid = function(error) {
+        /**:State.count_invalid(error)
+        Increments the count of consecutive invalid attempts kept in the
+        state's metadata if the state has a maximum number of invalid attempts.
+        Once the maximum has been reached, the count is cleared, a
+        :class:`StateExhaustedEvent` is emitted and the user's next state is
+        set to the state's fallback state.
+
+        :param StateInvalidError error:
+            the error the state was invalidated with.
+        */
+        var app = self.im.app;
+        var max = utils.exists(self.max_invalid)
+            ? self.max_invalid
+            : app.max_invalid;
+
+        if (!utils.exists(max)) { return Q(); }
+
+        self.metadata.invalid_count = (self.metadata.invalid_count || 0) + 1;
+        if (self.metadata.invalid_count < max) { return Q(); }
+
+        var fallback = utils.exists(self.invalid_fallback)
+            ? self.invalid_fallback
+            : app.invalid_fallback;
+
+        if (!utils.exists(fallback)) {
+            fallback = app.start_state_name;
+        }
+
+        delete self.metadata.invalid_count;
+        return self.emit(new StateExhaustedEvent(self, error))
+            .then(function() {
+                return self.set_next_state(fallback, error);
+            });
+    };
+
     self.show = function() {
         /**:State.show()
 
@@ -485,3 +594,4 @@ this.StateExitEvent = StateExitEvent;
 this.StateEnterEvent = StateEnterEvent;
 this.StateResumeEvent = StateResumeEvent;
 this.StateInvalidEvent = StateInvalidEvent;
+this.StateExhaustedEvent = StateExhaustedEvent;
@@ -34,6 +34,11 @@ var CheckTasks = AppTesterTasks.extend(function(self, tester) {
         });
     };
 
+    self.get_metrics = function() {
+        var store = self.api.metrics.stores[self.im.metrics.store_name];
+        return _.mapValues(store || {}, 'values');
+    };
+
     self.check_char_limit = function(n) {
         var reply = self.get_reply();
 
@@ -671,6 +676,100 @@ var CheckTasks = AppTesterTasks.extend(function(self, tester) {
             msg: "Expecting no replies from the app to the user"
         });
     };
+
+    self.methods.check.metrics = function(v) {
+        /**function:AppTester.check.metrics(obj)
+
+        Checks that the values fired for each of the metrics given in ``obj``
+        deep equal the corresponding values in ``obj``. Metrics not given in
+        ``obj`` are ignored.
+
+        :param object obj:
+            an object mapping metric names to the values expected to have
+            been fired for the metric, in the order they were fired.
+
+        .. code-block:: javascript
+
+            tester.check.metrics({
+                'registrations.started': [1],
+                'registrations.completed': []
+            });
+        */
+        /**function:AppTester.check.metrics(fn)
+
+        Passes the metrics fired to the app's metric store to the function
+        ``fn``, allowing custom assertions to be done on the metrics. May
+        return a promise.
+
+        :param function fn:
+            function of the form ``func(metrics)``, where ``metrics`` is an
+            object mapping metric names to the values fired for the metric
+            and ``this`` is the :class:`AppTester` instance.
+
+        .. code-block:: javascript
+
+            tester.check.metrics(function(metrics) {
+                assert.equal(metrics['registrations.started'].length, 1);
+            });
+        */
+        var metrics = self.get_metrics();
+
+        if (typeof v == 'function') {
+            return v.call(self.tester, metrics);
+        }
+
+        _.forEach(v, function(values, name) {
+            self.assert.deepEqual(metrics[name] || [], values, {
+                msg: "Unexpected values for metric '" + name + "'"
+            });
+        });
+    };
+
+    self.methods.check.metrics.funnel = function(totals) {
+        /**function:AppTester.check.metrics.funnel(totals)
+
+        Checks the totals of the funnel metrics fired during the sandbox run
+        (see :class:`FunnelMetrics`). Metrics that were not fired have a total
+        of ``0``.
+
+        :param object totals:
+            an object mapping each funnel event to its expected total, or, for
+            state events, to an object mapping state names to their expected
+            totals.
+
+        .. code-block:: javascript
+
+            tester.check.metrics.funnel({
+                session_start: 1,
+                state_enter: {'states:start': 1, 'states:end': 1},
+                state_invalid: {'states:start': 0}
+            });
+        */
+        var metrics = self.get_metrics();
+
+        function check(total, event, state) {
+            var name = self.im.funnel.metric_name(event, state);
+
+            if (name === null) {
+                throw new TaskError(
+                    "Funnel metrics for '" + event + "' are disabled");
+            }
+
+            self.assert.strictEqual(_.last(metrics[name]) || 0, total, {
+                msg: "Unexpected total for funnel metric '" + name + "'"
+            });
+        }
+
+        _.forEach(totals, function(total, event) {
+            if (!_.isPlainObject(total)) {
+                return check(total, event);
+            }
+
+            _.forEach(total, function(state_total, state) {
+                check(state_total, event, state);
+            });
+        });
+    };
 });
 
 
@@ -400,6 +400,25 @@ var SetupTasks = AppTesterTasks.extend(function(self, tester) {
         _.extend(self.api.kv.store, v);
     };
 
+    self.methods.setup.time = {};
+
+    self.methods.setup.time.advance = function(seconds) {
+        /**function:AppTester.setup.time.advance(seconds)
+
+        Moves the clock of the tester's api forward, so that the app sees
+        the given number of seconds as having passed (see
+        :meth:`DummyApi.advance_time`).
+
+        :param number seconds:
+            the number of seconds to move the clock forward by.
+
+        .. code-block:: javascript
+
+            tester.setup.time.advance(3 * 24 * 60 * 60);
+        */
+        self.api.advance_time(seconds);
+    };
+
     self.methods.setup.char_limit = function(n) {
         /**function:AppTester.setup.char_limit(n)
 
@@ -85,6 +85,23 @@ var UserSaveEvent = UserEvent.extend(function(self, user) {
 });
 
 
+var UserConflictEvent = UserEvent.extend(function(self, user, stored) {
+    /**class:UserConflictEvent(user, stored)
+
+    Emitted when a user could not be saved because their data was saved by
+    another interaction in the meantime, and the conflict could not be
+    resolved (see :meth:`User.save`).
+
+    :param User user: the user that could not be saved.
+    :param object stored: the user's data as currently stored.
+
+    The event type is ``user:conflict``.
+    */
+    UserEvent.call(self, 'user:conflict', user);
+    self.stored = stored;
+});
+
+
 var User = Eventable.extend(function(self, im) {
     /**:User(im)
 
@@ -103,7 +120,11 @@ var User = Eventable.extend(function(self, im) {
         store_name: 'default',
         answers: {},
         metadata: {},
+        experiments: {},
+        history: [],
         in_session: false,
+        last_active: null,
+        version: 0,
         creation_event: new UserNewEvent(self)
     };
 
@@ -117,8 +138,12 @@ var User = Eventable.extend(function(self, im) {
         self.i18n = new Translator();
         self.state = new StateData(opts.state);
         self.metadata = opts.metadata;
+        self.experiments = opts.experiments;
+        self.history = opts.history.slice();
         self.creation_event = opts.creation_event;
         self.in_session = opts.in_session;
+        self.last_active = opts.last_active;
+        self.version = opts.version;
     };
     self.init();
 
@@ -156,8 +181,21 @@ var User = Eventable.extend(function(self, im) {
         :param string opts.state.metadata:
             metadata about the state most recently visited by the user.
             Optional.
+        :param array opts.history:
+            data about the states previously visited by the user, ordered from
+            least to most recently visited. Optional.
+        :param object opts.experiments:
+            the variants the user has been assigned to for each experiment
+            (see :class:`Experiments`). Optional.
         :param boolean opts.in_session:
             whether the user is currently in a session. Defaults to ``false``.
+        :param integer opts.last_active:
+            the time (in milliseconds since the epoch) at which the user last
+            sent a message, if recorded. Optional.
+        :param integer opts.version:
+            the version of the user's data as it was stored when the user was
+            loaded, used to detect conflicting saves (see :meth:`User.save`).
+            Defaults to ``0``.
         */
         self.init(addr, opts);
         return self.refresh_i18n().then(function() {
@@ -184,10 +222,17 @@ var User = Eventable.extend(function(self, im) {
         but sets the user's ``creation_event`` to a :class:`UserResetEvent`.
         Intended to be used to explicitly differentiate reset users from both
         newly created users and loaded users with a single action.
+
+        The version of the user's stored data is kept, so that saving the
+        reset user replaces their stored data (see :meth:`User.save`).
         */
-        return self.setup(addr, _.extend(opts || {}, {
-            creation_event: new UserResetEvent(self)
-        }));
+        opts = _.defaults(opts || {}, self.defaults);
+        return self.fetch(addr, opts.store_name).then(function(data) {
+            return self.setup(addr, _.extend(opts, {
+                version: data ? data.version || 0 : 0,
+                creation_event: new UserResetEvent(self)
+            }));
+        });
     };
 
     self.create = function(addr, opts) {
@@ -328,6 +373,39 @@ var User = Eventable.extend(function(self, im) {
         return self.answers[state_name];
     };
 
+    self.push_history = function(state, size) {
+        /**:User.push_history(state[, size])
+        Adds the given state to the end of the user's history of visited
+        states. If ``size`` is given, the oldest states are discarded so that
+        no more than ``size`` states are kept.
+
+        :type state:
+            State, StateData or object
+        :param state:
+            the state to add to the history.
+        :param integer size:
+            the maximum number of states to keep in the history. Optional.
+        */
+        self.history.push(_.cloneDeep(new StateData(state).serialize()));
+
+        if (typeof size != 'undefined' && size !== null) {
+            self.history = _.takeRight(self.history, size);
+        }
+    };
+
+    self.pop_history = function() {
+        /**:User.pop_history()
+        Removes the most recently visited state from the user's history and
+        returns it as a :class:`StateData` instance, or returns ``null`` if
+        the user's history is empty.
+        */
+        var state = self.history.pop();
+
+        return typeof state != 'undefined'
+            ? new StateData(state)
+            : null;
+    };
+
     self.fetch = function(addr, store_name) {
         /**:User.fetch()
 
@@ -354,33 +432,98 @@ var User = Eventable.extend(function(self, im) {
         return (typeof ttl !== 'undefined') ? ttl : 604800;
     };
 
+    self.default_conflict = function() {
+        /**:User.default_conflict()
+
+        Returns the default policy for resolving conflicting saves (see
+        :meth:`User.save`).
+
+        This may be set using the ``user_conflict`` sandbox config key. It
+        defaults to ``'merge'``.
+        */
+        var conflict = self.im.config.user_conflict;
+        return (typeof conflict !== 'undefined') ? conflict : 'merge';
+    };
+
     self.save = function(opts) {
         /**:User.save()
 
         Save a user's current state to the key-value data store resource, then
         emits a :class:`UserSaveEvent`.
 
+        The user's data is only written if the stored data has the same
+        version as when the user was loaded, and the version is incremented
+        with each save. If the stored data has a different version, another
+        interaction (for eg, a retried message from the same address) has
+        saved the user in the meantime, and the conflict is resolved using
+        ``opts.conflict``.
+
+        Since the key-value store has no atomic compare-and-set operation,
+        the stored version is fetched and compared before writing. This
+        narrows the window for lost updates rather than closing it: two saves
+        that both fetch the stored data before either writes will both pass
+        the check, and the last write wins.
+
         :param object opts.seconds:
             How long the user's state should be stored for before expiring. See
             :meth:`User.default_ttl` for how the default is determined.
+        :param string opts.conflict:
+            How to resolve conflicting saves. Either ``'merge'`` to merge the
+            stored answers, metadata and experiments into the user's own
+            (preferring the user's own values) and try again, or ``'fail'`` to
+            leave the stored data as it is and emit a
+            :class:`UserConflictEvent`. See
+            :meth:`User.default_conflict` for how the default is determined.
+        :param integer opts.retries:
+            The number of times to try merging before giving up and failing.
+            Defaults to ``3``.
 
         Returns a promise that is fulfilled once the user data has been saved
         and events have been emitted.
         */
         opts = _.defaults(opts || {}, {
             seconds: self.default_ttl(),
+            conflict: self.default_conflict(),
+            retries: 3
         });
-        return self.im
-            .api_request("kv.set", {
-                key: self.key(),
-                value: self.serialize(),
-                seconds: opts.seconds,
-            })
-            .then(function() {
-                return self.emit(new UserSaveEvent(self));
+
+        return self
+            .fetch(self.addr, self.store_name)
+            .then(function(stored) {
+                var version = stored ? stored.version || 0 : 0;
+
+                if (version !== self.version) {
+                    return self.resolve_conflict(stored, opts);
+                }
+
+                self.version = version + 1;
+                return self.im
+                    .api_request("kv.set", {
+                        key: self.key(),
+                        value: self.serialize(),
+                        seconds: opts.seconds,
+                    })
+                    .then(function() {
+                        return self.emit(new UserSaveEvent(self));
+                    });
             });
     };
 
+    self.resolve_conflict = function(stored, opts) {
+        if (opts.conflict != 'merge' || opts.retries < 1) {
+            return self.emit(new UserConflictEvent(self, stored));
+        }
+
+        stored = stored || {};
+        self.answers = _.extend({}, stored.answers, self.answers);
+        self.metadata = _.extend({}, stored.metadata, self.metadata);
+        self.experiments = _.extend(
+            {}, stored.experiments, self.experiments);
+        self.version = stored.version || 0;
+
+        return self.save(_.extend({}, opts, {retries: opts.retries - 1}));
+    };
+
     self.serialize = function() {
         /**:User.serialize()
         Returns an object representing the user. Suitable for JSON
@@ -391,7 +534,11 @@ var User = Eventable.extend(function(self, im) {
             lang: self.lang,
             answers: self.answers,
             metadata: self.metadata,
+            experiments: self.experiments,
+            history: self.history,
             in_session: self.in_session,
+            last_active: self.last_active,
+            version: self.version,
             state: self.state.serialize()
         };
     };
@@ -430,3 +577,4 @@ this.UserNewEvent = UserNewEvent;
 this.UserSaveEvent = UserSaveEvent;
 this.UserLoadEvent = UserLoadEvent;
 this.UserResetEvent = UserResetEvent;
+this.UserConflictEvent = UserConflictEvent;
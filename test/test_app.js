@@ -5,9 +5,14 @@ var assert = require('assert');
 var vumigo = require('../lib');
 var test_utils = vumigo.test_utils;
 var State = vumigo.states.State;
+var FreeText = vumigo.states.FreeText;
+var EndState = vumigo.states.EndState;
 
 var App = vumigo.App;
+var AppError = vumigo.app.AppError;
 var AppStateError = vumigo.app.AppStateError;
+var AppStates = vumigo.app.AppStates;
+var FlowSpecError = vumigo.flows.FlowSpecError;
 var AppTester = vumigo.AppTester;
 var Event = vumigo.events.Event;
 var IMShutdownEvent = vumigo.interaction_machine.IMShutdownEvent;
@@ -240,6 +245,182 @@ describe("app", function() {
             });
         });
 
+        describe(".load", function() {
+            it("should add the states described by the flow spec", function() {
+                states.load({
+                    states: {
+                        'states:foo': {type: 'end', text: 'Bye'}
+                    }
+                });
+
+                return states.create('states:foo').then(function(state) {
+                    assert(state instanceof EndState);
+                    assert.equal(state.name, 'states:foo');
+                });
+            });
+
+            it("should throw an error if the flow spec is invalid",
+            function() {
+                assert.throws(function() {
+                    states.load({states: {'states:foo': {type: 'foo'}}});
+                }, FlowSpecError);
+            });
+        });
+
+        describe(".mount", function() {
+            var parent;
+            var child;
+            var tester;
+            var calls;
+
+            beforeEach(function() {
+                calls = [];
+
+                child = new App('states:name');
+
+                child.states.add(new FreeText('states:name', {
+                    question: 'Name?',
+                    next: 'states:age'
+                }));
+
+                child.states.add('states:age', function(name) {
+                    assert.strictEqual(this, child);
+                    assert.strictEqual(child.im, parent.im);
+
+                    return new FreeText(name, {
+                        question: 'Age?',
+                        next: function(content) {
+                            return content == 'again'
+                                ? 'states:name'
+                                : '__exit__';
+                        }
+                    });
+                });
+
+                parent = new App('states:start');
+
+                parent.states.add(new FreeText('states:start', {
+                    question: 'Hi!',
+                    next: 'reg'
+                }));
+
+                parent.states.add(new EndState('states:end', {
+                    text: 'Thanks!'
+                }));
+
+                parent.states.mount('reg', child, {
+                    next: 'states:end',
+                    enter: function() {
+                        assert.strictEqual(this, parent);
+                        calls.push('enter');
+                    },
+                    exit: function() {
+                        assert.strictEqual(this, parent);
+                        calls.push('exit');
+                    }
+                });
+
+                tester = new AppTester(parent);
+            });
+
+            it("should add the child's states under the prefix", function() {
+                assert.deepEqual(
+                    _.filter(_.keys(parent.states.creators), function(name) {
+                        return _.startsWith(name, 'reg');
+                    }),
+                    ['reg:states:name', 'reg:states:age', 'reg']);
+            });
+
+            it("should enter the child at its start state", function() {
+                return tester
+                    .setup.user.state('states:start')
+                    .input('hi')
+                    .check.user.state('reg')
+                    .check.reply('Name?')
+                    .check(function() {
+                        assert.deepEqual(calls, ['enter']);
+                    })
+                    .run();
+            });
+
+            it("should keep the user in the child's namespace", function() {
+                return tester
+                    .setup.user.state('reg')
+                    .input('jan')
+                    .check.user.state('reg:states:age')
+                    .check.user.answer('reg', 'jan')
+                    .check.reply('Age?')
+                    .run();
+            });
+
+            it("should not enter the child again for its start state",
+            function() {
+                return tester
+                    .setup.user.state('reg:states:age')
+                    .input('again')
+                    .check.user.state('reg:states:name')
+                    .check(function() {
+                        assert.deepEqual(calls, []);
+                    })
+                    .run();
+            });
+
+            it("should return the user to the parent on exit", function() {
+                return tester
+                    .setup.user.state('reg:states:age')
+                    .input('23')
+                    .check.user.answer('reg:states:age', '23')
+                    .check.reply('Thanks!')
+                    .check(function() {
+                        assert.deepEqual(calls, ['exit']);
+                    })
+                    .run();
+            });
+
+            it("should return the user to the parent's start state by default",
+            function() {
+                var other = new App('states:name');
+                other.states.add(new FreeText('states:name', {
+                    question: 'Name?',
+                    next: '__exit__'
+                }));
+
+                var app = new App('states:start');
+                app.states.add(new EndState('states:start', {text: 'Hi!'}));
+                app.states.mount('other', other);
+
+                return new AppTester(app)
+                    .setup.user.state('other')
+                    .input('jan')
+                    .check.reply('Hi!')
+                    .run();
+            });
+
+            it("should leave states unknown to the child as they are",
+            function() {
+                var bundle = new AppStates(null);
+
+                bundle.add(new FreeText('a', {
+                    question: 'A?',
+                    next: 'states:end'
+                }));
+
+                parent.states.mount('bundle', bundle, {start: 'a'});
+
+                return tester
+                    .setup.user.state('bundle')
+                    .input('hi')
+                    .check.reply('Thanks!')
+                    .run();
+            });
+
+            it("should throw an error if there is no start state", function() {
+                assert.throws(function() {
+                    parent.states.mount('bundle', new AppStates(null));
+                }, AppStateError);
+            });
+        });
+
         describe(".creators", function() {
             describe(".__error__", function() {
                 it("should display an appropriate message to the user",
@@ -271,6 +452,153 @@ describe("app", function() {
     });
 
 
+    describe("AppKeywords", function () {
+        var im;
+        var app;
+        var keywords;
+        var state;
+
+        beforeEach(function() {
+            return test_utils.make_im().then(function(new_im) {
+                im = new_im;
+                app = im.app;
+                keywords = app.keywords;
+                state = new State('spam');
+            });
+        });
+
+        describe(".add", function() {
+            it("should add the keyword", function() {
+                keywords.add('help', {next: 'states:help'});
+
+                assert.deepEqual(keywords.get('help'), {
+                    name: 'help',
+                    pattern: 'help',
+                    next: 'states:help',
+                    states: null,
+                    rate_limit: null
+                });
+            });
+
+            describe("if the keyword already exists", function() {
+                it("should throw an error", function() {
+                    keywords.add('help');
+                    assert.throws(function() {
+                        keywords.add('help');
+                    }, AppError);
+                });
+            });
+        });
+
+        describe(".remove", function() {
+            it("should remove the keyword", function() {
+                keywords.add('help');
+                keywords.remove('help');
+                assert.strictEqual(keywords.get('help'), null);
+            });
+        });
+
+        describe(".match", function() {
+            it("should match string patterns case-insensitively", function() {
+                keywords.add('help');
+
+                var result = keywords.match(' HELP ', state);
+                assert.equal(result.keyword.name, 'help');
+                assert.deepEqual(result.match, ['HELP']);
+                assert.strictEqual(keywords.match('help me', state), null);
+            });
+
+            it("should match regex patterns", function() {
+                keywords.add('stop', {pattern: /^(stop|unsubscribe)$/i});
+
+                var result = keywords.match('Unsubscribe', state);
+                assert.equal(result.keyword.name, 'stop');
+                assert.equal(result.match[1], 'Unsubscribe');
+            });
+
+            it("should match the first added keyword", function() {
+                keywords.add('a', {pattern: /^0$/});
+                keywords.add('b', {pattern: '0'});
+                assert.equal(keywords.match('0', state).keyword.name, 'a');
+            });
+
+            it("should skip keywords scoped to other states", function() {
+                keywords.add('help', {states: ['ham']});
+                assert.strictEqual(keywords.match('help', state), null);
+
+                state.name = 'ham';
+                assert.notStrictEqual(keywords.match('help', state), null);
+            });
+
+            it("should skip keywords the state does not allow", function() {
+                keywords.add('help');
+                keywords.add('stop');
+                state.keywords = ['stop'];
+
+                assert.strictEqual(keywords.match('help', state), null);
+                assert.notStrictEqual(keywords.match('stop', state), null);
+            });
+        });
+
+        describe(".handle", function() {
+            it("should set the next state if a keyword matches", function() {
+                keywords.add('help', {next: 'states:help'});
+
+                return keywords.handle('help', state).then(function(handled) {
+                    assert(handled);
+                    assert(im.next_state.is('states:help'));
+                });
+            });
+
+            it("should support functions for the next state", function() {
+                keywords.add('go', {
+                    pattern: /^go (\w+)$/,
+                    next: function(content, match) {
+                        assert.strictEqual(this, app);
+                        assert.equal(content, 'go north');
+                        return Q('states:' + match[1]);
+                    }
+                });
+
+                return keywords.handle('go north', state).then(function() {
+                    assert(im.next_state.is('states:north'));
+                });
+            });
+
+            it("should leave the next state unset if the function does not " +
+               "return a state",
+            function() {
+                keywords.add('help', {next: function() {}});
+
+                return keywords.handle('help', state).then(function(handled) {
+                    assert(handled);
+                    assert(!im.next_state.exists());
+                });
+            });
+
+            it("should not set the next state if the keyword's rate limit " +
+               "is exceeded",
+            function() {
+                keywords.add('help', {
+                    next: 'states:help',
+                    rate_limit: {limit: 0, action: 'reply', text: 'no'}
+                });
+
+                return keywords.handle('help', state).then(function(handled) {
+                    assert(handled);
+                    assert(!im.next_state.exists());
+                    assert.equal(im.throttled.text, 'no');
+                });
+            });
+
+            it("should fulfill with false if no keyword matches", function() {
+                return keywords.handle('help', state).then(function(handled) {
+                    assert(!handled);
+                });
+            });
+        });
+    });
+
     describe("App", function () {
         var im;
         var app;
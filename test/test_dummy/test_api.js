@@ -47,5 +47,110 @@ describe("dummy.api", function() {
                 });
             });
         });
+
+        describe(".now", function() {
+            it("should return the current time", function() {
+                var start = Date.now();
+                var now = api.now();
+                assert(now >= start);
+                assert(now <= Date.now());
+            });
+        });
+
+        describe(".advance_time", function() {
+            it("should move the api's clock forward", function() {
+                var start = Date.now();
+                api.advance_time(60);
+                api.advance_time(30);
+                assert(api.now() >= start + 90000);
+                assert(api.now() <= Date.now() + 90000);
+            });
+        });
+
+        describe(".delay", function() {
+            it("should delay replies to the given command", function() {
+                var start = Date.now();
+                api.delay('kv.get', 20);
+
+                return api_request('kv.get', {key: 'foo'}).then(function() {
+                    assert(Date.now() - start >= 20);
+                });
+            });
+
+            it("should only delay the given number of requests", function() {
+                api.delay('kv.get', 20, {times: 2});
+
+                return api_request('kv.get', {key: 'foo'})
+                    .then(function() {
+                        return api_request('kv.get', {key: 'foo'});
+                    })
+                    .then(function() {
+                        assert.equal(api.delays['kv.get'].times, 0);
+
+                        var start = Date.now();
+                        return api_request('kv.get', {key: 'foo'})
+                            .then(function() {
+                                assert(Date.now() - start < 20);
+                            });
+                    });
+            });
+
+            it("should not reply at all for infinite delays", function() {
+                var replied = false;
+                api.delay('kv.get', Infinity);
+
+                api.request('kv.get', {key: 'foo'}, function() {
+                    replied = true;
+                });
+
+                return Q.delay(10).then(function() {
+                    assert(!replied);
+                });
+            });
+        });
+
+        describe(".fail", function() {
+            it("should give failure replies to the given command", function() {
+                api.fail('kv.set', {reason: 'Down'});
+
+                return api_request('kv.set', {key: 'foo', value: 'bar'})
+                    .then(function(reply) {
+                        assert.deepEqual(reply, {
+                            success: false,
+                            reason: 'Down'
+                        });
+
+                        assert(!('foo' in api.kv.store));
+                    });
+            });
+
+            it("should only fail the given number of requests", function() {
+                api.kv.store.foo = 'bar';
+                api.fail('kv.get', {times: 2});
+
+                return api_request('kv.get', {key: 'foo'})
+                    .then(function(reply) {
+                        assert(!reply.success);
+                        return api_request('kv.get', {key: 'foo'});
+                    })
+                    .then(function(reply) {
+                        assert(!reply.success);
+                        return api_request('kv.get', {key: 'foo'});
+                    })
+                    .then(function(reply) {
+                        assert(reply.success);
+                        assert.equal(reply.value, 'bar');
+                    });
+            });
+
+            it("should not affect other commands", function() {
+                api.fail('kv.set');
+
+                return api_request('kv.get', {key: 'foo'})
+                    .then(function(reply) {
+                        assert(reply.success);
+                    });
+            });
+        });
     });
 });
@@ -0,0 +1,266 @@
+var _ = require('lodash');
+var assert = require('assert');
+
+var vumigo = require('../lib');
+var test_utils = vumigo.test_utils;
+var App = vumigo.App;
+var AppTester = vumigo.AppTester;
+var FreeText = vumigo.states.FreeText;
+var EndState = vumigo.states.EndState;
+var ExperimentError = vumigo.experiments.ExperimentError;
+
+
+describe("experiments", function() {
+    describe("Experiments", function() {
+        var im;
+        var experiments;
+
+        function metric(name) {
+            var store = im.api.metrics.stores.test_app || {};
+            return (store[name] || {values: []}).values;
+        }
+
+        beforeEach(function() {
+            return test_utils.make_im().then(function(new_im) {
+                im = new_im;
+                experiments = im.experiments;
+
+                return experiments.setup({
+                    experiments: {
+                        greeting: {
+                            variants: {formal: 1, friendly: 3},
+                            goal: 'states:end'
+                        },
+                        colour: {variants: ['red', 'blue']}
+                    }
+                });
+            });
+        });
+
+        describe(".setup", function() {
+            it("should give equal weights to variants given as an array",
+            function() {
+                assert.deepEqual(experiments.experiments.colour, {
+                    variants: {red: 1, blue: 1},
+                    goal: null
+                });
+            });
+
+            it("should throw an error for experiments without variants",
+            function() {
+                assert.throws(function() {
+                    experiments.setup({experiments: {foo: {variants: []}}});
+                }, ExperimentError);
+            });
+        });
+
+        describe(".assign", function() {
+            it("should assign the same variant to the same address",
+            function() {
+                assert.equal(
+                    experiments.assign('greeting', '+27123'),
+                    experiments.assign('greeting', '+27123'));
+            });
+
+            it("should assign addresses in proportion to the weights",
+            function() {
+                var counts = _.countBy(_.range(1000), function(i) {
+                    return experiments.assign('greeting', '+27' + i);
+                });
+
+                assert(counts.formal > 200 && counts.formal < 300);
+                assert(counts.friendly > 700 && counts.friendly < 800);
+            });
+
+            it("should throw an error for unknown experiments", function() {
+                assert.throws(function() {
+                    experiments.assign('foo', '+27123');
+                }, ExperimentError);
+            });
+        });
+
+        describe(".variant", function() {
+            it("should fulfill with the user's assigned variant", function() {
+                return experiments.variant('greeting').then(function(variant) {
+                    assert.equal(
+                        variant,
+                        experiments.assign('greeting', im.user.addr));
+                });
+            });
+
+            it("should record the variant on the user", function() {
+                return experiments.variant('greeting').then(function(variant) {
+                    assert.deepEqual(im.user.experiments.greeting, {
+                        variant: variant,
+                        converted: false
+                    });
+                });
+            });
+
+            it("should keep the user's recorded variant", function() {
+                im.user.experiments.colour = {
+                    variant: 'blue',
+                    converted: false
+                };
+
+                return experiments.variant('colour').then(function(variant) {
+                    assert.equal(variant, 'blue');
+                    assert.deepEqual(metric('experiments.colour.blue.exposed'),
+                        []);
+                });
+            });
+
+            it("should assign the user again if their variant was removed",
+            function() {
+                im.user.experiments.colour = {
+                    variant: 'green',
+                    converted: false
+                };
+
+                return experiments.variant('colour').then(function(variant) {
+                    assert.notEqual(variant, 'green');
+                    assert.deepEqual(im.user.experiments.colour, {
+                        variant: variant,
+                        converted: false
+                    });
+                });
+            });
+
+            it("should fire an exposure metric once per user", function() {
+                return experiments.variant('greeting')
+                    .then(function() {
+                        return experiments.variant('greeting');
+                    })
+                    .then(function(variant) {
+                        assert.deepEqual(
+                            metric('experiments.greeting.' + variant +
+                                   '.exposed'),
+                            [1]);
+                    });
+            });
+
+            it("should reject for unknown experiments", function() {
+                return experiments.variant('foo').then(function() {
+                    throw new Error('Expected a rejection');
+                }, function(e) {
+                    assert(e instanceof ExperimentError);
+                });
+            });
+        });
+
+        describe(".convert", function() {
+            it("should fire a conversion metric once per user", function() {
+                var variant;
+
+                return experiments.variant('greeting')
+                    .then(function(v) {
+                        variant = v;
+                        return experiments.convert('greeting');
+                    })
+                    .then(function(counted) {
+                        assert(counted);
+                        return experiments.convert('greeting');
+                    })
+                    .then(function(counted) {
+                        assert(!counted);
+                        assert(im.user.experiments.greeting.converted);
+                        assert.deepEqual(
+                            metric('experiments.greeting.' + variant +
+                                   '.converted'),
+                            [1]);
+                    });
+            });
+
+            it("should not count users without a variant", function() {
+                return experiments.convert('greeting').then(function(counted) {
+                    assert(!counted);
+                    assert(!('greeting' in im.user.experiments));
+                });
+            });
+        });
+
+        describe(".convert_goal", function() {
+            it("should convert the experiments with the given goal",
+            function() {
+                return experiments.variant('greeting')
+                    .then(function() {
+                        return experiments.variant('colour');
+                    })
+                    .then(function() {
+                        return experiments.convert_goal('states:end');
+                    })
+                    .then(function() {
+                        assert(im.user.experiments.greeting.converted);
+                        assert(!im.user.experiments.colour.converted);
+                    });
+            });
+        });
+    });
+
+    describe("an app using experiments", function() {
+        var app;
+        var tester;
+
+        beforeEach(function() {
+            app = new App('states:start', {
+                experiments: {
+                    greeting: {
+                        variants: ['formal', 'friendly'],
+                        goal: 'states:end'
+                    }
+                }
+            });
+
+            app.states.add('states:start', function(name) {
+                return app.im.experiments
+                    .variant('greeting')
+                    .then(function(variant) {
+                        return new FreeText(name, {
+                            question: variant == 'friendly'
+                                ? 'Hey there!'
+                                : 'Welcome.',
+                            next: 'states:end'
+                        });
+                    });
+            });
+
+            app.states.add(new EndState('states:end', {text: 'Bye'}));
+
+            tester = new AppTester(app);
+        });
+
+        it("should keep users in their variant across sessions", function() {
+            return tester
+                .setup.user({
+                    addr: '+27123',
+                    experiments: {
+                        greeting: {variant: 'friendly', converted: false}
+                    }
+                })
+                .start()
+                .check.reply('Hey there!')
+                .run();
+        });
+
+        it("should convert users reaching the experiment's goal", function() {
+            return tester
+                .setup.user.addr('+27123')
+                .inputs(null, 'hi')
+                .check.user(function(user) {
+                    assert(user.experiments.greeting.converted);
+                })
+                .run();
+        });
+
+        it("should let the config override the app's experiments",
+        function() {
+            return tester
+                .setup.config.app({
+                    experiments: {greeting: {variants: ['friendly']}}
+                })
+                .start()
+                .check.reply('Hey there!')
+                .run();
+        });
+    });
+});
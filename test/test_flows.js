@@ -0,0 +1,378 @@
+var _ = require('lodash');
+var assert = require('assert');
+
+var vumigo = require('../lib');
+var App = vumigo.App;
+var fixtures = vumigo.fixtures;
+var AppTester = vumigo.AppTester;
+var ChoiceState = vumigo.states.ChoiceState;
+var FlowLoader = vumigo.flows.FlowLoader;
+var FlowSpecError = vumigo.flows.FlowSpecError;
+var LazyText = vumigo.translate.LazyText;
+
+
+describe("flows", function() {
+    describe("FlowLoader", function() {
+        var app;
+        var loader;
+        var spec;
+
+        beforeEach(function() {
+            app = new App('states:start');
+            loader = new FlowLoader(app.states);
+
+            spec = {
+                states: {
+                    'states:start': {
+                        type: 'choice',
+                        question: {$: 'yes or no?'},
+                        choices: [
+                            {value: 'yes', label: {$: 'yes'}},
+                            {value: 'no', label: {$: 'no'}}
+                        ],
+                        next: {
+                            yes: 'states:name',
+                            no: 'states:end'
+                        }
+                    },
+                    'states:name': {
+                        type: 'freetext',
+                        question: 'Name?',
+                        check: [{
+                            type: 'min_length',
+                            value: 2,
+                            error: 'Too short!'
+                        }, {
+                            type: 'pattern',
+                            value: '^[a-z]+$'
+                        }],
+                        next: 'states:info'
+                    },
+                    'states:info': {
+                        type: 'paginated',
+                        text: 'Some info',
+                        next: 'states:guide'
+                    },
+                    'states:guide': {
+                        type: 'booklet',
+                        pages: ['Page 1', {$: 'hello'}],
+                        footer_text: '2 for next, 0 to end',
+                        next: 'states:end'
+                    },
+                    'states:end': {
+                        type: 'end',
+                        text: {$: 'goodbye'},
+                        next: 'states:start'
+                    }
+                }
+            };
+        });
+
+        function assert_spec_error(path, fn) {
+            assert.throws(fn, function(e) {
+                return e instanceof FlowSpecError && e.path == path;
+            });
+        }
+
+        describe(".load", function() {
+            var builtins;
+
+            beforeEach(function() {
+                builtins = _.keys(app.states.creators);
+            });
+
+            it("should add a creator for each of the spec's states",
+            function() {
+                loader.load(spec);
+
+                assert.deepEqual(
+                    _.difference(_.keys(app.states.creators), builtins),
+                    ['states:start', 'states:name', 'states:info',
+                     'states:guide', 'states:end']);
+            });
+
+            it("should accept specs encoded as JSON", function() {
+                loader.load(JSON.stringify(spec));
+                assert('states:start' in app.states.creators);
+            });
+
+            it("should throw an error for invalid JSON", function() {
+                assert_spec_error('spec', function() {
+                    loader.load('{');
+                });
+            });
+
+            it("should not add any states if the spec is invalid",
+            function() {
+                spec.states['states:end'].type = 'foo';
+
+                assert.throws(function() {
+                    loader.load(spec);
+                }, FlowSpecError);
+
+                assert.deepEqual(_.keys(app.states.creators), builtins);
+            });
+        });
+
+        describe(".validate", function() {
+            it("should throw an error if there are no states", function() {
+                assert_spec_error('states', function() {
+                    loader.validate({});
+                });
+            });
+
+            it("should throw an error for duplicate states", function() {
+                app.states.add('states:end', function() {});
+
+                assert_spec_error("states['states:end']", function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should throw an error for unknown state types", function() {
+                spec.states['states:end'].type = 'foo';
+
+                assert_spec_error("states['states:end'].type", function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should throw an error for missing options", function() {
+                delete spec.states['states:name'].question;
+
+                assert_spec_error("states['states:name'].question",
+                function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should throw an error for unknown options", function() {
+                spec.states['states:end'].choices = [];
+
+                assert_spec_error("states['states:end'].choices", function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should throw an error for bad text", function() {
+                spec.states['states:start'].choices[1].label = {$: 23};
+
+                assert_spec_error(
+                    "states['states:start'].choices[1].label",
+                    function() {
+                        loader.validate(spec);
+                    });
+            });
+
+            it("should throw an error for duplicate choice values", function() {
+                spec.states['states:start'].choices[1].value = 'yes';
+
+                assert_spec_error(
+                    "states['states:start'].choices[1].value",
+                    function() {
+                        loader.validate(spec);
+                    });
+            });
+
+            it("should throw an error for unknown validator types",
+            function() {
+                spec.states['states:name'].check[1].type = 'foo';
+
+                assert_spec_error("states['states:name'].check[1].type",
+                function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should throw an error for bad validator values", function() {
+                spec.states['states:name'].check[1].value = '[';
+
+                assert_spec_error("states['states:name'].check[1].value",
+                function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should throw an error for unknown choice values in next",
+            function() {
+                spec.states['states:start'].next.maybe = 'states:end';
+
+                assert_spec_error("states['states:start'].next.maybe",
+                function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should throw an error for choices missing from next",
+            function() {
+                delete spec.states['states:start'].next.no;
+
+                assert_spec_error("states['states:start'].next", function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should only allow next mappings for choice states",
+            function() {
+                spec.states['states:name'].next = {yes: 'states:end'};
+
+                assert_spec_error("states['states:name'].next", function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should throw an error for unknown next states", function() {
+                spec.states['states:name'].next = 'states:nope';
+
+                assert_spec_error("states['states:name'].next", function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should throw an error for unknown states in next mappings",
+            function() {
+                spec.states['states:start'].next.no = 'states:nope';
+
+                assert_spec_error("states['states:start'].next.no",
+                function() {
+                    loader.validate(spec);
+                });
+            });
+
+            it("should allow next states added outside of the spec",
+            function() {
+                app.states.add('states:other', function() {});
+                spec.states['states:name'].next = 'states:other';
+                loader.validate(spec);
+            });
+
+            it("should throw an error for bad characters per page",
+            function() {
+                spec.states['states:info'].characters_per_page = 0;
+
+                assert_spec_error(
+                    "states['states:info'].characters_per_page",
+                    function() {
+                        loader.validate(spec);
+                    });
+
+                spec.states['states:info'].characters_per_page = '160';
+
+                assert_spec_error(
+                    "states['states:info'].characters_per_page",
+                    function() {
+                        loader.validate(spec);
+                    });
+            });
+
+            it("should throw an error for bad buttons", function() {
+                spec.states['states:guide'].buttons = ['2'];
+
+                assert_spec_error("states['states:guide'].buttons",
+                function() {
+                    loader.validate(spec);
+                });
+
+                spec.states['states:guide'].buttons = {'2': 1, '0': 'done'};
+
+                assert_spec_error("states['states:guide'].buttons['0']",
+                function() {
+                    loader.validate(spec);
+                });
+            });
+        });
+
+        describe(".text", function() {
+            it("should return plain strings as they are", function() {
+                assert.strictEqual(loader.text('foo'), 'foo');
+            });
+
+            it("should return translatable strings as lazy text", function() {
+                var text = loader.text({$: 'foo'});
+                assert(text instanceof LazyText);
+                assert.deepEqual(text.args, ['foo']);
+            });
+        });
+
+        describe(".create", function() {
+            it("should create the state described by the spec", function() {
+                var state = loader.create(
+                    'states:start', spec.states['states:start']);
+
+                assert(state instanceof ChoiceState);
+                assert.equal(state.name, 'states:start');
+                assert.deepEqual(_.map(state.choices, 'value'), ['yes', 'no']);
+            });
+        });
+
+        describe("the loaded states", function() {
+            var tester;
+
+            beforeEach(function() {
+                loader.load(spec);
+
+                tester = new AppTester(app);
+
+                tester.setup.config({
+                    'translation.af': fixtures.lang('af').locale_data.messages
+                });
+            });
+
+            it("should display translated text", function() {
+                return tester
+                    .setup.user.lang('af')
+                    .start()
+                    .check.reply('ja of nee?\n1. ja\n2. nee')
+                    .run();
+            });
+
+            it("should follow the next mapping for choices", function() {
+                return tester
+                    .setup.user.state('states:start')
+                    .input('2')
+                    .check.user.answer('states:start', 'no')
+                    .check.reply('goodbye')
+                    .run();
+            });
+
+            it("should validate the user's input", function() {
+                return tester
+                    .setup.user.state('states:name')
+                    .input('j')
+                    .check.user.state('states:name')
+                    .check.reply('Too short!')
+                    .run();
+            });
+
+            it("should default validation errors to the question",
+            function() {
+                return tester
+                    .setup.user.state('states:name')
+                    .input('Jan')
+                    .check.reply('Name?')
+                    .run();
+            });
+
+            it("should move on once the input is valid", function() {
+                return tester
+                    .setup.user.state('states:name')
+                    .input('jan')
+                    .check.user.answer('states:name', 'jan')
+                    .check.user.state('states:info')
+                    .check.reply('Some info\n1. Exit')
+                    .run();
+            });
+
+            it("should display booklet pages", function() {
+                return tester
+                    .setup.user.lang('af')
+                    .setup.user.state('states:guide', {
+                        metadata: {page: 0}
+                    })
+                    .input('2')
+                    .check.reply('hallo\n2 for next, 0 to end')
+                    .run();
+            });
+        });
+    });
+});
@@ -0,0 +1,290 @@
+var assert = require('assert');
+
+var vumigo = require('../lib');
+var App = vumigo.App;
+var Choice = vumigo.states.Choice;
+var ChoiceState = vumigo.states.ChoiceState;
+var MenuState = vumigo.states.MenuState;
+var PaginatedChoiceState = vumigo.states.PaginatedChoiceState;
+var EndState = vumigo.states.EndState;
+var FreeText = vumigo.states.FreeText;
+var FlowGraph = vumigo.graph.FlowGraph;
+
+
+describe("graph", function() {
+    describe("FlowGraph", function() {
+        var app;
+        var graph;
+
+        beforeEach(function() {
+            app = new App('states:start');
+
+            app.states.add('states:start', function(name) {
+                return new MenuState(name, {
+                    question: 'Pick one',
+                    choices: [
+                        new Choice('states:name', 'Register'),
+                        new Choice({name: 'states:end'}, app.$('goodbye'))
+                    ]
+                });
+            });
+
+            app.states.add('states:name', function(name) {
+                return new FreeText(name, {
+                    question: 'Name?',
+                    next: function(content) {
+                        return 'states:colour';
+                    }
+                });
+            });
+
+            app.states.add('states:colour', function(name) {
+                return new ChoiceState(name, {
+                    question: 'Colour?',
+                    choices: [
+                        new Choice('red', 'Red'),
+                        new Choice('blue', 'Blue')
+                    ],
+                    next: function(choice) {
+                        return choice.value == 'red'
+                            ? 'states:end'
+                            : 'states:missing';
+                    }
+                });
+            });
+
+            app.states.add('states:broken', function() {
+                throw new Error('Oops');
+            });
+
+            app.states.add('states:end', function(name) {
+                return new EndState(name, {
+                    text: 'Bye',
+                    next: {name: 'states:start'}
+                });
+            });
+
+            graph = new FlowGraph(app);
+        });
+
+        describe(".build", function() {
+            it("should add a node for each state", function() {
+                return graph.build().then(function(g) {
+                    assert.deepEqual(g.nodes, [{
+                        name: 'states:start',
+                        type: 'MenuState',
+                        choices: [{
+                            value: 'states:name',
+                            label: 'Register'
+                        }, {
+                            value: {name: 'states:end'},
+                            label: 'goodbye'
+                        }],
+                        error: null,
+                        missing: false
+                    }, {
+                        name: 'states:name',
+                        type: 'FreeText',
+                        choices: [],
+                        error: null,
+                        missing: false
+                    }, {
+                        name: 'states:colour',
+                        type: 'ChoiceState',
+                        choices: [{
+                            value: 'red',
+                            label: 'Red'
+                        }, {
+                            value: 'blue',
+                            label: 'Blue'
+                        }],
+                        error: null,
+                        missing: false
+                    }, {
+                        name: 'states:broken',
+                        type: null,
+                        choices: [],
+                        error: 'Oops',
+                        missing: false
+                    }, {
+                        name: 'states:end',
+                        type: 'EndState',
+                        choices: [],
+                        error: null,
+                        missing: false
+                    }, {
+                        name: 'states:missing',
+                        type: null,
+                        choices: [],
+                        error: null,
+                        missing: true
+                    }]);
+                });
+            });
+
+            it("should add an edge for each static transition", function() {
+                return graph.build().then(function(g) {
+                    assert.deepEqual(g.edges, [{
+                        from: 'states:start',
+                        to: 'states:name',
+                        label: 'Register',
+                        dynamic: false
+                    }, {
+                        from: 'states:start',
+                        to: 'states:end',
+                        label: 'goodbye',
+                        dynamic: false
+                    }, {
+                        from: 'states:name',
+                        to: null,
+                        label: null,
+                        dynamic: true
+                    }, {
+                        from: 'states:colour',
+                        to: 'states:end',
+                        label: 'Red',
+                        dynamic: false
+                    }, {
+                        from: 'states:colour',
+                        to: 'states:missing',
+                        label: 'Blue',
+                        dynamic: false
+                    }, {
+                        from: 'states:end',
+                        to: 'states:start',
+                        label: null,
+                        dynamic: false
+                    }]);
+                });
+            });
+
+            it("should add an edge for each choice given by next functions",
+            function() {
+                app.states.add('states:more', function(name) {
+                    return new PaginatedChoiceState(name, {
+                        question: 'More?',
+                        choices: [
+                            new Choice('states:start', 'Start'),
+                            new Choice('states:end', 'End'),
+                            new Choice('states:broken', 'Broken')
+                        ],
+                        next: function(choice) {
+                            if (choice.value == 'states:broken') {
+                                throw new Error('Oops');
+                            }
+
+                            return choice.value;
+                        }
+                    });
+                });
+
+                return graph.build().then(function(g) {
+                    assert.deepEqual(g.edges.slice(-3), [{
+                        from: 'states:more',
+                        to: 'states:start',
+                        label: 'Start',
+                        dynamic: false
+                    }, {
+                        from: 'states:more',
+                        to: 'states:end',
+                        label: 'End',
+                        dynamic: false
+                    }, {
+                        from: 'states:more',
+                        to: null,
+                        label: 'Broken',
+                        dynamic: true
+                    }]);
+                });
+            });
+
+            it("should not need an interaction machine", function() {
+                return graph.build().then(function() {
+                    assert.strictEqual(graph.im.user.get_answer('foo'),
+                                       undefined);
+                    assert.deepEqual(graph.im.config, {});
+                });
+            });
+
+            it("should add nodes for states without creators", function() {
+                app.states.add('states:foo', function(name) {
+                    return new EndState(name, {
+                        text: 'Foo',
+                        next: 'states:bar'
+                    });
+                });
+
+                return graph.build().then(function(g) {
+                    assert.deepEqual(g.nodes[g.nodes.length - 1], {
+                        name: 'states:bar',
+                        type: null,
+                        choices: [],
+                        error: null,
+                        missing: true
+                    });
+                });
+            });
+        });
+
+        describe(".dot", function() {
+            it("should describe the graph as a DOT digraph", function() {
+                return graph.dot().then(function(dot) {
+                    assert.equal(dot, [
+                        'digraph "states:start" {',
+                        '    "states:start" [label="states:start\\n' +
+                            '(MenuState)\\n1. Register\\n2. goodbye", ' +
+                            'shape="doublecircle"];',
+                        '    "states:name" [label="states:name\\n(FreeText)"];',
+                        '    "states:colour" [label="states:colour\\n' +
+                            '(ChoiceState)\\n1. Red\\n2. Blue"];',
+                        '    "states:broken" [label="states:broken\\n' +
+                            '(error: Oops)", color="red"];',
+                        '    "states:end" [label="states:end\\n(EndState)"];',
+                        '    "states:missing" [label="states:missing\\n' +
+                            '(missing)", style="dashed"];',
+                        '    "states:start" -> "states:name" ' +
+                            '[label="Register"];',
+                        '    "states:start" -> "states:end" ' +
+                            '[label="goodbye"];',
+                        '    "states:name:dynamic" ' +
+                            '[label="?", shape="none"];',
+                        '    "states:name" -> "states:name:dynamic" ' +
+                            '[style="dashed", label="dynamic"];',
+                        '    "states:colour" -> "states:end" ' +
+                            '[label="Red"];',
+                        '    "states:colour" -> "states:missing" ' +
+                            '[label="Blue"];',
+                        '    "states:end" -> "states:start";',
+                        '}'
+                    ].join('\n'));
+                });
+            });
+        });
+
+        describe(".mermaid", function() {
+            it("should describe the graph as a Mermaid flowchart", function() {
+                return graph.mermaid().then(function(mermaid) {
+                    assert.equal(mermaid, [
+                        'flowchart TD',
+                        '    s0(["states:start<br/>(MenuState)<br/>' +
+                            '1. Register<br/>2. goodbye"])',
+                        '    s1["states:name<br/>(FreeText)"]',
+                        '    s2["states:colour<br/>(ChoiceState)<br/>' +
+                            '1. Red<br/>2. Blue"]',
+                        '    s3["states:broken<br/>(error: Oops)"]:::error',
+                        '    s4["states:end<br/>(EndState)"]',
+                        '    s5["states:missing<br/>(missing)"]:::missing',
+                        '    s0 -->|"Register"| s1',
+                        '    s0 -->|"goodbye"| s4',
+                        '    s1 -.->|dynamic| s1_dynamic(("?"))',
+                        '    s2 -->|"Red"| s4',
+                        '    s2 -->|"Blue"| s5',
+                        '    s4 --> s0',
+                        '    classDef missing stroke-dasharray: 5 5',
+                        '    classDef error stroke: red'
+                    ].join('\n'));
+                });
+            });
+        });
+    });
+});
@@ -1,3 +1,4 @@
+var Q = require('q');
 var assert = require('assert');
 
 var vumigo = require('../../lib');
@@ -11,6 +12,7 @@ var HttpRequest = api.HttpRequest;
 var HttpResponse = api.HttpResponse;
 var HttpResponseError = api.HttpResponseError;
 var HttpRequestError = api.HttpRequestError;
+var HttpCircuitOpenError = api.HttpCircuitOpenError;
 
 
 describe("http.api", function() {
@@ -231,6 +233,29 @@ describe("http.api", function() {
             });
         });
 
+        describe(".header", function() {
+            it("should return the header's first value", function() {
+                var response = new HttpResponse(request, 200, {
+                    headers: {'ETag': ['"abc"', '"def"']}
+                });
+
+                assert.equal(response.header('ETag'), '"abc"');
+            });
+
+            it("should match header names case-insensitively", function() {
+                var response = new HttpResponse(request, 200, {
+                    headers: {'cache-control': ['max-age=60']}
+                });
+
+                assert.equal(response.header('Cache-Control'), 'max-age=60');
+            });
+
+            it("should return null for missing headers", function() {
+                var response = new HttpResponse(request, 200);
+                assert.strictEqual(response.header('ETag'), null);
+            });
+        });
+
         describe(".serialize", function() {
             it("should include the code", function() {
                 var response = new HttpResponse(request, 404);
@@ -506,6 +531,142 @@ describe("http.api", function() {
             });
         });
 
+        describe(".intercept", function() {
+            beforeEach(function() {
+                im.api.http.fixtures.add({
+                    request: {url: 'http://foo.com/'},
+                    responses: [
+                        {code: 503},
+                        {code: 200, body: 'bar'}
+                    ]
+                });
+            });
+
+            it("should be chainable", function() {
+                function f() {}
+
+                assert.strictEqual(
+                    api.intercept.request(f).intercept.response(f),
+                    api);
+            });
+
+            it("should give each attempt's request to request interceptors",
+            function() {
+                var attempts = 0;
+
+                api.intercept
+                    .request(function(request) {
+                        attempts++;
+                        request.headers['X-Attempt'] = ['' + attempts];
+                    })
+                    .intercept.request(function(request) {
+                        request.headers['X-Seen'] = ['yes'];
+                    });
+
+                return api.get('http://foo.com/', {
+                    retry: {
+                        attempts: 2,
+                        backoff: 0
+                    }
+                }).then(function() {
+                    var requests = im.api.http.requests;
+                    assert.equal(attempts, 2);
+                    assert.equal(requests.length, 2);
+                    assert.deepEqual(requests[1].headers['X-Attempt'], ['2']);
+                    assert.deepEqual(requests[1].headers['X-Seen'], ['yes']);
+                });
+            });
+
+            it("should allow request interceptors to replace the request",
+            function() {
+                im.api.http.fixtures.add({
+                    request: {url: 'http://bar.com/'}
+                });
+
+                api.intercept.request(function() {
+                    return new HttpRequest('GET', 'http://bar.com/');
+                });
+
+                return api.get('http://foo.com/').then(function() {
+                    assert.equal(
+                        im.api.http.requests[0].url,
+                        'http://bar.com/');
+                });
+            });
+
+            it("should give responses to response interceptors", function() {
+                api.intercept
+                    .response(function(response, request) {
+                        assert.equal(request.url, 'http://foo.com/');
+                        return Q(response.body);
+                    })
+                    .intercept.response(function(body) {
+                        return body.toUpperCase();
+                    });
+
+                return api.get('http://foo.com/', {
+                    retry: {
+                        attempts: 2,
+                        backoff: 0
+                    }
+                }).then(function(result) {
+                    assert.equal(result, 'BAR');
+                });
+            });
+
+            it("should allow error interceptors to map errors", function() {
+                function PartnerError(code) {
+                    this.code = code;
+                }
+
+                api.intercept
+                    .error(function(e) {
+                        throw new PartnerError(e.response.code);
+                    })
+                    .intercept.error(function(e, request) {
+                        assert(e instanceof PartnerError);
+                        assert.equal(request.url, 'http://foo.com/');
+                    });
+
+                return api.get('http://foo.com/').then(function() {
+                    throw new Error('Expected a rejection');
+                }, function(e) {
+                    assert(e instanceof PartnerError);
+                    assert.equal(e.code, 503);
+                });
+            });
+
+            it("should allow error interceptors to recover from errors",
+            function() {
+                api.intercept.error(function() {
+                    return 'fallback';
+                });
+
+                return api.get('http://foo.com/').then(function(result) {
+                    assert.equal(result, 'fallback');
+                });
+            });
+
+            it("should give errors to error interceptors after retries",
+            function() {
+                var errors = [];
+
+                api.intercept.error(function(e) {
+                    errors.push(e);
+                });
+
+                return api.get('http://foo.com/', {
+                    retry: {
+                        attempts: 2,
+                        backoff: 0
+                    }
+                }).then(function(response) {
+                    assert.equal(response.body, 'bar');
+                    assert.deepEqual(errors, []);
+                });
+            });
+        });
+
         describe(".request", function() {
             it("should accept responses in the 200 range", function() {
                 im.api.http.fixtures.add({
@@ -644,6 +805,768 @@ describe("http.api", function() {
                 });
             });
 
+            describe("if a retry policy is given", function() {
+                beforeEach(function() {
+                    return make_api({
+                        retry: {
+                            attempts: 3,
+                            backoff: 0
+                        }
+                    });
+                });
+
+                it("should retry failed requests", function() {
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [
+                            {failure: 'Connection refused'},
+                            {code: 503},
+                            {code: 200, body: 'bar'}
+                        ]
+                    });
+
+                    return api.get('http://foo.com/').then(function(response) {
+                        assert.equal(response.code, 200);
+                        assert.equal(response.body, 'bar');
+                        assert.equal(im.api.http.requests.length, 3);
+                    });
+                });
+
+                it("should throw the last error once all attempts have failed",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [
+                            {code: 503},
+                            {code: 502},
+                            {code: 500}
+                        ]
+                    });
+
+                    return api.get('http://foo.com/').then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert(e instanceof HttpResponseError);
+                        assert.equal(e.response.code, 500);
+                        assert.equal(im.api.http.requests.length, 3);
+                    });
+                });
+
+                it("should not retry status codes that are not retryable",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [
+                            {code: 404},
+                            {code: 200}
+                        ]
+                    });
+
+                    return api.get('http://foo.com/').then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert.equal(e.response.code, 404);
+                        assert.equal(im.api.http.requests.length, 1);
+                    });
+                });
+
+                it("should not retry methods that are not retryable",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {
+                            method: 'POST',
+                            url: 'http://foo.com/'
+                        },
+                        responses: [
+                            {code: 503},
+                            {code: 200}
+                        ]
+                    });
+
+                    return api.post('http://foo.com/').then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert.equal(e.response.code, 503);
+                        assert.equal(im.api.http.requests.length, 1);
+                    });
+                });
+
+                it("should allow the policy to be overridden per request",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {
+                            method: 'POST',
+                            url: 'http://foo.com/'
+                        },
+                        responses: [
+                            {code: 503},
+                            {code: 200}
+                        ]
+                    });
+
+                    return api.post('http://foo.com/', {
+                        retry: {methods: ['POST']}
+                    }).then(function(response) {
+                        assert.equal(response.code, 200);
+                    });
+                });
+
+                it("should wait longer before each retry", function() {
+                    var start = Date.now();
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [
+                            {code: 503},
+                            {code: 503},
+                            {code: 200}
+                        ]
+                    });
+
+                    return api.get('http://foo.com/', {
+                        retry: {
+                            backoff: 10,
+                            factor: 3
+                        }
+                    }).then(function() {
+                        assert(Date.now() - start >= 40);
+                    });
+                });
+
+                it("should log each attempt", function() {
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [
+                            {failure: 'Connection refused'},
+                            {code: 503},
+                            {code: 200}
+                        ]
+                    });
+
+                    return api.get('http://foo.com/').then(function() {
+                        assert.deepEqual(im.api.log.warning, [
+                            'HTTP GET http://foo.com/ attempt 1 of 3 ' +
+                                'failed: Connection refused, ' +
+                                'retrying in 0ms',
+                            'HTTP GET http://foo.com/ attempt 2 of 3 ' +
+                                'failed with status 503, retrying in 0ms'
+                        ]);
+
+                        assert.deepEqual(im.api.log.info.slice(-1), [
+                            'HTTP GET http://foo.com/ attempt 3 of 3 ' +
+                                'succeeded'
+                        ]);
+                    });
+                });
+            });
+
+            describe("if a circuit breaker is given", function() {
+                var key = 'test_app.http_circuit.foo.com';
+
+                function circuit() {
+                    return JSON.parse(im.api.kv.store[key]);
+                }
+
+                function open_circuit(opened_at) {
+                    im.api.kv.store[key] = JSON.stringify({
+                        state: 'open',
+                        failures: 2,
+                        opened_at: opened_at
+                    });
+                }
+
+                beforeEach(function() {
+                    return make_api({
+                        circuit_breaker: {
+                            threshold: 2,
+                            reset_timeout: 30
+                        }
+                    });
+                });
+
+                it("should open the circuit once the threshold is reached",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [{code: 503}, {code: 500}]
+                    });
+
+                    var start = im.now();
+
+                    return api.get('http://foo.com/')
+                        .catch(function() {
+                            assert.equal(circuit().state, 'closed');
+                            assert.equal(circuit().failures, 1);
+                            return api.get('http://foo.com/');
+                        })
+                        .catch(function(e) {
+                            assert(e instanceof HttpResponseError);
+                            assert.equal(circuit().state, 'open');
+                            assert(circuit().opened_at >= start);
+                        });
+                });
+
+                it("should fire a metric when the circuit is opened",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [{failure: 'Down'}, {failure: 'Down'}]
+                    });
+
+                    return api.get('http://foo.com/')
+                        .catch(function() {
+                            return api.get('http://foo.com/');
+                        })
+                        .catch(function() {
+                            var metrics = im.api.metrics.stores.test_app;
+                            assert.deepEqual(
+                                metrics['http_circuit.foo.com.opened'].values,
+                                [1]);
+                        });
+                });
+
+                it("should fail fast while the circuit is open", function() {
+                    open_circuit(im.now());
+
+                    return api.get('http://foo.com/').then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert(e instanceof HttpCircuitOpenError);
+                        assert.equal(e.host, 'foo.com');
+                        assert.equal(e.request.url, 'http://foo.com/');
+                        assert.equal(im.api.http.requests.length, 0);
+                    });
+                });
+
+                it("should keep circuits for each host", function() {
+                    open_circuit(im.now());
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://bar.com/'}
+                    });
+
+                    return api.get('http://bar.com/').then(function(response) {
+                        assert.equal(response.code, 200);
+                    });
+                });
+
+                it("should close the circuit if a trial request succeeds",
+                function() {
+                    open_circuit(im.now());
+                    im.api.advance_time(30);
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'}
+                    });
+
+                    return api.get('http://foo.com/').then(function() {
+                        assert.deepEqual(circuit(), {
+                            state: 'closed',
+                            failures: 0,
+                            opened_at: null
+                        });
+                    });
+                });
+
+                it("should open the circuit again if a trial request fails",
+                function() {
+                    open_circuit(im.now());
+                    im.api.advance_time(30);
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        response: {code: 503}
+                    });
+
+                    var start = im.now();
+
+                    return api.get('http://foo.com/').catch(function(e) {
+                        assert(e instanceof HttpResponseError);
+                        assert.equal(circuit().state, 'open');
+                        assert(circuit().opened_at >= start);
+                    });
+                });
+
+                it("should fail fast while a trial request is being made",
+                function() {
+                    im.api.kv.store[key] = JSON.stringify({
+                        state: 'half_open',
+                        failures: 2,
+                        opened_at: im.now()
+                    });
+
+                    return api.get('http://foo.com/').catch(function(e) {
+                        assert(e instanceof HttpCircuitOpenError);
+                    });
+                });
+
+                it("should not count client errors as failures", function() {
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [{code: 503}, {code: 404}]
+                    });
+
+                    return api.get('http://foo.com/')
+                        .catch(function() {
+                            return api.get('http://foo.com/');
+                        })
+                        .catch(function(e) {
+                            assert.equal(e.response.code, 404);
+                            assert.equal(circuit().state, 'closed');
+                            assert.equal(circuit().failures, 0);
+                        });
+                });
+
+                it("should not guard requests to urls without a host",
+                function() {
+                    var request = new HttpRequest('GET', '/foo');
+
+                    return api.circuit_breaker
+                        .guard(request, function() {
+                            throw new HttpRequestError(request, 'Down');
+                        })
+                        .catch(function(e) {
+                            assert(e instanceof HttpRequestError);
+                            assert(!('test_app.http_circuit.' in
+                                     im.api.kv.store));
+                        });
+                });
+            });
+
+            describe("if a cache is given", function() {
+                var key = 'test_app.http_cache.GET.http://foo.com/?a=b';
+
+                function entry() {
+                    return JSON.parse(im.api.kv.store[key]);
+                }
+
+                beforeEach(function() {
+                    return make_api({cache: {ttl: 60}});
+                });
+
+                it("should use cached responses while they are fresh",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {
+                            url: 'http://foo.com/',
+                            params: {a: 'b'}
+                        },
+                        response: {body: 'bar'}
+                    });
+
+                    return api.get('http://foo.com/', {params: {a: 'b'}})
+                        .then(function() {
+                            im.api.advance_time(59);
+                            return api.get('http://foo.com/', {
+                                params: {a: 'b'}
+                            });
+                        })
+                        .then(function(response) {
+                            assert.equal(response.code, 200);
+                            assert.equal(response.body, 'bar');
+                            assert.equal(im.api.http.requests.length, 1);
+                        });
+                });
+
+                it("should make the request again once the response is stale",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {
+                            url: 'http://foo.com/',
+                            params: {a: 'b'}
+                        },
+                        responses: [{body: 'bar'}, {body: 'baz'}]
+                    });
+
+                    return api.get('http://foo.com/', {params: {a: 'b'}})
+                        .then(function() {
+                            im.api.advance_time(60);
+                            return api.get('http://foo.com/', {
+                                params: {a: 'b'}
+                            });
+                        })
+                        .then(function(response) {
+                            assert.equal(response.body, 'baz');
+                            assert.equal(entry().body, 'baz');
+                        });
+                });
+
+                it("should honour the response's max-age", function() {
+                    im.api.http.fixtures.add({
+                        request: {
+                            url: 'http://foo.com/',
+                            params: {a: 'b'}
+                        },
+                        response: {
+                            body: 'bar',
+                            headers: {'Cache-Control': ['public, max-age=10']}
+                        }
+                    });
+
+                    var start = im.now();
+
+                    return api.get('http://foo.com/', {params: {a: 'b'}})
+                        .then(function() {
+                            assert(entry().expires_at >= start + 10000);
+                            assert(entry().expires_at < start + 60000);
+                            assert.equal(im.api.kv.ttl[key], 10);
+                        });
+                });
+
+                it("should not store responses with no-store", function() {
+                    im.api.http.fixtures.add({
+                        request: {
+                            url: 'http://foo.com/',
+                            params: {a: 'b'}
+                        },
+                        response: {
+                            headers: {'Cache-Control': ['no-store']}
+                        }
+                    });
+
+                    return api.get('http://foo.com/', {params: {a: 'b'}})
+                        .then(function() {
+                            assert(!(key in im.api.kv.store));
+                        });
+                });
+
+                it("should revalidate stale responses with an etag",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {
+                            url: 'http://foo.com/',
+                            params: {a: 'b'}
+                        },
+                        responses: [{
+                            body: 'bar',
+                            headers: {'ETag': ['"v1"']}
+                        }, {
+                            code: 304
+                        }]
+                    });
+
+                    return api.get('http://foo.com/', {params: {a: 'b'}})
+                        .then(function() {
+                            assert.equal(im.api.kv.ttl[key], 60 + 86400);
+                            im.api.advance_time(60);
+
+                            return api.get('http://foo.com/', {
+                                params: {a: 'b'}
+                            });
+                        })
+                        .then(function(response) {
+                            var request = im.api.http.requests[1];
+
+                            assert.deepEqual(
+                                request.headers['If-None-Match'],
+                                ['"v1"']);
+
+                            assert.equal(response.code, 200);
+                            assert.equal(response.body, 'bar');
+                            assert.equal(entry().etag, '"v1"');
+                            assert(entry().expires_at > im.now());
+                        });
+                });
+
+                it("should allow the cache to be bypassed", function() {
+                    im.api.http.fixtures.add({
+                        request: {
+                            url: 'http://foo.com/',
+                            params: {a: 'b'}
+                        },
+                        responses: [{body: 'bar'}, {body: 'baz'}]
+                    });
+
+                    return api.get('http://foo.com/', {params: {a: 'b'}})
+                        .then(function() {
+                            return api.get('http://foo.com/', {
+                                params: {a: 'b'},
+                                cache: false
+                            });
+                        })
+                        .then(function(response) {
+                            assert.equal(response.body, 'baz');
+                            assert.equal(entry().body, 'baz');
+                        });
+                });
+
+                it("should not cache requests other than GET requests",
+                function() {
+                    im.api.http.fixtures.add({
+                        request: {
+                            method: 'POST',
+                            url: 'http://foo.com/'
+                        },
+                        responses: [{body: 'bar'}, {body: 'baz'}]
+                    });
+
+                    return api.post('http://foo.com/')
+                        .then(function() {
+                            return api.post('http://foo.com/');
+                        })
+                        .then(function(response) {
+                            assert.equal(response.body, 'baz');
+                        });
+                });
+
+                it("should decode cached responses", function() {
+                    return test_utils.make_im().then(function(new_im) {
+                        var json_api = new JsonApi(new_im, {cache: true});
+
+                        new_im.api.http.fixtures.add({
+                            request: {url: 'http://foo.com/'},
+                            response: {data: {foo: 'bar'}}
+                        });
+
+                        return json_api.get('http://foo.com/')
+                            .then(function() {
+                                return json_api.get('http://foo.com/');
+                            })
+                            .then(function(response) {
+                                assert.deepEqual(response.data, {foo: 'bar'});
+                                assert.equal(
+                                    new_im.api.http.requests.length, 1);
+                            });
+                    });
+                });
+            });
+
+            describe("if an oauth2 strategy is given", function() {
+                var key = [
+                    'test_app.oauth2_tokens.my_app.read',
+                    'http://auth.com/token'
+                ].join('.');
+
+                function add_token_fixture(responses) {
+                    im.api.http.fixtures.add({
+                        request: {
+                            method: 'POST',
+                            url: 'http://auth.com/token',
+                            body: 'grant_type=client_credentials&scope=read'
+                        },
+                        responses: responses.map(function(data) {
+                            return {body: JSON.stringify(data)};
+                        })
+                    });
+                }
+
+                beforeEach(function() {
+                    return make_api({
+                        oauth2: {
+                            token_url: 'http://auth.com/token',
+                            client_id: 'my_app',
+                            client_secret: 's3cr3t',
+                            scope: 'read'
+                        }
+                    });
+                });
+
+                it("should fetch a token and attach it to requests",
+                function() {
+                    add_token_fixture([{
+                        access_token: 'abc',
+                        expires_in: 3600
+                    }]);
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'}
+                    });
+
+                    return api.get('http://foo.com/').then(function() {
+                        var requests = im.api.http.requests;
+
+                        assert.deepEqual(
+                            requests[0].headers.Authorization,
+                            [utils.basic_auth('my_app', 's3cr3t')]);
+
+                        assert.deepEqual(
+                            requests[1].headers.Authorization,
+                            ['Bearer abc']);
+                    });
+                });
+
+                it("should store tokens until they expire", function() {
+                    add_token_fixture([{
+                        access_token: 'abc',
+                        expires_in: 3600
+                    }]);
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        repeatable: true
+                    });
+
+                    return api.get('http://foo.com/')
+                        .then(function() {
+                            assert.equal(im.api.kv.ttl[key], 3570);
+                            return api.get('http://foo.com/');
+                        })
+                        .then(function() {
+                            var requests = im.api.http.requests;
+                            assert.equal(requests.length, 3);
+
+                            assert.deepEqual(
+                                requests[2].headers.Authorization,
+                                ['Bearer abc']);
+                        });
+                });
+
+                it("should reuse tokens with lifetimes shorter than the leeway",
+                function() {
+                    add_token_fixture([{
+                        access_token: 'abc',
+                        expires_in: 20
+                    }]);
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        repeatable: true
+                    });
+
+                    return api.get('http://foo.com/')
+                        .then(function() {
+                            var token = JSON.parse(im.api.kv.store[key]);
+                            assert.equal(im.api.kv.ttl[key], 10);
+                            assert(token.expires_at > im.now());
+
+                            im.api.advance_time(5);
+                            return api.get('http://foo.com/');
+                        })
+                        .then(function() {
+                            var requests = im.api.http.requests;
+                            assert.equal(requests.length, 3);
+
+                            assert.deepEqual(
+                                requests[2].headers.Authorization,
+                                ['Bearer abc']);
+                        });
+                });
+
+                it("should fetch a new token once the token has expired",
+                function() {
+                    add_token_fixture([{
+                        access_token: 'abc',
+                        expires_in: 3600
+                    }, {
+                        access_token: 'def',
+                        expires_in: 3600
+                    }]);
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        repeatable: true
+                    });
+
+                    return api.get('http://foo.com/')
+                        .then(function() {
+                            im.api.advance_time(3570);
+                            return api.get('http://foo.com/');
+                        })
+                        .then(function() {
+                            assert.deepEqual(
+                                im.api.http.requests[3].headers.Authorization,
+                                ['Bearer def']);
+                        });
+                });
+
+                it("should refresh the token once on a 401", function() {
+                    add_token_fixture([{
+                        access_token: 'abc',
+                        expires_in: 3600
+                    }, {
+                        access_token: 'def',
+                        expires_in: 3600
+                    }]);
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [{code: 401}, {code: 200, body: 'bar'}]
+                    });
+
+                    return api.get('http://foo.com/').then(function(response) {
+                        assert.equal(response.body, 'bar');
+
+                        assert.deepEqual(
+                            im.api.http.requests[3].headers.Authorization,
+                            ['Bearer def']);
+
+                        assert.equal(
+                            JSON.parse(im.api.kv.store[key]).access_token,
+                            'def');
+                    });
+                });
+
+                it("should not refresh the token more than once", function() {
+                    add_token_fixture([{
+                        access_token: 'abc'
+                    }, {
+                        access_token: 'def'
+                    }]);
+
+                    im.api.http.fixtures.add({
+                        request: {url: 'http://foo.com/'},
+                        responses: [{code: 401}, {code: 401}]
+                    });
+
+                    return api.get('http://foo.com/').then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert(e instanceof HttpResponseError);
+                        assert.equal(e.response.code, 401);
+                        assert.equal(im.api.http.requests.length, 4);
+                    });
+                });
+
+                it("should throw an error if no token is given", function() {
+                    add_token_fixture([{error: 'invalid_client'}]);
+
+                    return api.get('http://foo.com/').then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert(e instanceof HttpResponseError);
+                        assert.equal(
+                            e.reason,
+                            'Token response has no access token');
+                    });
+                });
+
+                it("should keep a separate circuit for token requests",
+                function() {
+                    return make_api({
+                        circuit_breaker: {threshold: 2},
+                        oauth2: {
+                            token_url: 'http://auth.com/token',
+                            client_id: 'my_app',
+                            client_secret: 's3cr3t'
+                        }
+                    })
+                    .then(function() {
+                        im.api.http.fixtures.add({
+                            request: {
+                                method: 'POST',
+                                url: 'http://auth.com/token',
+                                body: 'grant_type=client_credentials'
+                            },
+                            response: {code: 503}
+                        });
+
+                        return api.get('http://foo.com/');
+                    })
+                    .then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert(e instanceof HttpResponseError);
+                        assert.equal(e.response.code, 503);
+
+                        var store = im.api.kv.store;
+                        assert(!('test_app.http_circuit.foo.com' in store));
+                        assert.equal(JSON.parse(
+                            store['test_app.http_circuit.auth.com']).failures,
+                            1);
+                    });
+                });
+            });
+
             describe("if the sandbox api replies with a failure", function() {
                 beforeEach(function() {
                     im.api.request = function(cmd_name, cmd_data, reply) {
@@ -711,6 +1634,21 @@ describe("http.api", function() {
             });
         });
 
+        it("should support interceptors", function() {
+            im.api.http.fixtures.add({
+                request: {url: 'http://foo.com/'},
+                response: {body: '{"foo": "bar"}'}
+            });
+
+            api.intercept.response(function(response) {
+                return response.data.foo;
+            });
+
+            return api.get('http://foo.com/').then(function(foo) {
+                assert.equal(foo, 'bar');
+            });
+        });
+
         it("should encode request data to JSON", function() {
             im.api.http.fixtures.add({
                 request: {
@@ -534,6 +534,51 @@ describe("http.dummy", function() {
                     });
                 });
 
+                it("should include the response's headers if given",
+                function() {
+                    api.http.fixtures.add({
+                        request: {url: 'http://example.com'},
+                        response: {
+                            headers: {'ETag': ['"v1"']}
+                        }
+                    });
+
+                    return request('http.get', {
+                        url: 'http://example.com'
+                    }).then(function(result) {
+                        assert.deepEqual(result.headers, {'ETag': ['"v1"']});
+                    });
+                });
+
+                it("should fail if the fixture's response is a failure",
+                function() {
+                    api.http.fixtures.add({
+                        request: {url: 'http://example.com'},
+                        responses: [
+                            {failure: 'Connection refused'},
+                            {code: 200, data: {foo: 'bar'}}
+                        ]
+                    });
+
+                    return request('http.get', {
+                        url: 'http://example.com'
+                    }).then(function(result) {
+                        assert.deepEqual(result, {
+                            success: false,
+                            reason: 'Connection refused'
+                        });
+
+                        assert.equal(api.http.requests.length, 1);
+
+                        return request('http.get', {
+                            url: 'http://example.com'
+                        });
+                    }).then(function(result) {
+                        assert(result.success);
+                        assert.equal(result.code, 200);
+                    });
+                });
+
                 it("should fail if there are no matches", function() {
                     api.http.fixtures.add({request: {url: /.*a.*/}});
 
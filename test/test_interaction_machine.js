@@ -1,3 +1,4 @@
+var Q = require('q');
 var _ = require('lodash');
 var assert = require('assert');
 
@@ -13,9 +14,12 @@ var FreeText = vumigo.states.FreeText;
 var EndState = vumigo.states.EndState;
 
 var ApiError = vumigo.interaction_machine.ApiError;
+var ApiTimeoutError = vumigo.interaction_machine.ApiTimeoutError;
 var ReplyEvent = vumigo.interaction_machine.ReplyEvent;
 var InboundMessageEvent = vumigo.interaction_machine.InboundMessageEvent;
 var UnknownCommandEvent = vumigo.interaction_machine.UnknownCommandEvent;
+var ProcessScheduledEvent =
+    vumigo.interaction_machine.ProcessScheduledEvent;
 
 
 describe("interaction_machine", function() {
@@ -81,6 +85,11 @@ describe("interaction_machine", function() {
                 return im.setup(msg).thenResolve(p);
             });
 
+            it("should setup its kv store", function() {
+                var p = im.kv.once.resolved('setup');
+                return im.setup(msg).thenResolve(p);
+            });
+
             it("should setup its outbound helper", function() {
                 var p = im.outbound.once.resolved('setup');
                 return im.setup(msg).then(function() {
@@ -163,6 +172,7 @@ describe("interaction_machine", function() {
                 delete api.on_unknown_command;
                 delete api.on_inbound_message;
                 delete api.on_inbound_event;
+                delete api.on_process_scheduled;
                 delete app.im;
             });
 
@@ -210,6 +220,24 @@ describe("interaction_machine", function() {
                 });
             });
 
+            describe("when api.on_process_scheduled is invoked", function() {
+                it("should emit a 'process_scheduled' event", function() {
+                    im.attach();
+
+                    var p = im.once.resolved('process_scheduled');
+                    api.on_process_scheduled({});
+                    return p;
+                });
+
+                it("should shutdown the im after event handling", function() {
+                    im.attach();
+
+                    var p = im.once.resolved('im:shutdown');
+                    api.on_process_scheduled({});
+                    return p;
+                });
+            });
+
             describe("when api.on_inbound_event is invoked", function() {
                 var cmd;
 
@@ -230,6 +258,22 @@ describe("interaction_machine", function() {
                     return p;
                 });
 
+                it("should give the event to the outbound helper", function() {
+                    im.attach();
+
+                    return im.outbound
+                        .track({message_id: '1', to_addr: '+27123'})
+                        .then(function() {
+                            var p = im.outbound.once.resolved('outbound:failed');
+                            cmd.msg.event_type = 'nack';
+                            api.on_inbound_event(cmd);
+                            return p;
+                        })
+                        .then(function(e) {
+                            assert.equal(e.record.to_addr, '+27123');
+                        });
+                });
+
                 it("should shutdown the im after event handling", function() {
                     im.attach();
 
@@ -238,6 +282,49 @@ describe("interaction_machine", function() {
                     return p;
                 });
 
+                it("should not set up the app", function() {
+                    var inits = 0;
+
+                    app.init = function() {
+                        inits++;
+                        return im.contacts.for_user(im.user.addr.length);
+                    };
+
+                    im.attach();
+                    var p = im.once.resolved('im:shutdown');
+                    api.on_inbound_event(cmd);
+
+                    return p.then(function() {
+                        assert.equal(inits, 0);
+                        assert.deepEqual(api.log.error, []);
+                    });
+                });
+
+                it("should emit outbound events to the app's listeners",
+                function() {
+                    var records = [];
+
+                    app.events = {
+                        'im.outbound outbound:failed': function(e) {
+                            records.push(e.record.to_addr);
+                        }
+                    };
+
+                    im.attach();
+
+                    return im.outbound
+                        .track({message_id: '1', to_addr: '+27123'})
+                        .then(function() {
+                            var p = im.once.resolved('im:shutdown');
+                            cmd.msg.event_type = 'nack';
+                            api.on_inbound_event(cmd);
+                            return p;
+                        })
+                        .then(function() {
+                            assert.deepEqual(records, ['+27123']);
+                        });
+                });
+
                 it("should handle any errors thrown by the event listeners",
                 function() {
                     im.attach();
@@ -499,219 +586,904 @@ describe("interaction_machine", function() {
                         assert.strictEqual(e.state, dest);
                     });
             });
-        });
 
-        describe(".fetch_translation", function() {
-            it("should construct a translator with the fetched language data",
+            it("should add the current state to the user's history",
             function() {
-                return im.fetch_translation('jp').then(function(i18n) {
-                    assert.equal(i18n(test_utils.$('yes')), 'hai');
-                });
-            });
-        });
-
-        describe(".log", function() {
-            it("should log the requested message", function() {
-                assert(!_.includes(api.log.info, 'wah wah'));
-                return im.log('wah wah').then(function() {
-                    assert(_.includes(api.log.info, 'wah wah'));
-                });
-            });
-        });
+                start_state.metadata.foo = 'bar';
 
-        describe(".err", function() {
-            it("should log the error", function() {
-                assert(!_.includes(api.log.error, ':('));
-                return im.err(new Error(':(')).then(function() {
-                    assert(_.includes(api.log.error, ':('));
-                });
+                return im.switch_state('end')
+                    .then(function() {
+                        assert.deepEqual(im.user.history, [{
+                            name: 'start',
+                            metadata: {foo: 'bar'},
+                            creator_opts: {}
+                        }]);
+                    });
             });
 
-            it("should terminate the sandbox", function() {
-                assert.equal(api.done_calls, 0);
-                return im.err(new Error(':(')).then(function() {
-                    assert.equal(api.done_calls, 1);
-                });
+            it("should not add states that end the session to the history",
+            function() {
+                return im.switch_state('end')
+                    .then(function() {
+                        return im.switch_state('start');
+                    })
+                    .then(function() {
+                        assert.deepEqual(
+                            _.map(im.user.history, 'name'),
+                            ['start']);
+                    });
             });
-        });
 
-        describe(".done", function() {
-            it("should save the user", function(done) {
-                im.user.on('user:save', function() { done(); });
-                im.done();
-            });
+            it("should not add states with their history option disabled",
+            function() {
+                start_state.history = false;
 
-            it("should tear down the interaction machine", function(done) {
-                im.on('teardown', function() { done(); });
-                im.done();
+                return im.switch_state('end')
+                    .then(function() {
+                        assert.deepEqual(im.user.history, []);
+                    });
             });
 
-            it("should terminate the sandbox", function() {
-                assert.equal(api.done_calls, 0);
-                return im.done().then(function() {
-                    assert.equal(api.done_calls, 1);
-                });
-            });
-        });
+            it("should keep at most the app's history size of states",
+            function() {
+                im.app.history_size = 1;
+                im.app.states.add(new FreeText('middle', {question: 'hm?'}));
 
-        describe(".api_request", function() {
-            it("should make a promise-based api request", function() {
-                assert(!_.includes(api.log.info, 'arrg'));
-                im.api_request('log.info', {msg: 'arrg'}).then(function() {
-                    assert(_.includes(api.log.info, 'arrg'));
-                });
+                return im.switch_state('middle')
+                    .then(function() {
+                        return im.switch_state('end');
+                    })
+                    .then(function() {
+                        assert.deepEqual(
+                            _.map(im.user.history, 'name'),
+                            ['middle']);
+                    });
             });
 
-            it("should reject the reply if the api gave a failure reply",
+            it("should not add the current state to the history when going "+
+               "back",
             function() {
-                im.api.reply = function() {
-                    return {
-                        success: false,
-                        reason: 'No apparent reason'
-                    };
-                };
+                im.user.push_history('end');
 
-                im.api_request('log.info', {msg: 'arrg'}).catch(function() {
-                    assert(e instanceof ApiError);
-                    assert.deepEqual(e.reply, {
-                        success: false,
-                        reason: 'No apparent reason'
+                return im.go_back()
+                    .then(function() {
+                        return im.switch_state(im.next_state);
+                    })
+                    .then(function() {
+                        assert.equal(im.state.name, 'end');
+                        assert.deepEqual(im.user.history, []);
+                        assert(!im.going_back);
                     });
-                    assert.equal(e.message, 'No apparent reason');
-                });
             });
         });
 
-        describe(".reply", function() {
-            beforeEach(function() {
-                return im.resume_state('start')
-                    .then(function() {
-                        im.next_state.reset('end');
-                    });
+        describe(".go_back", function() {
+            it("should set the next state to the most recent state",
+            function() {
+                im.user.push_history({name: 'start', metadata: {foo: 'bar'}});
+
+                return im.go_back().then(function(state) {
+                    assert(im.next_state.is('start'));
+                    assert.deepEqual(im.next_state.metadata, {foo: 'bar'});
+                    assert.equal(state.name, 'start');
+                    assert(im.going_back);
+                });
             });
 
-            it("should switch to the user's next state", function() {
-                assert.strictEqual(im.state.name, 'start');
+            it("should remove the state from the user's history", function() {
+                im.user.push_history('start');
+                im.user.push_history('end');
 
-                return im.reply(msg).then(function() {
-                    assert.equal(im.state.name, 'end');
+                return im.go_back().then(function() {
+                    assert.deepEqual(_.map(im.user.history, 'name'), ['start']);
                 });
             });
 
-            it("should use the state's display content in the reply",
-            function() {
-                return im.reply(msg).then(function() {
-                    var reply = api.outbound.store[0];
-                    assert.deepEqual(reply.content, 'goodbye');
+            it("should fulfill with null if the history is empty", function() {
+                return im.go_back().then(function(state) {
+                    assert.strictEqual(state, null);
+                    assert(!im.next_state.exists());
+                    assert(!im.going_back);
                 });
             });
+        });
 
-            it("should use the state's helper metadata in the reply",
+        describe(".is_back_keyword", function() {
+            it("should return false if the app has no back keyword",
             function() {
-                im.next_state.reset('helper_meta');
-                return im.reply(msg).then(function() {
-                    var reply = api.outbound.store[0];
-                    assert.deepEqual(reply.helper_metadata, {grass: 'green'});
-                });
+                assert(!im.is_back_keyword('0'));
             });
 
-            it("should emit an event after sending the reply", function() {
-                im.next_state.reset('helper_meta');
-                var p = im.once.resolved('reply').then(function(e) {
-                    assert(api.outbound.store.length);
-                    assert(e instanceof ReplyEvent);
-                    assert.equal(e.content, 'goodbye');
-                    assert(!e.continue_session);
-                    assert.deepEqual(e.helper_metadata, {grass: 'green'});
-                });
+            it("should match the app's back keyword case-insensitively",
+            function() {
+                im.app.back_keyword = 'Back';
+                assert(im.is_back_keyword(' back '));
+                assert(!im.is_back_keyword('backwards'));
+            });
+        });
 
-                im.reply(msg);
-                return p;
+        describe(".check_rate_limit", function() {
+            var rate_limit;
+
+            beforeEach(function() {
+                rate_limit = {limit: 2, window: 60};
             });
 
-            describe("if the translate option is true", function() {
-                beforeEach(function() {
-                    return im.user.set_lang('af');
-                });
+            function check() {
+                return im.check_rate_limit('app', rate_limit);
+            }
 
-                it("should translate the state's display content in the reply",
-                function() {
-                    return im.reply(msg, {translate: true}).then(function() {
-                        var reply = api.outbound.store[0];
-                        assert.deepEqual(reply.content, 'totsiens');
+            function window_key() {
+                return [
+                    'test_app.rate_limit.app',
+                    im.user.addr,
+                    Math.floor(im.now() / 60000)
+                ].join('.');
+            }
+
+            it("should fulfill with true for messages within the limit",
+            function() {
+                return check()
+                    .then(function(within) {
+                        assert(within);
+                        return check();
+                    })
+                    .then(function(within) {
+                        assert(within);
+                        assert.strictEqual(im.throttled, null);
                     });
-                });
             });
 
-            describe("if the state does not want to continue the session",
+            it("should fulfill with false for messages exceeding the limit",
             function() {
-                beforeEach(function() {
-                    im.user.state.reset(end_state);
+                return check().then(check).then(check).then(function(within) {
+                    assert(!within);
+                    assert.equal(im.throttled.limit, 2);
+                    assert.equal(im.throttled.action, 'drop');
                 });
+            });
 
-                it("should emit a 'session:close' event", function() {
-                    var p = im.once.resolved('session:close');
-                    return im.reply(msg).thenResolve(p);
+            it("should count messages in expiring windows", function() {
+                return check().then(function() {
+                    assert.equal(api.kv.store[window_key()], 1);
+                    assert.equal(api.kv.ttl[window_key()], 60);
                 });
+            });
 
-                it("should set the reply message to not continue the session",
-                function() {
-                    return im.reply(msg).then(function() {
-                        var reply = api.outbound.store[0];
-                        assert(!reply.continue_session);
+            it("should start counting again in the next window", function() {
+                return check().then(check)
+                    .then(function() {
+                        api.advance_time(60);
+                        return check();
+                    })
+                    .then(function(within) {
+                        assert(within);
                     });
-                });
-
-                it("should set the user to not be in a session", function() {
-                    im.user.in_session = true;
+            });
 
-                    return im.reply(msg).then(function() {
-                        assert(!im.user.in_session);
-                    });
+            it("should fire a metric when the limit is exceeded", function() {
+                return check().then(check).then(check).then(function() {
+                    var metric = api.metrics.stores.test_app[
+                        'rate_limit.app.exceeded'];
+                    assert.deepEqual(metric.values, [1]);
                 });
             });
 
-            describe("if the state does not want to send a reply", function() {
-                beforeEach(function() {
-                    var state = new EndState('a_new_end', {
-                        text: 'goodbye',
-                        send_reply: false
-                    });
-                    im.app.states.add(state);
-
-                    return im.resume_state('start')
-                        .then(function() {
-                            im.next_state.reset('a_new_end');
-                        });
-                });
+            it("should emit a 'rate_limit:exceeded' event", function() {
+                var p = im.once.resolved('rate_limit:exceeded');
 
-                it("should not send a reply", function() {
-                    return im.reply(msg).then(function() {
-                        assert.equal(api.outbound.store.length, 0);
+                return check().then(check).then(check)
+                    .thenResolve(p)
+                    .then(function(e) {
+                        assert.equal(e.scope, 'app');
+                        assert.equal(e.count, 3);
+                        assert.equal(e.rate_limit.limit, 2);
                     });
+            });
+
+            it("should fulfill with true if no limit is given", function() {
+                return im.check_rate_limit('app', null).then(function(within) {
+                    assert(within);
+                    assert.deepEqual(_.keys(api.kv.ttl), []);
                 });
             });
         });
 
-        describe(".emit.state.exit", function() {
-            it("should emit a 'state:exit' event on the im", function() {
-                var state = new State('foo');
-                var p = im.once.resolved('state:exit');
+        describe(".throttle", function() {
+            it("should reply with the limit's text for 'reply' limits",
+            function() {
+                im.throttled = {
+                    action: 'reply',
+                    text: 'slow down'
+                };
 
-                return im.emit.state.exit(state)
+                return im.throttle(msg).then(function() {
+                    assert.deepEqual(api.outbound.store, [{
+                        content: 'slow down',
+                        in_reply_to: '2',
+                        continue_session: false
+                    }]);
+                });
+            });
+
+            it("should reply with default text for 'reply' limits without text",
+            function() {
+                return im
+                    .check_rate_limit('app', {limit: 0, action: 'reply'})
                     .then(function() {
-                        assert(p.isFulfilled());
+                        return im.throttle(msg);
+                    })
+                    .then(function() {
+                        assert.equal(
+                            api.outbound.store[0].content,
+                            "You are sending messages too quickly. " +
+                            "Please try again later.");
                     });
             });
 
-            it("should emit a 'state:exit' event on the current state",
+            it("should reply from the current state for 'defer' limits",
             function() {
-                var state = new State('foo');
-                var p = state.once.resolved('state:exit');
+                im.throttled = {action: 'defer'};
 
-                return im.emit.state.exit(state)
+                return im.switch_state('start')
                     .then(function() {
-                        assert(p.isFulfilled());
+                        return im.throttle(msg);
+                    })
+                    .then(function() {
+                        assert.equal(api.outbound.store[0].content, 'hello?');
+                    });
+            });
+
+            it("should not reply for 'drop' limits", function() {
+                im.throttled = {action: 'drop'};
+
+                return im.throttle(msg).then(function() {
+                    assert.deepEqual(api.outbound.store, []);
+                    assert(_.includes(
+                        api.log.info,
+                        'Dropped message exceeding rate limit from ' +
+                        msg.from_addr));
+                });
+            });
+        });
+
+        describe(".is_admin", function() {
+            it("should determine whether the address may use admin commands",
+            function() {
+                im.config.admin_addrs = ['+27123'];
+                assert(im.is_admin('+27123'));
+                assert(!im.is_admin('+27456'));
+            });
+
+            it("should not allow anybody if no addresses are configured",
+            function() {
+                assert(!im.is_admin(msg.from_addr));
+            });
+        });
+
+        describe(".handle_admin_command", function() {
+            beforeEach(function() {
+                im.config.admin_addrs = [msg.from_addr];
+            });
+
+            function run(content) {
+                msg.content = content;
+                return im.handle_admin_command(msg);
+            }
+
+            function reply() {
+                return api.outbound.store[0].content;
+            }
+
+            it("should ignore commands from addresses not allowed", function() {
+                im.config.admin_addrs = [];
+
+                return run('!state').then(function(handled) {
+                    assert(!handled);
+                    assert.deepEqual(api.outbound.store, []);
+                });
+            });
+
+            it("should ignore unknown commands", function() {
+                return run('!foo').then(function(handled) {
+                    assert(!handled);
+                });
+            });
+
+            it("should ignore inherited object properties", function() {
+                return run('!toString')
+                    .then(function(handled) {
+                        assert(!handled);
+                        return run('!constructor');
+                    })
+                    .then(function(handled) {
+                        assert(!handled);
+                        assert.deepEqual(api.outbound.store, []);
+                    });
+            });
+
+            it("should ignore messages that aren't commands", function() {
+                return run('state').then(function(handled) {
+                    assert(!handled);
+                });
+            });
+
+            it("should reply without ending the session", function() {
+                return run('!answers').then(function(handled) {
+                    assert(handled);
+                    assert.deepEqual(api.outbound.store, [{
+                        content: 'Answers: {"start":"hi"}',
+                        in_reply_to: '2',
+                        continue_session: true
+                    }]);
+                });
+            });
+
+            it("should support showing the user's state", function() {
+                return run('!state').then(function() {
+                    assert.equal(reply(), [
+                        'State: {"name":"start","metadata":{},',
+                        '"creator_opts":{}}'
+                    ].join(''));
+                });
+            });
+
+            it("should support moving the user to a state", function() {
+                return run(' !goto   end ').then(function() {
+                    assert.equal(reply(), 'Moved to state: end');
+                    assert(im.user.state.is('end'));
+                });
+            });
+
+            it("should not move the user to unknown states", function() {
+                return run('!goto foo').then(function() {
+                    assert.equal(reply(), 'Unknown state: foo');
+                    assert(im.user.state.is('start'));
+                });
+            });
+
+            it("should not move the user to inherited object properties",
+            function() {
+                return run('!goto toString').then(function() {
+                    assert.equal(reply(), 'Unknown state: toString');
+                    assert(im.user.state.is('start'));
+                });
+            });
+
+            it("should support changing the user's language", function() {
+                return run('!lang af').then(function() {
+                    assert.equal(reply(), 'Language set to: af');
+                    assert.equal(im.user.lang, 'af');
+                });
+            });
+
+            it("should reply with usage if no language is given", function() {
+                var lang = im.user.lang;
+
+                return run('!lang').then(function() {
+                    assert.equal(reply(), 'Usage: !lang <code>');
+                    assert.equal(im.user.lang, lang);
+                });
+            });
+
+            it("should use the app's admin commands", function() {
+                app.admin_commands = {
+                    hi: function(args, m, command_im) {
+                        assert.strictEqual(this, app);
+                        assert.strictEqual(m, msg);
+                        assert.strictEqual(command_im, im);
+                        return Q('hi ' + args.join(' '));
+                    }
+                };
+
+                return run('!hi there you').then(function() {
+                    assert.equal(reply(), 'hi there you');
+                });
+            });
+
+            it("should allow the app to disable built-in commands", function() {
+                app.admin_commands = {goto: null};
+
+                return run('!goto end').then(function(handled) {
+                    assert(!handled);
+                    assert(im.user.state.is('start'));
+                });
+            });
+        });
+
+        describe(".fetch_translation", function() {
+            it("should construct a translator with the fetched language data",
+            function() {
+                return im.fetch_translation('jp').then(function(i18n) {
+                    assert.equal(i18n(test_utils.$('yes')), 'hai');
+                });
+            });
+        });
+
+        describe(".log", function() {
+            it("should log the requested message", function() {
+                assert(!_.includes(api.log.info, 'wah wah'));
+                return im.log('wah wah').then(function() {
+                    assert(_.includes(api.log.info, 'wah wah'));
+                });
+            });
+        });
+
+        describe(".err", function() {
+            it("should log the error's message if it has no stack trace",
+            function() {
+                var e = new Error(':(');
+                e.stack = null;
+
+                assert(!_.includes(api.log.error, ':('));
+                return im.err(e).then(function() {
+                    assert(_.includes(api.log.error, ':('));
+                });
+            });
+
+            it("should terminate the sandbox", function() {
+                assert.equal(api.done_calls, 0);
+                return im.err(new Error(':(')).then(function() {
+                    assert.equal(api.done_calls, 1);
+                });
+            });
+
+            it("should log the error's stack trace once", function() {
+                var e = new Error(':(');
+                return im.err(e).then(function() {
+                    assert.deepEqual(_.filter(api.log.error, function(line) {
+                        return _.includes(line, ':(');
+                    }), [e.stack]);
+                });
+            });
+
+            it("should emit an 'im:error' event", function() {
+                var e = new Error(':(');
+                var p = im.once.resolved('im:error');
+
+                return im.err(e)
+                    .thenResolve(p)
+                    .then(function(event) {
+                        assert.strictEqual(event.error, e);
+                    });
+            });
+
+            it("should not reply if the app has no error state", function() {
+                return im.err(new Error(':(')).then(function() {
+                    assert.equal(api.outbound.store.length, 0);
+                });
+            });
+
+            describe("if the app has an error state", function() {
+                beforeEach(function() {
+                    app.error_text = test_utils.$('oops');
+                });
+
+                it("should reply with the error state", function() {
+                    return im.err(new Error(':(')).then(function() {
+                        assert.deepEqual(api.outbound.store, [{
+                            content: 'oops',
+                            in_reply_to: '2',
+                            continue_session: false
+                        }]);
+                    });
+                });
+
+                it("should translate the error state", function() {
+                    app.error_text = test_utils.$('goodbye');
+
+                    return im.user.set_lang('af')
+                        .then(function() {
+                            return im.err(new Error(':('));
+                        })
+                        .then(function() {
+                            assert.equal(
+                                api.outbound.store[0].content,
+                                'totsiens');
+                        });
+                });
+
+                it("should continue the session if configured to", function() {
+                    app.error_continue_session = true;
+
+                    return im.err(new Error(':(')).then(function() {
+                        assert(api.outbound.store[0].continue_session);
+                    });
+                });
+
+                it("should not change the user's state", function() {
+                    return im.resume_state('start')
+                        .then(function() {
+                            return im.err(new Error(':('));
+                        })
+                        .then(function() {
+                            assert(im.user.state.is('start'));
+                        });
+                });
+
+                it("should log errors that occur while replying", function() {
+                    var e = new Error('D:');
+
+                    app.error_state = function() {
+                        throw e;
+                    };
+
+                    return im.err(new Error(':(')).then(function() {
+                        assert(_.includes(
+                            api.log.error,
+                            'Error while recovering from error: ' + e.stack));
+                        assert.equal(api.done_calls, 1);
+                    });
+                });
+
+                it("should not reply if a reply was already sent", function() {
+                    im.on('reply', function() {
+                        throw new Error(':(');
+                    });
+
+                    return im.reply.text(im.msg, 'hello')
+                        .catch(function(e) {
+                            return im.err(e);
+                        })
+                        .then(function() {
+                            assert.deepEqual(
+                                _.map(api.outbound.store, 'content'),
+                                ['hello']);
+                        });
+                });
+            });
+        });
+
+        describe(".done", function() {
+            it("should save the user", function(done) {
+                im.user.on('user:save', function() { done(); });
+                im.done();
+            });
+
+            it("should tear down the interaction machine", function(done) {
+                im.on('teardown', function() { done(); });
+                im.done();
+            });
+
+            it("should terminate the sandbox", function() {
+                assert.equal(api.done_calls, 0);
+                return im.done().then(function() {
+                    assert.equal(api.done_calls, 1);
+                });
+            });
+        });
+
+        describe(".api_request", function() {
+            it("should make a promise-based api request", function() {
+                assert(!_.includes(api.log.info, 'arrg'));
+                im.api_request('log.info', {msg: 'arrg'}).then(function() {
+                    assert(_.includes(api.log.info, 'arrg'));
+                });
+            });
+
+            it("should reject the reply if the api gave a failure reply",
+            function() {
+                im.api.reply = function() {
+                    return {
+                        success: false,
+                        reason: 'No apparent reason'
+                    };
+                };
+
+                im.api_request('log.info', {msg: 'arrg'}).catch(function() {
+                    assert(e instanceof ApiError);
+                    assert.deepEqual(e.reply, {
+                        success: false,
+                        reason: 'No apparent reason'
+                    });
+                    assert.equal(e.message, 'No apparent reason');
+                });
+            });
+
+            it("should reject with a timeout error if no reply is given in time",
+            function() {
+                api.delay('kv.get', Infinity);
+
+                return im.api_request('kv.get', {key: 'foo'}, {timeout: 10})
+                    .then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert(e instanceof ApiTimeoutError);
+                        assert.equal(e.cmd_name, 'kv.get');
+                        assert.equal(e.timeout, 10);
+                        assert.equal(
+                            e.message,
+                            "Api request 'kv.get' timed out after 10ms");
+                    });
+            });
+
+            it("should fulfill if the reply is given in time", function() {
+                api.kv.store.foo = 'bar';
+                api.delay('kv.get', 5);
+
+                return im.api_request('kv.get', {key: 'foo'}, {timeout: 100})
+                    .then(function(reply) {
+                        assert.equal(reply.value, 'bar');
+                    });
+            });
+
+            it("should retry failed requests", function() {
+                api.kv.store.foo = 'bar';
+                api.fail('kv.get', {times: 2});
+
+                return im.api_request('kv.get', {key: 'foo'}, {
+                        retries: 2,
+                        backoff: 0
+                    })
+                    .then(function(reply) {
+                        assert.equal(reply.value, 'bar');
+                    });
+            });
+
+            it("should retry timed out requests", function() {
+                api.kv.store.foo = 'bar';
+                api.delay('kv.get', Infinity);
+
+                return im.api_request('kv.get', {key: 'foo'}, {
+                        timeout: 10,
+                        retries: 1,
+                        backoff: 0
+                    })
+                    .then(function(reply) {
+                        assert.equal(reply.value, 'bar');
+                    });
+            });
+
+            it("should reject once all retries have failed", function() {
+                api.fail('kv.get', {
+                    times: 3,
+                    reason: 'Down'
+                });
+
+                return im.api_request('kv.get', {key: 'foo'}, {
+                        retries: 2,
+                        backoff: 0
+                    })
+                    .then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert(e instanceof ApiError);
+                        assert.equal(e.message, 'Down');
+                    });
+            });
+
+            it("should wait longer before each retry", function() {
+                var start = Date.now();
+                api.fail('kv.get', {times: 2});
+
+                return im.api_request('kv.get', {key: 'foo'}, {
+                        retries: 2,
+                        backoff: 10
+                    })
+                    .then(function() {
+                        assert(Date.now() - start >= 30);
+                    });
+            });
+
+            it("should use the configured options", function() {
+                api.fail('kv.get', {times: 2});
+
+                im.request_opts.retries = 2;
+                im.request_opts.backoff = 0;
+
+                return im.api_request('kv.get', {key: 'foo'});
+            });
+
+            it("should not retry commands that are not idempotent by default",
+            function() {
+                api.fail('kv.set');
+
+                im.request_opts.retries = 2;
+                im.request_opts.backoff = 0;
+
+                return im.api_request('kv.set', {key: 'foo', value: 'bar'})
+                    .then(function() {
+                        throw new Error('Expected a rejection');
+                    }, function(e) {
+                        assert(e instanceof ApiError);
+                        assert(!('foo' in api.kv.store));
+                    });
+            });
+
+            it("should use the options configured for the command",
+            function() {
+                api.fail('kv.set');
+
+                im.request_opts.backoff = 0;
+                im.request_opts.commands = {'kv.set': {retries: 1}};
+
+                return im.api_request('kv.set', {key: 'foo', value: 'bar'})
+                    .then(function() {
+                        assert.equal(api.kv.store.foo, 'bar');
+                    });
+            });
+
+            it("should take its options from the config", function() {
+                var tester = new AppTester(app);
+
+                return tester
+                    .setup.config.app({
+                        api_requests: {
+                            retries: 1,
+                            backoff: 0
+                        }
+                    })
+                    .setup(function(api) {
+                        api.fail('kv.get');
+                    })
+                    .start()
+                    .check.reply('hello?')
+                    .check(function(api) {
+                        assert.equal(api.failures['kv.get'].times, 0);
+                    })
+                    .run();
+            });
+        });
+
+        describe(".reply", function() {
+            beforeEach(function() {
+                return im.resume_state('start')
+                    .then(function() {
+                        im.next_state.reset('end');
+                    });
+            });
+
+            it("should switch to the user's next state", function() {
+                assert.strictEqual(im.state.name, 'start');
+
+                return im.reply(msg).then(function() {
+                    assert.equal(im.state.name, 'end');
+                });
+            });
+
+            it("should use the state's display content in the reply",
+            function() {
+                return im.reply(msg).then(function() {
+                    var reply = api.outbound.store[0];
+                    assert.deepEqual(reply.content, 'goodbye');
+                });
+            });
+
+            it("should use the state's helper metadata in the reply",
+            function() {
+                im.next_state.reset('helper_meta');
+                return im.reply(msg).then(function() {
+                    var reply = api.outbound.store[0];
+                    assert.deepEqual(reply.helper_metadata, {grass: 'green'});
+                });
+            });
+
+            it("should emit an event after sending the reply", function() {
+                im.next_state.reset('helper_meta');
+                var p = im.once.resolved('reply').then(function(e) {
+                    assert(api.outbound.store.length);
+                    assert(e instanceof ReplyEvent);
+                    assert.equal(e.content, 'goodbye');
+                    assert(!e.continue_session);
+                    assert.deepEqual(e.helper_metadata, {grass: 'green'});
+                });
+
+                im.reply(msg);
+                return p;
+            });
+
+            describe("if the translate option is true", function() {
+                beforeEach(function() {
+                    return im.user.set_lang('af');
+                });
+
+                it("should translate the state's display content in the reply",
+                function() {
+                    return im.reply(msg, {translate: true}).then(function() {
+                        var reply = api.outbound.store[0];
+                        assert.deepEqual(reply.content, 'totsiens');
+                    });
+                });
+            });
+
+            describe("if the state does not want to continue the session",
+            function() {
+                beforeEach(function() {
+                    im.user.state.reset(end_state);
+                });
+
+                it("should emit a 'session:close' event", function() {
+                    var p = im.once.resolved('session:close');
+                    return im.reply(msg).thenResolve(p);
+                });
+
+                it("should set the reply message to not continue the session",
+                function() {
+                    return im.reply(msg).then(function() {
+                        var reply = api.outbound.store[0];
+                        assert(!reply.continue_session);
+                    });
+                });
+
+                it("should set the user to not be in a session", function() {
+                    im.user.in_session = true;
+
+                    return im.reply(msg).then(function() {
+                        assert(!im.user.in_session);
+                    });
+                });
+            });
+
+            describe("if the state does not want to send a reply", function() {
+                beforeEach(function() {
+                    var state = new EndState('a_new_end', {
+                        text: 'goodbye',
+                        send_reply: false
+                    });
+                    im.app.states.add(state);
+
+                    return im.resume_state('start')
+                        .then(function() {
+                            im.next_state.reset('a_new_end');
+                        });
+                });
+
+                it("should not send a reply", function() {
+                    return im.reply(msg).then(function() {
+                        assert.equal(api.outbound.store.length, 0);
+                    });
+                });
+            });
+        });
+
+        describe(".reply.text", function() {
+            it("should send the given content as a reply", function() {
+                return im.reply.text(msg, 'hi', {continue_session: true})
+                    .then(function() {
+                        assert.deepEqual(api.outbound.store, [{
+                            content: 'hi',
+                            in_reply_to: '2',
+                            continue_session: true
+                        }]);
+                    });
+            });
+
+            it("should end the session by default", function() {
+                return im.reply.text(msg, 'hi').then(function() {
+                    assert(!api.outbound.store[0].continue_session);
+                });
+            });
+
+            it("should emit a 'reply' event", function() {
+                var p = im.once.resolved('reply');
+
+                return im.reply.text(msg, 'hi')
+                    .thenResolve(p)
+                    .then(function(e) {
+                        assert.equal(e.content, 'hi');
+                    });
+            });
+        });
+
+        describe(".emit.state.exit", function() {
+            it("should emit a 'state:exit' event on the im", function() {
+                var state = new State('foo');
+                var p = im.once.resolved('state:exit');
+
+                return im.emit.state.exit(state)
+                    .then(function() {
+                        assert(p.isFulfilled());
+                    });
+            });
+
+            it("should emit a 'state:exit' event on the current state",
+            function() {
+                var state = new State('foo');
+                var p = state.once.resolved('state:exit');
+
+                return im.emit.state.exit(state)
+                    .then(function() {
+                        assert(p.isFulfilled());
                     });
             });
         });
@@ -778,6 +1550,34 @@ describe("interaction_machine", function() {
             });
         });
 
+        describe("on 'process_scheduled'", function() {
+            it("should send the due scheduled messages", function() {
+                api.config.app.endpoints = {sms: {}};
+
+                var e = new ProcessScheduledEvent(im, {});
+                return im.outbound
+                    .schedule({
+                        to: '+271',
+                        endpoint: 'sms',
+                        content: 'hello!',
+                        delay: -1
+                    })
+                    .then(function() {
+                        return im.emit(e);
+                    })
+                    .then(function() {
+                    assert.deepEqual(api.outbound.store, [{
+                        to_addr: '+271',
+                        content: 'hello!',
+                        endpoint: 'sms'
+                    }]);
+
+                    assert(_.includes(
+                        api.log.info, 'Sent 1 scheduled message(s)'));
+                });
+            });
+        });
+
         describe("on 'inbound_message'", function() {
             var event;
 
@@ -785,11 +1585,214 @@ describe("interaction_machine", function() {
                 event = new InboundMessageEvent(im, {msg: msg});
             });
 
+            describe("if the app processes scheduled messages", function() {
+                beforeEach(function() {
+                    return im.outbound.schedule({
+                        to: '+271',
+                        endpoint: 'sms',
+                        content: 'hello!',
+                        delay: -1
+                    });
+                });
+
+                it("should send the due scheduled messages", function() {
+                    api.config.app.endpoints = {sms: {}};
+                    im.app.process_scheduled = true;
+
+                    return im.emit(event).then(function() {
+                        assert(_.some(api.outbound.store, {
+                            to_addr: '+271',
+                            content: 'hello!'
+                        }));
+                    });
+                });
+
+                it("should log failures instead of failing the run",
+                function() {
+                    api.config.app.endpoints = {sms: {}};
+                    im.app.process_scheduled = true;
+
+                    im.outbound.process_scheduled = function() {
+                        return Q.reject(new Error('Oops'));
+                    };
+
+                    return im.emit(event).then(function() {
+                        assert(_.some(api.log.error, function(line) {
+                            return line.indexOf(
+                                'Failed to process scheduled messages') === 0
+                                && line.indexOf('Oops') > -1;
+                        }));
+
+                        assert.notEqual(im.state.name, '__error__');
+                    });
+                });
+
+                it("should not send them by default", function() {
+                    return im.emit(event).then(function() {
+                        assert(!_.some(api.outbound.store, {to_addr: '+271'}));
+                    });
+                });
+            });
+
             it("should set up the im", function() {
                 var p = im.once.resolved('setup');
                 return im.emit(event).thenResolve(p);
             });
 
+            describe("if the message is an admin command", function() {
+                it("should not process the message further", function() {
+                    var calls = [];
+                    start_state.on('state:input', function() {
+                        calls.push('input');
+                    });
+
+                    api.config.app.admin_addrs = [msg.from_addr];
+                    msg.session_event = 'resume';
+                    msg.content = '!goto end';
+
+                    return im.emit(event).then(function() {
+                        assert.deepEqual(calls, []);
+                        assert.strictEqual(im.state, null);
+                        assert.equal(
+                            api.outbound.store[0].content,
+                            'Moved to state: end');
+                    });
+                });
+            });
+
+            describe("if the app has a rate limit", function() {
+                beforeEach(function() {
+                    msg.session_event = 'resume';
+                    api.kv.store[[
+                        'test_app.rate_limit.app',
+                        msg.from_addr,
+                        Math.floor(im.now() / 60000)
+                    ].join('.')] = 2;
+                });
+
+                it("should respond as the limit asks once it is exceeded",
+                function() {
+                    var calls = [];
+                    start_state.on('state:input', function() {
+                        calls.push('input');
+                    });
+
+                    im.app.rate_limit = {
+                        limit: 2,
+                        action: 'reply',
+                        text: 'slow down'
+                    };
+
+                    return im.emit(event).then(function() {
+                        assert.deepEqual(calls, []);
+                        assert.strictEqual(im.state, null);
+                        assert.deepEqual(api.outbound.store, [{
+                            content: 'slow down',
+                            in_reply_to: '2',
+                            continue_session: false
+                        }]);
+                    });
+                });
+
+                it("should display the current state for 'defer' limits",
+                function() {
+                    var calls = [];
+                    start_state.on('state:input', function() {
+                        calls.push('input');
+                    });
+
+                    im.app.rate_limit = {limit: 2, action: 'defer'};
+
+                    return im.emit(event).then(function() {
+                        assert.deepEqual(calls, []);
+                        assert.equal(im.state.name, 'start');
+                        assert.equal(api.outbound.store[0].content, 'hello?');
+                    });
+                });
+
+                it("should process messages within the limit", function() {
+                    var p = start_state.once.resolved('state:input');
+                    im.app.rate_limit = {limit: 3};
+                    return im.emit(event).thenResolve(p);
+                });
+            });
+
+            describe("if the user's state has a rate limit", function() {
+                it("should not give the state input exceeding the limit",
+                function() {
+                    var calls = [];
+                    msg.session_event = 'resume';
+                    start_state.rate_limit = {limit: 0, action: 'defer'};
+                    start_state.on('state:input', function() {
+                        calls.push('input');
+                    });
+
+                    return im.emit(event).then(function() {
+                        assert.deepEqual(calls, []);
+                        assert.equal(im.throttled.limit, 0);
+                        assert.equal(api.outbound.store[0].content, 'hello?');
+                    });
+                });
+            });
+
+            describe("if the app has middleware", function() {
+                it("should pass the message through the middleware in order",
+                function() {
+                    var calls = [];
+
+                    im.app.middleware = [function(m, user, middleware_im) {
+                        assert.strictEqual(this, im.app);
+                        assert.strictEqual(m, msg);
+                        assert.strictEqual(user, im.user);
+                        assert.strictEqual(middleware_im, im);
+                        calls.push('a');
+                    }, function() {
+                        calls.push('b');
+                    }];
+
+                    return im.emit(event).then(function() {
+                        assert.deepEqual(calls, ['a', 'b']);
+                    });
+                });
+
+                it("should allow middleware to change the message", function() {
+                    msg.session_event = 'resume';
+                    im.app.middleware = [function(msg) {
+                        msg.content = msg.content.toUpperCase();
+                    }];
+
+                    var p = start_state.once.resolved('state:input');
+                    return im.emit(event)
+                        .thenResolve(p)
+                        .then(function(e) {
+                            assert.equal(e.content, 'HELLO');
+                        });
+                });
+
+                it("should allow middleware to stop processing the message",
+                function() {
+                    var calls = [];
+
+                    im.app.middleware = [function(msg, user, im) {
+                        return im.reply
+                            .text(msg, 'go away')
+                            .thenResolve(false);
+                    }, function() {
+                        calls.push('b');
+                    }];
+
+                    return im.emit(event).then(function() {
+                        assert.deepEqual(calls, []);
+                        assert.strictEqual(im.state, null);
+                        assert.deepEqual(api.outbound.store, [{
+                            content: 'go away',
+                            in_reply_to: '2',
+                            continue_session: false
+                        }]);
+                    });
+                });
+            });
+
             describe("if the message content is set to '!reset'", function() {
                 beforeEach(function() {
                     msg.content = '!reset';
@@ -911,6 +1914,257 @@ describe("interaction_machine", function() {
                         return im.emit(event).thenResolve(p);
                     });
                 });
+
+                describe("if the message content is the back keyword",
+                function() {
+                    beforeEach(function() {
+                        msg.content = '0';
+                        im.app.back_keyword = '0';
+                    });
+
+                    it("should go back to the user's previous state",
+                    function() {
+                        api.kv.store[im.user.key()].history = [{
+                            name: 'helper_meta'
+                        }];
+
+                        return im.emit(event).then(function() {
+                            assert.equal(im.state.name, 'helper_meta');
+                            assert.deepEqual(im.user.history, []);
+                        });
+                    });
+
+                    it("should give the content to the state if the user " +
+                       "has no history",
+                    function() {
+                        var p = start_state.once.resolved('state:input');
+                        return im.emit(event).thenResolve(p);
+                    });
+
+                    it("should give the content to the state if the state " +
+                       "does not allow the keyword",
+                    function() {
+                        api.kv.store[im.user.key()].history = [{
+                            name: 'helper_meta'
+                        }];
+                        start_state.keywords = false;
+
+                        var p = start_state.once.resolved('state:input');
+                        return im.emit(event).thenResolve(p);
+                    });
+                });
+
+                describe("if the message content is a global keyword",
+                function() {
+                    beforeEach(function() {
+                        msg.content = 'help';
+                        im.app.keywords.add('help', {next: 'helper_meta'});
+                    });
+
+                    it("should switch to the keyword's next state",
+                    function() {
+                        return im.emit(event).then(function() {
+                            assert.equal(im.state.name, 'helper_meta');
+                        });
+                    });
+
+                    it("should not give the content to the state", function() {
+                        var inputs = 0;
+                        start_state.on('state:input', function() {
+                            inputs++;
+                        });
+
+                        return im.emit(event).then(function() {
+                            assert.equal(inputs, 0);
+                        });
+                    });
+                });
+            });
+        });
+
+        describe("when a user's previous session timed out", function() {
+            var app;
+            var tester;
+            var timeouts;
+
+            beforeEach(function() {
+                timeouts = [];
+
+                app = new App('a', {
+                    session_timeout: 60,
+                    events: {
+                        'im session:timeout': function(e) {
+                            timeouts.push(e);
+                        }
+                    }
+                });
+
+                app.states.add(new FreeText('a', {
+                    question: 'hello?',
+                    next: 'b'
+                }));
+
+                app.states.add(new FreeText('b', {
+                    question: 'you are in the middle, say something',
+                    next: 'c'
+                }));
+
+                app.states.add(new EndState('c', {
+                    text: 'bye',
+                    next: 'a'
+                }));
+
+                tester = new AppTester(app)
+                    .setup.user({
+                        in_session: true,
+                        last_active: Date.now() - 120000
+                    })
+                    .setup.user.state('b', {metadata: {foo: 'bar'}});
+            });
+
+            it("should record the user's last activity", function() {
+                var start = Date.now();
+
+                return tester
+                    .input('hi')
+                    .check.user(function(user) {
+                        assert(user.last_active >= start);
+                    })
+                    .run();
+            });
+
+            it("should emit a 'session:timeout' event", function() {
+                return tester
+                    .start()
+                    .check(function() {
+                        assert.equal(timeouts.length, 1);
+                        assert.equal(timeouts[0].state.name, 'b');
+                        assert(timeouts[0].elapsed >= 120);
+                    })
+                    .run();
+            });
+
+            it("should resume the user's previous state", function() {
+                return tester
+                    .start()
+                    .check.interaction({
+                        state: 'b',
+                        reply: 'you are in the middle, say something'
+                    })
+                    .run();
+            });
+
+            it("should not detect a timeout before the timeout has passed",
+            function() {
+                return tester
+                    .setup.user({last_active: Date.now()})
+                    .start()
+                    .check(function() {
+                        assert.equal(timeouts.length, 0);
+                    })
+                    .run();
+            });
+
+            it("should not record activity for 'close' events", function() {
+                return tester
+                    .input({session_event: 'close'})
+                    .check.user(function(user) {
+                        assert(user.last_active <= Date.now() - 120000);
+                    })
+                    .run();
+            });
+
+            it("should detect a timeout after a 'close' event", function() {
+                return tester
+                    .inputs({session_event: 'close'}, {session_event: 'new'})
+                    .check(function() {
+                        assert.equal(timeouts.length, 1);
+                    })
+                    .run();
+            });
+
+            it("should not detect a timeout if the user ended their session",
+            function() {
+                return tester
+                    .setup.user({in_session: false})
+                    .start()
+                    .check(function() {
+                        assert.equal(timeouts.length, 0);
+                    })
+                    .run();
+            });
+
+            describe("if the app prompts users to continue", function() {
+                beforeEach(function() {
+                    app.session_timeout_prompt = true;
+                });
+
+                it("should ask the user whether to continue", function() {
+                    return tester
+                        .start()
+                        .check.interaction({
+                            state: '__timeout__',
+                            reply: [
+                                'Would you like to continue where you left off?',
+                                '1. Continue',
+                                '2. Start over'
+                            ].join('\n')
+                        })
+                        .run();
+                });
+
+                it("should take the user back to their previous state if " +
+                   "they continue",
+                function() {
+                    return tester
+                        .inputs({session_event: 'new'}, '1')
+                        .check.interaction({
+                            state: 'b',
+                            reply: 'you are in the middle, say something'
+                        })
+                        .check.user.state.metadata({foo: 'bar'})
+                        .check.user.properties({history: []})
+                        .run();
+                });
+
+                it("should take the user to the start state if they start " +
+                   "over",
+                function() {
+                    return tester
+                        .inputs({session_event: 'new'}, '2')
+                        .check.interaction({
+                            state: 'a',
+                            reply: 'hello?'
+                        })
+                        .run();
+                });
+
+                it("should translate the prompt", function() {
+                    return tester
+                        .setup.config({
+                            'translation.af': {
+                                '': {
+                                    domain: 'messages',
+                                    lang: 'af'
+                                },
+                                'Would you like to continue where you left off?':
+                                    [null, 'Wil jy aangaan waar jy opgehou het?'],
+                                'Continue': [null, 'Gaan aan'],
+                                'Start over': [null, 'Begin oor']
+                            }
+                        })
+                        .setup.user.lang('af')
+                        .start()
+                        .check.interaction({
+                            state: '__timeout__',
+                            reply: [
+                                'Wil jy aangaan waar jy opgehou het?',
+                                '1. Gaan aan',
+                                '2. Begin oor'
+                            ].join('\n')
+                        })
+                        .run();
+                });
             });
         });
 
@@ -0,0 +1,163 @@
+var assert = require('assert');
+
+var vumigo = require('../../lib');
+var test_utils = vumigo.test_utils;
+var KvStore = vumigo.kv.api.KvStore;
+
+
+describe("kv.api", function() {
+    var im;
+    var api;
+    var kv;
+
+    beforeEach(function() {
+        return test_utils.make_im().then(function(new_im) {
+            im = new_im;
+            api = im.api;
+            kv = im.kv;
+        });
+    });
+
+    describe("KvStore", function() {
+        describe(".setup", function() {
+            var kv;
+
+            beforeEach(function() {
+                kv = new KvStore(im);
+            });
+
+            it("should emit a 'setup' event", function() {
+                var p = kv.once.resolved('setup');
+                return kv.setup().thenResolve(p);
+            });
+
+            it("should use the given store name", function() {
+                return kv.setup({store_name: 'foo'}).then(function() {
+                    assert.equal(kv.store_name, 'foo');
+                });
+            });
+
+            it("should default to 'default' as the store name", function() {
+                return kv.setup().then(function() {
+                    assert.equal(kv.store_name, 'default');
+                });
+            });
+        });
+
+        describe(".key", function() {
+            it("should namespace the key using the store name", function() {
+                assert.equal(kv.key('foo'), 'test_app.foo');
+            });
+        });
+
+        describe(".get", function() {
+            it("should retrieve the value for the namespaced key", function() {
+                api.kv.store['test_app.foo'] = {bar: 'baz'};
+
+                return kv.get('foo').then(function(value) {
+                    assert.deepEqual(value, {bar: 'baz'});
+                });
+            });
+
+            it("should fulfill with null if the key does not exist",
+            function() {
+                return kv.get('foo').then(function(value) {
+                    assert.strictEqual(value, null);
+                });
+            });
+
+            it("should fulfill with the default if the key does not exist",
+            function() {
+                return kv.get('foo', {default: 23}).then(function(value) {
+                    assert.strictEqual(value, 23);
+                });
+            });
+
+            it("should support decoding JSON values", function() {
+                api.kv.store['test_app.foo'] = '{"bar":"baz"}';
+
+                return kv.get('foo', {json: true}).then(function(value) {
+                    assert.deepEqual(value, {bar: 'baz'});
+                });
+            });
+        });
+
+        describe(".set", function() {
+            it("should store the value under the namespaced key", function() {
+                return kv.set('foo', {bar: 'baz'}).then(function() {
+                    assert.deepEqual(api.kv.store['test_app.foo'], {
+                        bar: 'baz'
+                    });
+                });
+            });
+
+            it("should not set a ttl by default", function() {
+                return kv.set('foo', 'bar').then(function() {
+                    assert(!('test_app.foo' in api.kv.ttl));
+                });
+            });
+
+            it("should support setting a ttl", function() {
+                return kv.set('foo', 'bar', {seconds: 60}).then(function() {
+                    assert.equal(api.kv.ttl['test_app.foo'], 60);
+                });
+            });
+
+            it("should support encoding values as JSON", function() {
+                return kv.set('foo', {bar: 'baz'}, {json: true})
+                    .then(function() {
+                        assert.strictEqual(
+                            api.kv.store['test_app.foo'],
+                            '{"bar":"baz"}');
+                    });
+            });
+
+            it("should fulfill with the status of the request", function() {
+                return kv.set('foo', 'bar').then(function(success) {
+                    assert(success);
+                });
+            });
+        });
+
+        describe(".incr", function() {
+            it("should increment the namespaced key", function() {
+                api.kv.store['test_app.foo'] = 3;
+
+                return kv.incr('foo', {amount: 2}).then(function() {
+                    assert.equal(api.kv.store['test_app.foo'], 5);
+                });
+            });
+
+            it("should fulfill with the new value", function() {
+                api.kv.store['test_app.foo'] = 3;
+
+                return kv.incr('foo').then(function(value) {
+                    assert.equal(value, 4);
+                });
+            });
+        });
+
+        describe(".delete", function() {
+            it("should delete the namespaced key", function() {
+                api.kv.store['test_app.foo'] = 'bar';
+
+                return kv.delete('foo').then(function() {
+                    assert(!('test_app.foo' in api.kv.store));
+                });
+            });
+
+            it("should fulfill with whether the key existed", function() {
+                api.kv.store['test_app.foo'] = 'bar';
+
+                return kv.delete('foo')
+                    .then(function(existed) {
+                        assert(existed);
+                        return kv.delete('foo');
+                    })
+                    .then(function(existed) {
+                        assert(!existed);
+                    });
+            });
+        });
+    });
+});
@@ -0,0 +1,236 @@
+var assert = require('assert');
+
+var vumigo = require('../../lib');
+var test_utils = vumigo.test_utils;
+var App = vumigo.App;
+var AppTester = vumigo.AppTester;
+var FreeText = vumigo.states.FreeText;
+var EndState = vumigo.states.EndState;
+var FunnelMetrics = vumigo.metrics.funnel.FunnelMetrics;
+
+
+describe("metrics.funnel", function() {
+    var im;
+    var api;
+    var funnel;
+
+    function values(name) {
+        var store = api.metrics.stores.test_app || {};
+        return (store[name] || {values: []}).values;
+    }
+
+    beforeEach(function() {
+        return test_utils.make_im().then(function(new_im) {
+            im = new_im;
+            api = im.api;
+            funnel = im.funnel;
+            return funnel.setup({enabled: true});
+        });
+    });
+
+    describe("FunnelMetrics", function() {
+        describe(".setup", function() {
+            var funnel;
+
+            beforeEach(function() {
+                funnel = new FunnelMetrics(im);
+            });
+
+            it("should emit a 'setup' event", function() {
+                var p = funnel.once.resolved('setup');
+                return funnel.setup().thenResolve(p);
+            });
+
+            it("should not be enabled by default", function() {
+                return funnel.setup().then(function() {
+                    assert(!funnel.enabled);
+                });
+            });
+
+            it("should use the given templates over the defaults",
+            function() {
+                return funnel
+                    .setup({templates: {session_start: 'sessions'}})
+                    .then(function() {
+                        assert.equal(funnel.templates.session_start, 'sessions');
+                        assert.equal(
+                            funnel.templates.session_end,
+                            'funnel.sessions.end');
+                    });
+            });
+        });
+
+        describe(".metric_name", function() {
+            it("should fill in the event's template", function() {
+                assert.equal(
+                    funnel.metric_name('state_enter', 'foo'),
+                    'funnel.states.foo.enter');
+            });
+
+            it("should replace characters not allowed in metric names",
+            function() {
+                assert.equal(
+                    funnel.metric_name('state_enter', 'states:foo-bar'),
+                    'funnel.states.states_foo_bar.enter');
+            });
+
+            it("should return null for disabled events", function() {
+                return funnel
+                    .setup({
+                        enabled: true,
+                        templates: {state_enter: null}
+                    })
+                    .then(function() {
+                        assert.strictEqual(
+                            funnel.metric_name('state_enter', 'foo'),
+                            null);
+                    });
+            });
+        });
+
+        describe(".fire", function() {
+            it("should increment the event's metric", function() {
+                return funnel.fire('session_start')
+                    .then(function() {
+                        return funnel.fire('session_start');
+                    })
+                    .then(function() {
+                        assert.deepEqual(
+                            values('funnel.sessions.start'),
+                            [1, 2]);
+                    });
+            });
+
+            it("should not fire metrics if funnel metrics are disabled",
+            function() {
+                return funnel.setup()
+                    .then(function() {
+                        return funnel.fire('session_start');
+                    })
+                    .then(function() {
+                        assert.deepEqual(api.metrics.stores, {});
+                    });
+            });
+        });
+
+        describe(".fire.unique", function() {
+            it("should only count each user once", function() {
+                return funnel.fire.unique('unique_users')
+                    .then(function() {
+                        return funnel.fire.unique('unique_users');
+                    })
+                    .then(function() {
+                        assert.deepEqual(values('funnel.unique_users'), [1]);
+                    });
+            });
+
+            it("should keep track of the users seen in the kv store",
+            function() {
+                return funnel.fire.unique('unique_users').then(function() {
+                    assert.equal(
+                        api.kv.store[[
+                            'test_app.funnel_metrics.funnel.unique_users',
+                            im.user.addr
+                        ].join('.')],
+                        1);
+                });
+            });
+
+            it("should count different users separately", function() {
+                return funnel.fire.unique('unique_users')
+                    .then(function() {
+                        im.user.addr = '+27555';
+                        return funnel.fire.unique('unique_users');
+                    })
+                    .then(function() {
+                        assert.deepEqual(values('funnel.unique_users'), [1, 2]);
+                    });
+            });
+        });
+    });
+
+    describe("an app with funnel metrics", function() {
+        var tester;
+
+        beforeEach(function() {
+            var app = new App('states:start');
+
+            app.states.add('states:start', function(name) {
+                return new FreeText(name, {
+                    question: 'Name?',
+                    check: function(content) {
+                        if (content.length < 2) { return 'Too short'; }
+                    },
+                    next: 'states:end'
+                });
+            });
+
+            app.states.add('states:end', function(name) {
+                return new EndState(name, {
+                    text: 'Bye',
+                    next: 'states:start'
+                });
+            });
+
+            tester = new AppTester(app);
+            tester.setup.config.app({funnel_metrics: true});
+        });
+
+        it("should fire metrics for new sessions", function() {
+            return tester
+                .start()
+                .check.metrics.funnel({
+                    session_start: 1,
+                    unique_users: 1,
+                    state_enter: {'states:start': 1},
+                    state_unique_users: {'states:start': 1}
+                })
+                .run();
+        });
+
+        it("should fire metrics for state transitions", function() {
+            return tester
+                .setup.user.state('states:start')
+                .input('jan')
+                .check.metrics.funnel({
+                    state_exit: {'states:start': 1},
+                    state_enter: {'states:end': 1},
+                    session_end: 1
+                })
+                .run();
+        });
+
+        it("should fire metrics for invalid input", function() {
+            return tester
+                .setup.user.state('states:start')
+                .input('j')
+                .check.metrics.funnel({
+                    state_invalid: {'states:start': 1},
+                    state_exit: {'states:start': 0}
+                })
+                .run();
+        });
+
+        it("should count unique users across sessions", function() {
+            return tester
+                .inputs(null, 'jan', null)
+                .check.metrics.funnel({
+                    session_start: 2,
+                    unique_users: 1,
+                    state_enter: {'states:start': 2},
+                    state_unique_users: {'states:start': 1}
+                })
+                .run();
+        });
+
+        it("should not fire metrics unless enabled", function() {
+            return tester
+                .setup.config.app({funnel_metrics: false})
+                .start()
+                .check.metrics(function(metrics) {
+                    assert.deepEqual(metrics, {});
+                })
+                .run();
+        });
+    });
+});
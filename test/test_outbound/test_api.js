@@ -1,3 +1,5 @@
+var Q = require('q');
+var _ = require('lodash');
 var assert = require('assert');
 
 var vumigo = require("../../lib");
@@ -149,6 +151,26 @@ describe("outbound.api", function() {
                     });
             });
 
+            it("should track the sent message", function() {
+                return im
+                    .outbound.send({
+                        to: '+273123',
+                        endpoint: 'sms',
+                        content: 'hello!',
+                        metadata: {foo: 'bar'}
+                    })
+                    .then(function(reply) {
+                        return im.outbound.get_tracked(reply.message_id);
+                    })
+                    .then(function(record) {
+                        assert.equal(record.to_addr, '+273123');
+                        assert.equal(record.endpoint, 'sms');
+                        assert.equal(record.content, 'hello!');
+                        assert.deepEqual(record.metadata, {foo: 'bar'});
+                        assert.equal(record.status, 'sent');
+                    });
+            });
+
             it("should by default translate to the user language", function() {
                 return im
                     .outbound.send({
@@ -163,6 +185,530 @@ describe("outbound.api", function() {
             });
         });
 
+        describe(".schedule", function() {
+            it("should store the job in the kv store", function() {
+                var at = Date.UTC(2030, 0, 1);
+
+                return im.outbound
+                    .schedule({
+                        to: '+273123',
+                        endpoint: 'sms',
+                        content: 'hello!',
+                        at: new Date(at),
+                        metadata: {foo: 'bar'}
+                    })
+                    .then(function(id) {
+                        var store = im.api.kv.store;
+
+                        assert.deepEqual(
+                            store['test_app.outbound.schedule.jobs.1'], {
+                                id: id,
+                                at: at,
+                                to_addr: '+273123',
+                                endpoint: 'sms',
+                                content: 'hello!',
+                                metadata: {foo: 'bar'},
+                                slot: 1
+                            });
+
+                        assert.equal(
+                            store['test_app.outbound.schedule.ids.' + id], 1);
+                    });
+            });
+
+            it("should not lose jobs scheduled at the same time", function() {
+                function schedule(content) {
+                    return im.outbound.schedule({
+                        to: '+273123',
+                        endpoint: 'sms',
+                        content: content,
+                        delay: 60
+                    });
+                }
+
+                return Q.all([schedule('a'), schedule('b'), schedule('c')])
+                    .then(function() {
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function(jobs) {
+                        assert.deepEqual(
+                            _.map(jobs, 'content').sort(),
+                            ['a', 'b', 'c']);
+                    });
+            });
+
+            it("should support delays relative to the current time", function() {
+                var start = Date.now();
+
+                return im.outbound
+                    .schedule({
+                        to: '+273123',
+                        endpoint: 'sms',
+                        content: 'hello!',
+                        delay: 60
+                    })
+                    .then(function() {
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function(jobs) {
+                        assert(jobs[0].at >= start + 60000);
+                        assert(jobs[0].at <= Date.now() + 60000);
+                    });
+            });
+
+            it("should translate the content to the user's language", function() {
+                return im.outbound
+                    .schedule({
+                        to: '+273123',
+                        endpoint: 'sms',
+                        content: test_utils.$('yes'),
+                        delay: 60
+                    })
+                    .then(function() {
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function(jobs) {
+                        assert.equal(jobs[0].content, 'ja');
+                    });
+            });
+
+            it("should schedule sends to contacts", function() {
+                return im
+                    .contacts.create({msisdn: '+273123'})
+                    .then(function(contact) {
+                        return im.outbound.schedule({
+                            to: contact,
+                            endpoint: 'sms',
+                            content: 'hello!',
+                            delay: 60
+                        });
+                    })
+                    .then(function() {
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function(jobs) {
+                        assert.equal(jobs[0].to_addr, '+273123');
+                    });
+            });
+
+            it("should not send the message", function() {
+                return im.outbound
+                    .schedule({
+                        to: '+273123',
+                        endpoint: 'sms',
+                        content: 'hello!',
+                        delay: 60
+                    })
+                    .then(function() {
+                        assert.equal(im.api.outbound.store.length, 0);
+                    });
+            });
+        });
+
+        describe(".cancel", function() {
+            var id;
+
+            beforeEach(function() {
+                return im.outbound
+                    .schedule({
+                        to: '+273123',
+                        endpoint: 'sms',
+                        content: 'hello!',
+                        delay: 60
+                    })
+                    .then(function(new_id) {
+                        id = new_id;
+                    });
+            });
+
+            it("should remove the job from the schedule", function() {
+                return im.outbound
+                    .cancel(id)
+                    .then(function(cancelled) {
+                        assert(cancelled);
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function(jobs) {
+                        assert.deepEqual(jobs, []);
+                    });
+            });
+
+            it("should not cancel jobs that are being sent", function() {
+                return im.outbound
+                    .claim(1)
+                    .then(function() {
+                        return im.outbound.cancel(id);
+                    })
+                    .then(function(cancelled) {
+                        assert(!cancelled);
+                    });
+            });
+
+            it("should fulfill with false for unknown jobs", function() {
+                return im.outbound
+                    .cancel('unknown')
+                    .then(function(cancelled) {
+                        assert(!cancelled);
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function(jobs) {
+                        assert.equal(jobs.length, 1);
+                    });
+            });
+        });
+
+        describe(".process_scheduled", function() {
+            var ids;
+
+            function schedule(content, at, metadata) {
+                return im.outbound.schedule({
+                    to: '+27' + content.length,
+                    endpoint: 'sms',
+                    content: content,
+                    at: at,
+                    metadata: metadata
+                });
+            }
+
+            beforeEach(function() {
+                var now = im.now();
+
+                return Q.all([
+                        schedule('later', now + 60000),
+                        schedule('second', now - 1000),
+                        schedule('first', now - 2000, {foo: 'bar'})
+                    ])
+                    .then(function(new_ids) {
+                        ids = _.zipObject(
+                            ['later', 'second', 'first'],
+                            new_ids);
+                    });
+            });
+
+            it("should send the due messages in order", function() {
+                return im.outbound.process_scheduled().then(function() {
+                    assert.deepEqual(im.api.outbound.store, [{
+                        to_addr: '+275',
+                        content: 'first',
+                        endpoint: 'sms'
+                    }, {
+                        to_addr: '+276',
+                        content: 'second',
+                        endpoint: 'sms'
+                    }]);
+                });
+            });
+
+            it("should remove the sent jobs from the schedule", function() {
+                return im.outbound
+                    .process_scheduled()
+                    .then(function() {
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function(jobs) {
+                        assert.deepEqual(_.map(jobs, 'id'), [ids.later]);
+                    });
+            });
+
+            it("should fulfill with the sent jobs", function() {
+                return im.outbound.process_scheduled().then(function(jobs) {
+                    assert.deepEqual(
+                        _.map(jobs, 'id'),
+                        [ids.first, ids.second]);
+                });
+            });
+
+            it("should track the sent messages", function() {
+                return im.outbound
+                    .process_scheduled()
+                    .then(function() {
+                        var record = _.find(im.api.kv.store, {
+                            to_addr: '+275',
+                            status: 'sent'
+                        });
+
+                        assert.deepEqual(record.metadata, {foo: 'bar'});
+                    });
+            });
+
+            it("should send messages once their time has come", function() {
+                im.api.advance_time(120);
+
+                return im.outbound.process_scheduled().then(function(jobs) {
+                    assert.deepEqual(
+                        _.map(jobs, 'id'),
+                        [ids.first, ids.second, ids.later]);
+                });
+            });
+
+            it("should not send a message twice if processed at the same time",
+            function() {
+                return Q
+                    .all([
+                        im.outbound.process_scheduled(),
+                        im.outbound.process_scheduled()
+                    ])
+                    .then(function() {
+                        assert.deepEqual(
+                            _.map(im.api.outbound.store, 'content'),
+                            ['first', 'second']);
+                    });
+            });
+
+            it("should keep sending the other messages if a send fails",
+            function() {
+                im.api.fail('outbound.send_to_endpoint', {reason: 'Oops'});
+
+                return im.outbound
+                    .process_scheduled()
+                    .then(function(jobs) {
+                        assert.deepEqual(_.map(jobs, 'id'), [ids.second]);
+
+                        assert.deepEqual(
+                            _.map(im.api.outbound.store, 'content'),
+                            ['second']);
+
+                        assert(_.includes(im.api.log.error, [
+                            "Failed to send scheduled message",
+                            ids.first + ": Oops"
+                        ].join(' ')));
+
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function(jobs) {
+                        assert.deepEqual(
+                            _.map(jobs, 'id').sort(),
+                            [ids.later, ids.first].sort());
+
+                        return im.outbound.process_scheduled();
+                    })
+                    .then(function(jobs) {
+                        assert.deepEqual(_.map(jobs, 'id'), [ids.first]);
+                    });
+            });
+
+            it("should delete the jobs that are done", function() {
+                im.api.advance_time(120);
+
+                return im.outbound
+                    .process_scheduled()
+                    .then(function() {
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function() {
+                        var store = im.api.kv.store;
+
+                        assert.deepEqual(
+                            store['test_app.outbound.schedule.index'],
+                            {upto: 3, slots: []});
+
+                        _.range(1, 4).forEach(function(slot) {
+                            assert(!(
+                                'test_app.outbound.schedule.jobs.' + slot
+                                in store));
+                        });
+                    });
+            });
+
+            it("should only look up pending and newly scheduled jobs",
+            function() {
+                var slots = [];
+
+                return im.outbound
+                    .process_scheduled()
+                    .then(function() {
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function() {
+                        return schedule('new', im.now() + 60000);
+                    })
+                    .then(function() {
+                        var get = im.kv.get;
+
+                        im.kv.get = function(key) {
+                            var parts = key.split('.');
+                            if (parts[2] == 'jobs') { slots.push(+parts[3]); }
+                            return get.apply(this, arguments);
+                        };
+
+                        return im.outbound.get_scheduled();
+                    })
+                    .then(function(jobs) {
+                        var later = _.find(jobs, {id: ids.later});
+                        assert.deepEqual(slots, [later.slot, 4]);
+                    });
+            });
+
+            it("should keep claims on sent jobs until they expire",
+            function() {
+                return im.outbound
+                    .get_scheduled()
+                    .then(function(jobs) {
+                        var first = _.find(jobs, {id: ids.first});
+
+                        return im.outbound
+                            .process_scheduled()
+                            .then(function() {
+                                var key = [
+                                    'test_app.outbound.schedule.claims',
+                                    first.slot
+                                ].join('.');
+
+                                assert.equal(im.api.kv.store[key], 1);
+                                assert.equal(im.api.kv.ttl[key], 600);
+
+                                // a run that read the job before it was sent
+                                return im.outbound.process_job(first);
+                            });
+                    })
+                    .then(function(sent) {
+                        assert(!sent);
+                        assert.deepEqual(
+                            _.map(im.api.outbound.store, 'content'),
+                            ['first', 'second']);
+                    });
+            });
+
+            it("should release claims on jobs that fail to send", function() {
+                im.api.fail('outbound.send_to_endpoint', {reason: 'Oops'});
+
+                return im.outbound
+                    .get_scheduled()
+                    .then(function(jobs) {
+                        var first = _.find(jobs, {id: ids.first});
+
+                        return im.outbound
+                            .process_scheduled()
+                            .then(function() {
+                                assert(!([
+                                    'test_app.outbound.schedule.claims',
+                                    first.slot
+                                ].join('.') in im.api.kv.store));
+                            });
+                    });
+            });
+        });
+
+        describe(".track", function() {
+            it("should store the message data in the kv store", function() {
+                im.outbound.tracking_ttl = 60;
+
+                return im.outbound
+                    .track({
+                        message_id: '1',
+                        to_addr: '+273123',
+                        endpoint: 'sms',
+                        content: 'hello!',
+                        metadata: {foo: 'bar'}
+                    })
+                    .then(function() {
+                        assert.deepEqual(im.api.kv.store['test_app.outbound.1'], {
+                            message_id: '1',
+                            to_addr: '+273123',
+                            endpoint: 'sms',
+                            content: 'hello!',
+                            metadata: {foo: 'bar'},
+                            status: 'sent'
+                        });
+
+                        assert.equal(im.api.kv.ttl['test_app.outbound.1'], 60);
+                    });
+            });
+        });
+
+        describe(".handle_event", function() {
+            beforeEach(function() {
+                return im.outbound.track({
+                    message_id: '1',
+                    to_addr: '+273123',
+                    endpoint: 'sms',
+                    content: 'hello!',
+                    metadata: {foo: 'bar'}
+                });
+            });
+
+            it("should update the tracked message's status", function() {
+                return im.outbound
+                    .handle_event({
+                        user_message_id: '1',
+                        event_type: 'ack'
+                    })
+                    .then(function() {
+                        return im.outbound.get_tracked('1');
+                    })
+                    .then(function(record) {
+                        assert.equal(record.status, 'ack');
+                    });
+            });
+
+            it("should emit 'outbound:delivered' for delivered messages",
+            function() {
+                var p = im.outbound.once.resolved('outbound:delivered');
+
+                return im.outbound
+                    .handle_event({
+                        user_message_id: '1',
+                        event_type: 'delivery_report',
+                        delivery_status: 'delivered'
+                    })
+                    .thenResolve(p)
+                    .then(function(e) {
+                        assert.equal(e.record.status, 'delivered');
+                        assert.deepEqual(e.record.metadata, {foo: 'bar'});
+                        assert.equal(e.event.user_message_id, '1');
+                    });
+            });
+
+            it("should emit 'outbound:failed' for nacked messages", function() {
+                var p = im.outbound.once.resolved('outbound:failed');
+
+                return im.outbound
+                    .handle_event({
+                        user_message_id: '1',
+                        event_type: 'nack',
+                        nack_reason: 'no route'
+                    })
+                    .thenResolve(p)
+                    .then(function(e) {
+                        assert.equal(e.record.status, 'nack');
+                        assert.equal(e.event.nack_reason, 'no route');
+                    });
+            });
+
+            it("should emit 'outbound:failed' for undelivered messages",
+            function() {
+                var p = im.outbound.once.resolved('outbound:failed');
+
+                return im.outbound
+                    .handle_event({
+                        user_message_id: '1',
+                        event_type: 'delivery_report',
+                        delivery_status: 'failed'
+                    })
+                    .thenResolve(p)
+                    .then(function(e) {
+                        assert.equal(e.record.status, 'failed');
+                    });
+            });
+
+            it("should ignore events for untracked messages", function() {
+                var emitted = false;
+                im.outbound.on('outbound:failed', function() {
+                    emitted = true;
+                });
+
+                return im.outbound
+                    .handle_event({
+                        user_message_id: '2',
+                        event_type: 'nack'
+                    })
+                    .then(function() {
+                        assert(!emitted);
+                        assert(!('test_app.outbound.2' in im.api.kv.store));
+                    });
+            });
+        });
+
         describe(".send_to_user", function() {
             it("should send to the user", function() {
                 return im
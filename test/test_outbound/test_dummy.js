@@ -200,6 +200,16 @@ describe("outbound.dummy", function() {
                     });
                 });
 
+                it("should reply with the sent message's id", function() {
+                    return request('outbound.send_to_endpoint', {
+                        content: 'foo',
+                        to_addr: '+27123',
+                        endpoint: 'sms'
+                    }).then(function(result) {
+                        assert.equal(typeof result.message_id, 'string');
+                    });
+                });
+
                 it("should fail if 'to_addr' isn't a string", function() {
                     return request('outbound.send_to_endpoint', {
                         content: 'foo',
@@ -12,6 +12,7 @@ var ChoiceState = vumigo.states.ChoiceState;
 var MenuState = vumigo.states.MenuState;
 var LanguageChoice = vumigo.states.LanguageChoice;
 var PaginatedChoiceState = vumigo.states.PaginatedChoiceState;
+var MultiChoiceState = vumigo.states.MultiChoiceState;
 var Choice = vumigo.states.Choice;
 
 
@@ -696,4 +697,176 @@ describe("states.choice", function() {
             });
         });
     });
+
+    describe("MultiChoiceState", function () {
+        var tester;
+        var opts;
+
+        beforeEach(function () {
+            var app = new App('states:test');
+            opts = {};
+
+            app.states.add('states:test', function(name) {
+                opts = _.defaults(opts, {
+                    name: name,
+                    question: "Symptoms?",
+                    error: "Bad choice.",
+                    choices: [
+                        new Choice('fever', 'Fever'),
+                        new Choice('cough', 'Cough'),
+                        new Choice('rash', 'Rash')
+                    ],
+                    next: 'states:end'
+                });
+
+                return new MultiChoiceState(name, opts);
+            });
+
+            app.states.add('states:end', function(name) {
+                return new ChoiceState(name, {
+                    question: "Bye.",
+                    choices: []
+                });
+            });
+
+            tester = new AppTester(app);
+        });
+
+        it("should display a done choice", function() {
+            return tester
+                .start()
+                .check.reply([
+                    "Symptoms?",
+                    "1. Fever",
+                    "2. Cough",
+                    "3. Rash",
+                    "4. Done"
+                ].join('\n'))
+                .run();
+        });
+
+        it("should mark toggled choices as selected", function() {
+            return tester
+                .inputs(null, '1', '3')
+                .check.user.state({
+                    name: 'states:test',
+                    metadata: {
+                        page_start: 0,
+                        selected: ['fever', 'rash']
+                    },
+                    creator_opts: {}
+                })
+                .check.reply([
+                    "Symptoms?",
+                    "1. *Fever",
+                    "2. Cough",
+                    "3. *Rash",
+                    "4. Done"
+                ].join('\n'))
+                .run();
+        });
+
+        it("should allow choices to be toggled off", function() {
+            return tester
+                .inputs(null, '1', '2', '1')
+                .check.user.state.metadata({
+                    page_start: 0,
+                    selected: ['cough']
+                })
+                .run();
+        });
+
+        it("should save the selected values once done", function() {
+            return tester
+                .inputs(null, '3', '1', '4')
+                .check.user.answers({'states:test': ['fever', 'rash']})
+                .check.user.state('states:end')
+                .run();
+        });
+
+        it("should accept several choices at once", function() {
+            return tester
+                .inputs(null, '1, 3')
+                .check.user.answers({'states:test': ['fever', 'rash']})
+                .check.user.state('states:end')
+                .run();
+        });
+
+        it("should reject several choices if one is invalid", function() {
+            return tester
+                .inputs(null, '1,7')
+                .check.user.state('states:test')
+                .check.reply(/^Bad choice./)
+                .run();
+        });
+
+        it("should give the selected choices to the next function",
+        function() {
+            opts.next = function(choices) {
+                return choices.length > 1
+                    ? 'states:end'
+                    : 'states:test';
+            };
+
+            return tester
+                .inputs(null, '2 3')
+                .check.user.state('states:end')
+                .run();
+        });
+
+        it("should not allow less than the minimum choices", function() {
+            opts.min = 2;
+            opts.error_min = "Pick more.";
+
+            return tester
+                .inputs(null, '1', '4')
+                .check.user.state('states:test')
+                .check.reply(/^Pick more./)
+                .run();
+        });
+
+        it("should not allow more than the maximum choices", function() {
+            opts.max = 1;
+            opts.error_max = "Pick less.";
+
+            return tester
+                .inputs(null, '1', '2')
+                .check.user.state.metadata({
+                    page_start: 0,
+                    selected: ['fever']
+                })
+                .check.reply(/^Pick less./)
+                .run();
+        });
+
+        it("should paginate the choices", function() {
+            opts.options_per_page = 2;
+
+            return tester
+                .inputs(null, '1', '3')
+                .check.reply([
+                    "Symptoms?",
+                    "1. Rash",
+                    "2. Back",
+                    "3. Done"
+                ].join('\n'))
+                .run();
+        });
+
+        it("should account for the done choice when sizing pages",
+        function() {
+            opts.options_per_page = null;
+            opts.characters_per_page = 40;
+
+            return tester
+                .start()
+                .check.reply([
+                    "Symptoms?",
+                    "1. Fever",
+                    "2. More",
+                    "3. Done"
+                ].join('\n'))
+                .run();
+        });
+    });
 });
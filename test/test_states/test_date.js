@@ -0,0 +1,318 @@
+var _ = require('lodash');
+var assert = require('assert');
+var moment = require('moment');
+
+var vumigo = require('../../lib');
+var DateState = vumigo.states.DateState;
+var test_utils = vumigo.test_utils;
+
+
+describe("states.date", function() {
+    describe("DateState", function() {
+        var im;
+        var state;
+
+        function make_state(opts) {
+            opts = _.defaults(opts || {}, {
+                question: 'When?',
+                error: 'no!',
+                next: 'state_2',
+                now: function() {
+                    return moment('2014-03-15');
+                }
+            });
+
+            return test_utils
+                .make_im()
+                .then(function(new_im) {
+                    im = new_im;
+                    state = new DateState('state_1', opts);
+                    im.app.states.add(state);
+                    return im.switch_state('state_1').thenResolve(state);
+                });
+        }
+
+        describe("in 'text' mode", function() {
+            beforeEach(function() {
+                return make_state({
+                    min: {years: -1},
+                    max: {days: 0},
+                    error_min: 'too early!',
+                    error_max: 'too late!'
+                });
+            });
+
+            describe("if the user response is a valid date", function() {
+                it("should save the date in iso format", function() {
+                    return state.input('02/01/2014').then(function() {
+                        assert.equal(
+                            im.user.get_answer('state_1'),
+                            '2014-01-02');
+                    });
+                });
+
+                it("should set the user's next state", function() {
+                    return state.input('2014-01-02').then(function() {
+                        assert(im.next_state.is('state_2'));
+                    });
+                });
+
+                it("should give the parsed date to the next function",
+                function() {
+                    var date;
+
+                    state.next = function(d) {
+                        date = d;
+                        return 'state_3';
+                    };
+
+                    return state.input('02012014').then(function() {
+                        assert(moment.isMoment(date));
+                        assert.equal(date.format('YYYY-MM-DD'), '2014-01-02');
+                        assert(im.next_state.is('state_3'));
+                    });
+                });
+
+                it("should accept the min and max dates", function() {
+                    return state.input('2013-03-15')
+                        .then(function() {
+                            assert(!state.error);
+                            return state.input('2014-03-15');
+                        })
+                        .then(function() {
+                            assert(!state.error);
+                        });
+                });
+            });
+
+            describe("if the user response is not a date", function() {
+                it("should put the state in an error", function() {
+                    return state.input('yesterday').then(function() {
+                        assert.equal(state.error.response, 'no!');
+                        assert(!im.next_state.exists());
+                    });
+                });
+
+                it("should not accept impossible dates", function() {
+                    return state.input('31/02/2014').then(function() {
+                        assert.equal(state.error.response, 'no!');
+                    });
+                });
+            });
+
+            describe("if the date is before the min date", function() {
+                it("should put the state in an error", function() {
+                    return state.input('2013-03-14').then(function() {
+                        assert.equal(state.error.response, 'too early!');
+                        assert(!im.next_state.exists());
+                    });
+                });
+            });
+
+            describe("if the date is after the max date", function() {
+                it("should put the state in an error", function() {
+                    return state.input('2014-03-16').then(function() {
+                        assert.equal(state.error.response, 'too late!');
+                        assert(!im.next_state.exists());
+                    });
+                });
+            });
+
+            it("should support custom formats", function() {
+                return make_state({formats: ['MM.DD.YYYY']})
+                    .then(function() {
+                        return state.input('01.02.2014');
+                    })
+                    .then(function() {
+                        assert.equal(
+                            im.user.get_answer('state_1'),
+                            '2014-01-02');
+                    });
+            });
+
+            it("should support a custom output format", function() {
+                return make_state({output_format: 'DD/MM/YYYY'})
+                    .then(function() {
+                        return state.input('2014-01-02');
+                    })
+                    .then(function() {
+                        assert.equal(
+                            im.user.get_answer('state_1'),
+                            '02/01/2014');
+                    });
+            });
+
+            it("should support functions for the min and max dates",
+            function() {
+                return make_state({
+                        min: function(now) {
+                            return now.clone().subtract(1, 'days');
+                        }
+                    })
+                    .then(function() {
+                        return state.input('2014-03-13');
+                    })
+                    .then(function() {
+                        assert.equal(state.error.response, 'no!');
+                    });
+            });
+
+            it("should use the given check function", function() {
+                return make_state({
+                        check: function(date) {
+                            if (date.day() === 0) { return 'not sunday!'; }
+                        }
+                    })
+                    .then(function() {
+                        return state.input('2014-03-09');
+                    })
+                    .then(function() {
+                        assert.equal(state.error.response, 'not sunday!');
+                    });
+            });
+
+            it("should display the question", function() {
+                assert.equal(state.display(), 'When?');
+            });
+        });
+
+        describe("in 'picker' mode", function() {
+            beforeEach(function() {
+                return make_state({
+                    mode: 'picker',
+                    min: '2003-01-01',
+                    max: {days: 0},
+                    options_per_page: 4
+                });
+            });
+
+            it("should start by displaying the years", function() {
+                assert.equal(state.display(), [
+                    'Select a year:',
+                    '1. 2014',
+                    '2. 2013',
+                    '3. 2012',
+                    '4. 2011',
+                    '5. More'
+                ].join('\n'));
+            });
+
+            it("should paginate the choices", function() {
+                return state.input('5')
+                    .then(function() {
+                        assert.equal(state.display(), [
+                            'Select a year:',
+                            '1. 2010',
+                            '2. 2009',
+                            '3. 2008',
+                            '4. 2007',
+                            '5. More',
+                            '6. Back'
+                        ].join('\n'));
+
+                        return state.input('6');
+                    })
+                    .then(function() {
+                        assert.equal(state.metadata.page_start, 0);
+                    });
+            });
+
+            it("should display the months in range once a year is picked",
+            function() {
+                return state.input('1').then(function() {
+                    assert.equal(state.metadata.year, 2014);
+                    assert.equal(state.display(), [
+                        'Select a month:',
+                        '1. Jan',
+                        '2. Feb',
+                        '3. Mar'
+                    ].join('\n'));
+                });
+            });
+
+            it("should display the days in range once a month is picked",
+            function() {
+                return state.input('1')
+                    .then(function() {
+                        return state.input('3');
+                    })
+                    .then(function() {
+                        assert.equal(state.metadata.month, 2);
+                        assert.deepEqual(
+                            state.picker_choices().map(function(choice) {
+                                return choice.value;
+                            }),
+                            _.range(1, 16));
+                    });
+            });
+
+            it("should save the picked date once a day is picked",
+            function() {
+                return state.input('1')
+                    .then(function() {
+                        return state.input('2');
+                    })
+                    .then(function() {
+                        return state.input('3');
+                    })
+                    .then(function() {
+                        assert.equal(
+                            im.user.get_answer('state_1'),
+                            '2014-02-03');
+                        assert(im.next_state.is('state_2'));
+                        assert.equal(state.metadata.step, 'year');
+                    });
+            });
+
+            it("should put the state in an error for bad choices", function() {
+                return state.input('7').then(function() {
+                    assert.equal(state.error.response, 'no!');
+                    assert.equal(state.metadata.step, 'year');
+                });
+            });
+
+            it("should put the state in an error for fractional choices",
+            function() {
+                return state.input('1.5').then(function() {
+                    assert.equal(state.error.response, 'no!');
+                    assert.equal(state.metadata.step, 'year');
+                    assert.equal(state.metadata.year, undefined);
+                });
+            });
+
+            it("should put the state in an error for out of range choices",
+            function() {
+                return state.input('0')
+                    .then(function() {
+                        assert.equal(state.error.response, 'no!');
+                        return state.input('-1');
+                    })
+                    .then(function() {
+                        assert.equal(state.error.response, 'no!');
+                        assert.equal(state.metadata.step, 'year');
+                    });
+            });
+        });
+
+        describe(".translate", function() {
+            it("should translate the question", function() {
+                return make_state({question: test_utils.$('yes?')})
+                    .then(function() {
+                        state.translate(im.user.i18n);
+                        assert.equal(state.question_text, 'ja?');
+                    });
+            });
+
+            it("should translate the error text", function() {
+                return make_state()
+                    .then(function() {
+                        return state.invalidate(test_utils.$('no!'));
+                    })
+                    .then(function() {
+                        state.translate(im.user.i18n);
+                        assert.equal(state.error.response, 'nee!');
+                    });
+            });
+        });
+    });
+});
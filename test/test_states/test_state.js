@@ -127,6 +127,126 @@ describe("states.state", function() {
                     assert(p.isFulfilled());
                 });
             });
+
+            describe("if the state has a maximum number of invalid attempts",
+            function() {
+                beforeEach(function() {
+                    state.max_invalid = 2;
+                    state.check = function(input) {
+                        if (input !== 'yes') { return 'no!'; }
+                    };
+
+                    state.on('state:input', function(e) {
+                        return state.validate(e.content);
+                    });
+                });
+
+                it("should count invalid attempts in the state's metadata",
+                function() {
+                    return state.input('foo').then(function() {
+                        assert.equal(state.metadata.invalid_count, 1);
+                        assert(!im.next_state.exists());
+                    });
+                });
+
+                it("should clear the count after valid input", function() {
+                    return state.input('foo')
+                        .then(function() {
+                            return state.input('yes');
+                        })
+                        .then(function() {
+                            assert(!('invalid_count' in state.metadata));
+                        });
+                });
+
+                describe("once the maximum has been reached", function() {
+                    it("should emit a 'state:exhausted' event", function() {
+                        var p = state.once.resolved('state:exhausted');
+
+                        return state.input('foo')
+                            .then(function() {
+                                return state.input('bar');
+                            })
+                            .thenResolve(p)
+                            .then(function(e) {
+                                assert.strictEqual(e.state, state);
+                                assert.equal(e.error.response, 'no!');
+                            });
+                    });
+
+                    it("should clear the count", function() {
+                        return state.input('foo')
+                            .then(function() {
+                                return state.input('bar');
+                            })
+                            .then(function() {
+                                assert(!('invalid_count' in state.metadata));
+                            });
+                    });
+
+                    it("should route the user to the fallback state",
+                    function() {
+                        state.invalid_fallback = 'states:help';
+
+                        return state.input('foo')
+                            .then(function() {
+                                return state.input('bar');
+                            })
+                            .then(function() {
+                                assert(im.next_state.is('states:help'));
+                            });
+                    });
+
+                    it("should default to the app's fallback state",
+                    function() {
+                        im.app.invalid_fallback = 'states:app_help';
+
+                        return state.input('foo')
+                            .then(function() {
+                                return state.input('bar');
+                            })
+                            .then(function() {
+                                assert(im.next_state.is('states:app_help'));
+                            });
+                    });
+
+                    it("should default to the start state if there is no " +
+                       "fallback state",
+                    function() {
+                        return state.input('foo')
+                            .then(function() {
+                                return state.input('bar');
+                            })
+                            .then(function() {
+                                assert(im.next_state.is('start'));
+                            });
+                    });
+                });
+            });
+
+            it("should use the app's maximum number of invalid attempts by " +
+               "default",
+            function() {
+                im.app.max_invalid = 1;
+                state.on('state:input', function() {
+                    return state.invalidate('no!');
+                });
+
+                return state.input('foo').then(function() {
+                    assert(im.next_state.is('start'));
+                });
+            });
+
+            it("should not count invalid attempts if there is no maximum",
+            function() {
+                state.on('state:input', function() {
+                    return state.invalidate('no!');
+                });
+
+                return state.input('foo').then(function() {
+                    assert(!('invalid_count' in state.metadata));
+                });
+            });
         });
 
         describe(".show", function() {
@@ -166,6 +286,24 @@ describe("states.state", function() {
             });
         });
 
+        describe(".allows_keyword", function() {
+            it("should allow all keywords by default", function() {
+                assert(new State('spam').allows_keyword('help'));
+            });
+
+            it("should allow no keywords if keywords are disabled",
+            function() {
+                var state = new State('spam', {keywords: false});
+                assert(!state.allows_keyword('help'));
+            });
+
+            it("should allow only the given keywords", function() {
+                var state = new State('spam', {keywords: ['stop']});
+                assert(state.allows_keyword('stop'));
+                assert(!state.allows_keyword('help'));
+            });
+        });
+
         describe(".save_response", function() {
             it("should store the given user response", function() {
                 assert.equal(
@@ -961,4 +961,119 @@ describe("AppTester Check Tasks", function() {
                 });
         });
     });
+
+    describe(".check.metrics", function() {
+        beforeEach(function() {
+            app.states.add('metric_state', function(name) {
+                return app.im.metrics
+                    .fire.sum('tea.drunk', 2)
+                    .then(function() {
+                        return new EndState(name, {text: 'Hi'});
+                    });
+            });
+        });
+
+        describe(".check.metrics(obj)", function() {
+            it("should check the fired metrics", function() {
+                return tester
+                    .setup.user.state('metric_state')
+                    .start()
+                    .check.metrics({
+                        'tea.drunk': [2],
+                        'coffee.drunk': []
+                    })
+                    .run();
+            });
+
+            it("should fail if the values are not equal", function() {
+                return tester
+                    .setup.user.state('metric_state')
+                    .start()
+                    .check.metrics({'tea.drunk': [3]})
+                    .run()
+                    .then(test_utils.fail, function(e) {
+                        assert.equal(
+                            e.msg, "Unexpected values for metric 'tea.drunk'");
+                        assert.deepEqual(e.actual, [2]);
+                        assert.deepEqual(e.expected, [3]);
+                    });
+            });
+        });
+
+        describe(".check.metrics(fn)", function() {
+            it("should allow the metrics to be checked", function() {
+                return tester
+                    .setup.user.state('metric_state')
+                    .start()
+                    .check.metrics(function(metrics) {
+                        assert.deepEqual(metrics, {'tea.drunk': [2]});
+                    })
+                    .run();
+            });
+        });
+    });
+
+    describe(".check.metrics.funnel", function() {
+        beforeEach(function() {
+            tester.setup.config.app({funnel_metrics: true});
+        });
+
+        it("should check the totals of the funnel metrics", function() {
+            return tester
+                .setup.user.state('initial_state')
+                .input('2')
+                .check.metrics.funnel({
+                    state_enter: {
+                        initial_state: 0,
+                        coffee_state: 1
+                    },
+                    state_exit: {initial_state: 1},
+                    state_invalid: {initial_state: 0},
+                    session_end: 1
+                })
+                .run();
+        });
+
+        it("should check the totals of invalid input metrics", function() {
+            return tester
+                .setup.user.state('initial_state')
+                .input('3')
+                .check.metrics.funnel({
+                    state_invalid: {initial_state: 1},
+                    session_end: 0
+                })
+                .run();
+        });
+
+        it("should fail if the totals are not equal", function() {
+            return tester
+                .setup.user.state('initial_state')
+                .input('2')
+                .check.metrics.funnel({state_enter: {coffee_state: 2}})
+                .run()
+                .then(test_utils.fail, function(e) {
+                    assert.equal(e.msg, [
+                        "Unexpected total for funnel metric",
+                        "'funnel.states.coffee_state.enter'"].join(' '));
+                    assert.equal(e.actual, 1);
+                    assert.equal(e.expected, 2);
+                });
+        });
+
+        it("should fail if the event's metric is disabled", function() {
+            return tester
+                .setup.config.app({
+                    funnel_metrics: {templates: {session_end: null}}
+                })
+                .setup.user.state('initial_state')
+                .input('2')
+                .check.metrics.funnel({session_end: 1})
+                .run()
+                .then(test_utils.fail, function(e) {
+                    assert.equal(
+                        e.message,
+                        "Funnel metrics for 'session_end' are disabled");
+                });
+        });
+    });
 });
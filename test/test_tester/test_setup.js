@@ -400,6 +400,18 @@ describe("AppTester Setup Tasks", function() {
         });
     });
 
+    describe(".setup.time.advance", function() {
+        it("should move the api's clock forward", function() {
+            return tester
+                .setup.time.advance(60)
+                .setup.time.advance(30)
+                .setup(function(api) {
+                    assert.equal(api.time_offset, 90000);
+                })
+                .run();
+        });
+    });
+
     describe(".setup.char_limit", function() {
         it("should change the char limit used in the checking phase",
         function() {
@@ -1,4 +1,5 @@
 var Q = require('q');
+var _ = require('lodash');
 var assert = require('assert');
 
 var vumigo = require('../lib');
@@ -7,6 +8,7 @@ var User = vumigo.user.User;
 var UserNewEvent = vumigo.user.UserNewEvent;
 var UserLoadEvent = vumigo.user.UserLoadEvent;
 var UserResetEvent = vumigo.user.UserResetEvent;
+var UserConflictEvent = vumigo.user.UserConflictEvent;
 
 
 describe("user", function() {
@@ -27,7 +29,11 @@ describe("user", function() {
                 lang: 'af',
                 answers: {start: 'ja'},
                 metadata: {name: 'jan'},
+                experiments: {},
+                history: [],
                 in_session: false,
+                last_active: null,
+                version: 0,
                 state: {
                     name: 'start',
                     metadata: {foo: 'bar'},
@@ -95,6 +101,17 @@ describe("user", function() {
                         assert(user.creation_event instanceof UserResetEvent);
                     });
             });
+
+            it("should keep the version of the stored user", function() {
+                im.api.kv.store[user.key()].version = 3;
+
+                return user
+                    .reset('+27987654321', {store_name: 'test_app'})
+                    .then(function() {
+                        assert.strictEqual(user.version, 3);
+                        assert.deepEqual(user.answers, {});
+                    });
+            });
         });
 
         describe(".create", function() {
@@ -212,6 +229,17 @@ describe("user", function() {
             });
         });
 
+        describe(".default_conflict", function() {
+            it("should be 'merge' if no config is set", function() {
+                assert.strictEqual(user.default_conflict(), 'merge');
+            });
+
+            it("should be overriden by config.user_conflict", function() {
+                im.config.user_conflict = 'fail';
+                assert.strictEqual(user.default_conflict(), 'fail');
+            });
+        });
+
         describe(".save", function() {
             it("should save the user", function() {
                 user.set_answer('why', 'no');
@@ -265,6 +293,133 @@ describe("user", function() {
                             user.key() in im.api.kv.ttl, false);
                     });
             });
+
+            it("should increment the user's version", function() {
+                return user
+                    .save()
+                    .then(function() {
+                        assert.strictEqual(user.version, 1);
+                        return user.save();
+                    })
+                    .then(function() {
+                        assert.strictEqual(user.version, 2);
+                        assert.strictEqual(
+                            im.api.kv.store[user.key()].version, 2);
+                    });
+            });
+
+            describe("if the user was saved elsewhere in the meantime",
+            function() {
+                beforeEach(function() {
+                    var stored = im.api.kv.store[user.key()];
+                    stored.version = 1;
+                    stored.answers = {start: 'nee', other: 'yes'};
+                    stored.metadata = {seen: true};
+                    stored.experiments = {
+                        greeting: {variant: 'formal', converted: false}
+                    };
+                    user.set_answer('why', 'no');
+                });
+
+                it("should merge the stored answers and metadata by default",
+                function() {
+                    return user.save().then(function() {
+                        var stored = im.api.kv.store[user.key()];
+                        assert.strictEqual(stored.version, 2);
+                        assert.deepEqual(stored.answers, {
+                            start: 'ja',
+                            other: 'yes',
+                            why: 'no'
+                        });
+                        assert.deepEqual(stored.metadata, {
+                            name: 'jan',
+                            seen: true
+                        });
+                        assert.deepEqual(stored.experiments, {
+                            greeting: {variant: 'formal', converted: false}
+                        });
+                    });
+                });
+
+                it("should emit a 'user:conflict' event for the 'fail' policy",
+                function() {
+                    var p = user.once.resolved('user:conflict');
+
+                    return user
+                        .save({conflict: 'fail'})
+                        .thenResolve(p)
+                        .then(function(e) {
+                            assert(e instanceof UserConflictEvent);
+                            assert.strictEqual(e.stored.version, 1);
+
+                            var stored = im.api.kv.store[user.key()];
+                            assert.strictEqual(stored.version, 1);
+                            assert(!('why' in stored.answers));
+                        });
+                });
+
+                it("should give up merging once out of retries", function() {
+                    var p = user.once.resolved('user:conflict');
+
+                    return user
+                        .save({retries: 0})
+                        .thenResolve(p)
+                        .then(function() {
+                            var stored = im.api.kv.store[user.key()];
+                            assert.strictEqual(stored.version, 1);
+                        });
+                });
+            });
+        });
+
+        describe(".push_history", function() {
+            it("should add the state to the end of the history", function() {
+                user.push_history({name: 'a', metadata: {foo: 'bar'}});
+                user.push_history('b');
+
+                assert.deepEqual(user.history, [{
+                    name: 'a',
+                    metadata: {foo: 'bar'},
+                    creator_opts: {}
+                }, {
+                    name: 'b',
+                    metadata: {},
+                    creator_opts: {}
+                }]);
+            });
+
+            it("should copy the state's metadata", function() {
+                var metadata = {foo: 'bar'};
+                user.push_history({name: 'a', metadata: metadata});
+                metadata.foo = 'baz';
+
+                assert.deepEqual(user.history[0].metadata, {foo: 'bar'});
+            });
+
+            it("should discard the oldest states if a size is given",
+            function() {
+                user.push_history('a', 2);
+                user.push_history('b', 2);
+                user.push_history('c', 2);
+
+                assert.deepEqual(_.map(user.history, 'name'), ['b', 'c']);
+            });
+        });
+
+        describe(".pop_history", function() {
+            it("should remove and return the most recent state", function() {
+                user.push_history('a');
+                user.push_history({name: 'b', metadata: {foo: 'bar'}});
+
+                var state = user.pop_history();
+                assert.equal(state.name, 'b');
+                assert.deepEqual(state.metadata, {foo: 'bar'});
+                assert.deepEqual(_.map(user.history, 'name'), ['a']);
+            });
+
+            it("should return null if the history is empty", function() {
+                assert.strictEqual(user.pop_history(), null);
+            });
         });
 
         describe(".set_lang", function() {
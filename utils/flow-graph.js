@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Prints the state graph of an app as a DOT digraph or Mermaid flowchart.
+//
+// Usage: utils/flow-graph.js <app module> <app name> [dot|mermaid]
+//  e.g.: utils/flow-graph.js examples/simple/lib/app.js SimpleApp mermaid
+var path = require('path');
+var FlowGraph = require('../lib/graph').FlowGraph;
+
+var args = process.argv.slice(2);
+var format = args[2] || 'dot';
+
+if (args.length < 2 || ['dot', 'mermaid'].indexOf(format) < 0) {
+    console.error(
+        'Usage: ' + process.argv[1] + ' <app module> <app name> [dot|mermaid]');
+    process.exit(1);
+}
+
+var App = require(path.resolve(args[0]))[args[1]];
+var graph = new FlowGraph(new App());
+
+graph[format]()
+    .then(function(output) {
+        console.log(output);
+    })
+    .done();